@@ -3,7 +3,7 @@
 // Import 'useState' from React
 import { useState, useEffect } from 'react';
 import { text } from 'stream/consumers';
-import LiveActivityFeed from './components/LiveActivityFeed';
+import LiveActivityFeed, { JobActivityEntry, JobStreamUpdate } from './components/LiveActivityFeed';
 import { createClient } from '@supabase/supabase-js';
 import AuthModal from './components/AuthModal';
 import { 
@@ -29,22 +29,79 @@ type CitySuggestion = {
   longitude: number;
 };
 
+// One top-level genre from the server's genre taxonomy (GET /api/genres)
+type GenreOption = {
+  value: string;
+  label: string;
+  covers: string[];
+};
+
+// A venue from the server's venue directory (GET /api/search-venues)
+type VenueOption = {
+  id: number;
+  name: string;
+  city: string;
+};
+
+// The user's own Spotify account, if connected (GET /api/spotify/connection)
+type SpotifyConnection = {
+  connected: boolean;
+  spotifyUserId?: string;
+  displayName?: string | null;
+};
+
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
+// Longest date range the server accepts (MAX_DATE_RANGE_DAYS in server/utils/dateRanges.js)
+const MAX_DATE_RANGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Search radius choices in km ('' = whatever area Bandsintown covers), MAX_SEARCH_RADIUS_KM on the server is 150
+const SEARCH_RADIUS_OPTIONS = [5, 10, 25, 50, 100, 150];
+
+// Days from 'start' through 'end', counting both (YYYY-MM-DD strings)
+const countRangeDays = (start: string, end: string) =>
+  Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+
 export default function HomePage() {
   // Define our State
   // State for the city autocomplete
   const [searchQuery, setSearchQuery] = useState(''); // What the user is typing, e.g., "Aust"
   const [suggestions, setSuggestions] = useState<CitySuggestion[]>([]); // The list of results, e.g., ["Austin, TX", "Austin, MN"]
   const [selectedCity, setSelectedCity] = useState<CitySuggestion | null>(null); // The final city the user clicked on
-  const [excludedGenres, setExcludedGenres] = useState<string[]>([]); // Holds the selected genres
+  const [radiusKm, setRadiusKm] = useState(''); // Only venues this close to the city ('' = no limit)
+  const [selectedGenres, setSelectedGenres] = useState<string[]>([]); // Holds the selected genres
+  const [genreMode, setGenreMode] = useState<'exclude' | 'include'>('exclude'); // Exclude the selected genres, or ONLY include them
+  const [keepUntagged, setKeepUntagged] = useState(true); // Keep artists with no genre tags on Spotify
+  const [genreOptions, setGenreOptions] = useState<GenreOption[]>([]); // Checkbox list, loaded from the server
   const [showGenres, setShowGenres] = useState(false);
+
+  // State for the venue filter (picked from the venue directory, excluded or the only ones included)
+  const [venueQuery, setVenueQuery] = useState('');
+  const [venueSuggestions, setVenueSuggestions] = useState<VenueOption[]>([]);
+  const [selectedVenues, setSelectedVenues] = useState<VenueOption[]>([]);
+  const [venueMode, setVenueMode] = useState<'exclude' | 'include'>('exclude');
+  const [showVenues, setShowVenues] = useState(false);
   
   // State for time filter (Default '-1' which represents "Optional")
   const [minStartTime, setMinStartTime] = useState('-1'); 
   const [maxStartTime, setMaxStartTime] = useState('-1');
 
+  // State for track options (songs per artist & how they're picked)
+  const [songsPerArtist, setSongsPerArtist] = useState('1');
+  const [trackStrategy, setTrackStrategy] = useState('top');
+  const [orderMode, setOrderMode] = useState('default');
+  const [lineupMode, setLineupMode] = useState('everyone'); // Which acts of each show: everyone, headliners or openers
+
+  // State for artist popularity filters ('' = any, 'hidden_gems' preset, or 'custom' bounds)
+  const [popularityPreset, setPopularityPreset] = useState('');
+  const [minPopularity, setMinPopularity] = useState('');
+  const [maxPopularity, setMaxPopularity] = useState('');
+  const [minFollowers, setMinFollowers] = useState('');
+  const [maxFollowers, setMaxFollowers] = useState('');
+
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [savedPlaylistId, setSavedPlaylistId] = useState(''); // Library playlist currently shown in the feed
 
   // This function runs when you click a playlist in the sidebar
   const handleLoadPlaylist = (playlist: any) => {
@@ -68,19 +125,47 @@ export default function HomePage() {
     // If DB date is ISO (2025-01-01T00:00:00), split it to get YYYY-MM-DD
     const simpleDate = playlist.playlist_date ? playlist.playlist_date.split('T')[0] : '';
     setDate(simpleDate); 
+    setEndDate(playlist.playlist_end_date ? playlist.playlist_end_date.split('T')[0] : '');
+    setRadiusKm(playlist.playlist_radius_km?.toString() || '');
+    setVenueMode(playlist.venue_mode || 'exclude');
+    setSelectedVenues(playlist.venues || []);
 
     // 3. RESTORE FILTERS
     // We populate the dropdowns and checkboxes with the saved values.
     // This ensures if they click "Create" again, it respects their original preferences.
     setMinStartTime(playlist.min_start_time?.toString() || '-1');
     setMaxStartTime(playlist.max_start_time?.toString() || '-1');
-    setExcludedGenres(playlist.excluded_genres || []);
+    if (playlist.included_genres?.length) {
+      setGenreMode('include');
+      setSelectedGenres(playlist.included_genres);
+    } else {
+      setGenreMode('exclude');
+      setSelectedGenres(playlist.excluded_genres || []);
+    }
+    setKeepUntagged(playlist.keep_untagged !== false);
+    setSongsPerArtist(playlist.number_of_songs?.toString() || '1');
+    setTrackStrategy(playlist.track_strategy || 'top');
+    setOrderMode(playlist.order_mode || 'default');
+    setLineupMode(playlist.lineup_mode || 'headliners'); // Playlists from before lineups only had headliners
+    const hasCustomPopularity = [playlist.min_popularity, playlist.max_popularity, playlist.min_followers, playlist.max_followers]
+      .some((bound) => bound !== null && bound !== undefined);
+    setPopularityPreset(playlist.popularity_preset || (hasCustomPopularity ? 'custom' : ''));
+    setMinPopularity(playlist.popularity_preset ? '' : playlist.min_popularity?.toString() || '');
+    setMaxPopularity(playlist.popularity_preset ? '' : playlist.max_popularity?.toString() || '');
+    setMinFollowers(playlist.popularity_preset ? '' : playlist.min_followers?.toString() || '');
+    setMaxFollowers(playlist.popularity_preset ? '' : playlist.max_followers?.toString() || '');
     
-    // 4. RECONSTRUCT LOGS
-    // We map the saved event objects back into the "ARTIST:Name" format 
+    // 4. RECONSTRUCT ACTIVITY
+    // We map the saved event objects back into "artist added" entries
     // so the Feed component can render the list rows.
-    const historyLogs = savedEvents.map((evt: any) => `ARTIST:${evt.name}`);
-    setLogs(historyLogs);
+    const historyActivity: JobActivityEntry[] = savedEvents.map((evt: any) => ({
+      type: 'artist_added',
+      at: null,
+      artist: evt.name,
+      spotifyArtistId: null,
+      trackCount: null
+    }));
+    setActivity(historyActivity);
     
     // 5. Force the Feed into "Success" mode
     setPollingStatusMessage('complete');
@@ -89,6 +174,7 @@ export default function HomePage() {
     
     // 6. Set jobId to the historical ID so the Feed component activates
     setJobId(playlist.id.toString()); 
+    setSavedPlaylistId(playlist.id.toString());
   };
 
   // -- START: Auto-login logic --
@@ -123,6 +209,87 @@ export default function HomePage() {
   }, []);
   // --- END: Auto-login logic ---  
 
+  // -- SPOTIFY CONNECTION --
+  // Logged-in users can connect their own Spotify account to publish playlists into their library.
+  const [spotifyConnection, setSpotifyConnection] = useState<SpotifyConnection | null>(null);
+  // Set when Spotify's consent screen sends the user back here (?spotify=connected|published|error)
+  const [spotifyNotice, setSpotifyNotice] = useState<{ result: string; playlistId?: string } | null>(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get('spotify');
+    if (!result) return;
+
+    setSpotifyNotice({ result, playlistId: params.get('spotifyPlaylistId') || undefined });
+    // Clean the URL so a refresh doesn't show the notice again
+    window.history.replaceState({}, '', window.location.pathname);
+  }, []);
+
+  useEffect(() => {
+    if (!user || user.is_anonymous) {
+      setSpotifyConnection(null);
+      return;
+    }
+
+    const fetchSpotifyConnection = async () => {
+      try {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session?.access_token) return;
+
+        const response = await fetch(`${API_URL}/api/spotify/connection`, {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        if (!response.ok) throw new Error('Failed to fetch Spotify connection');
+        setSpotifyConnection(await response.json());
+      } catch (err) {
+        console.warn('Could not fetch Spotify connection:', err);
+      }
+    };
+
+    fetchSpotifyConnection();
+  }, [user]);
+
+  const handleConnectSpotify = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session?.access_token) return;
+
+      const response = await fetch(`${API_URL}/api/spotify/connect`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      if (!response.ok || !data.authorizeUrl) throw new Error(data.error || 'Failed to connect Spotify');
+
+      // Off to Spotify's consent screen. The server sends the user back here afterwards.
+      window.location.href = data.authorizeUrl;
+    } catch (err) {
+      console.error('Error connecting Spotify:', err);
+      setSpotifyNotice({ result: 'error' });
+    }
+  };
+
+  const handleDisconnectSpotify = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session?.access_token) return;
+
+      const response = await fetch(`${API_URL}/api/spotify/connection`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${session.access_token}` }
+      });
+      if (!response.ok) throw new Error('Failed to disconnect Spotify');
+      setSpotifyConnection({ connected: false });
+    } catch (err) {
+      console.error('Error disconnecting Spotify:', err);
+    }
+  };
+  // -- END SPOTIFY CONNECTION --
+
   // Helper to format hours for the dropdown (0-24)
   const formatHourOption = (hour: number) => {
     if (hour === 0) return '12 AM (Start of Day)';
@@ -132,6 +299,7 @@ export default function HomePage() {
   };
 
   const [date, setDate] = useState('');
+  const [endDate, setEndDate] = useState(''); // Optional last day, for multi-day playlists
   
   // We need state variables to track the API call
   const [playlistId, setPlaylistId] = useState(''); // To store the final result
@@ -140,16 +308,20 @@ export default function HomePage() {
 
   // This is where we'll store the "receipt" (the ID) we get back from the server.
   const [jobId, setJobId] = useState('');
+  // Only sent back for jobs we created, lets us cancel them without an account
+  const [cancelToken, setCancelToken] = useState('');
   // This will hold user-friendly text like "Your job is pending..." or "Building...".
   const [pollingStatusMessage, setPollingStatusMessage] = useState('');
   // Track the actual job status for queue position display
   const [jobStatus, setJobStatus] = useState<string>('');
 
-  const [logs, setLogs] = useState<string[]>([]);
+  const [activity, setActivity] = useState<JobActivityEntry[]>([]);
   const [progress, setProgress] = useState({ current: 0, total: 0 });
   const [queuePosition, setQueuePosition] = useState<number | null>(null);
   
   const [events, setEvents] = useState<any[]>([]);
+  // True while the feed's progress stream is connected (polling is only the fallback)
+  const [isStreaming, setIsStreaming] = useState(false);
 
   // --- TIMEZONE-SAFE DATE LOGIC ---
   // Helper function to pad numbers (e.g., 9 -> "09")
@@ -179,8 +351,45 @@ export default function HomePage() {
     setDate(todayStr); // This sets the default value of the date picker as today
     
   }, []); // The empty array [] means "run this once on mount"
+  // Fills in the coming weekend (Friday through Sunday), or the rest of it if it already started
+  const handleSelectWeekend = () => {
+    if (!todayString) return;
+    const today = new Date();
+    const dayOfWeek = today.getDay(); // 0 = Sunday
+    const friday = new Date(today); // On a Sunday only today is left, so this is today
+    friday.setDate(today.getDate() + (dayOfWeek === 0 ? 0 : dayOfWeek === 6 ? -1 : 5 - dayOfWeek));
+    const sunday = new Date(friday);
+    sunday.setDate(friday.getDate() + (dayOfWeek === 0 ? 0 : 2));
+    const toDateString = (d: Date) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+    const start = toDateString(friday) < todayString ? todayString : toDateString(friday);
+    const end = toDateString(sunday);
+    setDate(start);
+    setEndDate(end === start ? '' : end);
+    setError('');
+  };
   // --- END TIMEZONE-SAFE DATE LOGIC ---
   
+  // -- GENRE OPTIONS ---
+  // The checkbox list comes from the server's genre taxonomy, so the UI and the filter always agree.
+  useEffect(() => {
+    const fetchGenres = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/genres`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch genres');
+        }
+        const data = await response.json();
+        setGenreOptions(data.genres || []);
+      } catch (err) {
+        console.warn('Could not fetch genre options:', err);
+      }
+    };
+
+    fetchGenres();
+  }, []);
+  // -- END GENRE OPTIONS ---
+
   // -- USER LOCATION LOGIC ---
   useEffect(() => {
     const fetchMyLocation = async () => {
@@ -255,7 +464,108 @@ export default function HomePage() {
     return () => clearTimeout(timer);
     
   }, [searchQuery]); // This "effect" re-runs *only* when the 'searchQuery' state changes
+
+  // Venue autocomplete, same debounce as the city search.
+  // Venues only exist once a job has scraped them, so suggestions stay within the selected city.
+  useEffect(() => {
+    if (venueQuery.trim().length < 2) {
+      setVenueSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const venueParams = new URLSearchParams({ q: venueQuery });
+        if (selectedCity) {
+          venueParams.append('city', selectedCity.name);
+          // Restored playlists have no coordinates until the city is picked again
+          if (selectedCity.latitude || selectedCity.longitude) {
+            venueParams.append('lat', selectedCity.latitude.toString());
+            venueParams.append('lon', selectedCity.longitude.toString());
+          }
+        }
+        const response = await fetch(`${API_URL}/api/search-venues?${venueParams}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch venue suggestions');
+        }
+        const data: VenueOption[] = await response.json();
+        setVenueSuggestions(data.filter((venue) => !selectedVenues.some((picked) => picked.id === venue.id)));
+      } catch (err) {
+        console.error('Error fetching venue suggestions:', err);
+        setVenueSuggestions([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [venueQuery, selectedCity, selectedVenues]);
   
+  // Shared by the poller and the progress stream
+  const applyJobStatus = (status: string, resultPlaylistId: string | null, errorMessage: string | null) => {
+    // Update the actual job status
+    setJobStatus(status);
+
+    switch (status) {
+      case 'pending':
+        setPollingStatusMessage('Queueing job...');
+        break;
+      case 'building':
+        setPollingStatusMessage('Curating playlist...');
+        // Clear queue position when building starts
+        setQueuePosition(null);
+        break;
+      case 'complete':
+        // --- SUCCESS! Job is done, now check the result ---
+        // setJobId(''); // Clear the job ID
+        setIsLoading(false); // Stop loading
+        setPollingStatusMessage('complete');
+        if (resultPlaylistId) {
+          // We got a playlist! Show the success link.
+          setPlaylistId(resultPlaylistId);
+        } else {
+          // We got a 'null' playlist, which means no artists were found.
+          // This is a "success" from the worker, but an "error" for the user.
+          setError('Garsh dangit!\nNo artists were found for this city and date.');
+        }
+        break;
+      case 'failed':
+        // --- FAILED! ---
+        // setJobId(''); // Clear the job ID
+        setIsLoading(false); // Stop loading
+        setError(errorMessage || 'The job failed for an unknown reason.');
+        setPollingStatusMessage(''); // Clear the status
+        setJobStatus(''); // Clear the job status
+        break;
+      case 'cancelled':
+        // --- CANCELLED by the user, the feed shows its own message ---
+        setIsLoading(false); // Stop loading
+        setPollingStatusMessage('cancelled');
+        setQueuePosition(null);
+        break;
+    }
+  };
+
+  // Applies one update from the feed's progress stream
+  const handleStreamUpdate = (update: JobStreamUpdate) => {
+    switch (update.type) {
+      case 'activity':
+        // Splice at the server's offset, so entries we already have (e.g. from a poll) aren't doubled
+        setActivity((prev) => [...prev.slice(0, update.offset), ...update.entries]);
+        break;
+      case 'progress':
+        setProgress({ current: update.current, total: update.total });
+        break;
+      case 'events':
+        if (update.events.length > 0) setEvents(update.events);
+        break;
+      case 'queue':
+        setQueuePosition(update.position);
+        break;
+      case 'status':
+        applyJobStatus(update.status, update.playlistId, update.error);
+        break;
+    }
+  };
+
   // This helper function will check the job status
   const checkJobStatus = async (id: string) => {
     try {
@@ -274,8 +584,8 @@ export default function HomePage() {
       }
       // -----------------
 
-      // Always update logs and progress if they exist
-      if (data.logs) setLogs(data.logs);
+      // Always update activity and progress if they exist
+      if (data.activity) setActivity(data.activity);
       if (data.progress) setProgress(data.progress);
       if (data.queuePosition !== undefined) setQueuePosition(Number(data.queuePosition));
 
@@ -283,51 +593,17 @@ export default function HomePage() {
         setEvents(data.events);
       }
 
-      // Update the actual job status
-      setJobStatus(data.status);
-
-      switch (data.status) {
-        case 'pending':
-          setPollingStatusMessage('Queueing job...');
-          break;
-        case 'building':
-          setPollingStatusMessage('Curating playlist...');
-          // Clear queue position when building starts
-          if (queuePosition !== null) setQueuePosition(null);
-          break;
-        case 'complete':
-          // --- SUCCESS! Job is done, now check the result ---
-          // setJobId(''); // Clear the job ID
-          setIsLoading(false); // Stop loading
-          setPollingStatusMessage('complete');
-          if (data.playlistId) {
-            // We got a playlist! Show the success link.
-            setPlaylistId(data.playlistId);
-          } else {
-            // We got a 'null' playlist, which means no artists were found.
-            // This is a "success" from the worker, but an "error" for the user.
-            setError('Garsh dangit!\nNo artists were found for this city and date.');
-          }
-          break;
-          case 'failed':
-            // --- FAILED! ---
-            // setJobId(''); // Clear the job ID
-            setIsLoading(false); // Stop loading
-            setError(data.error || 'The job failed for an unknown reason.');
-            setPollingStatusMessage(''); // Clear the status
-            setJobStatus(''); // Clear the job status
-            break;
-      }
+      applyJobStatus(data.status, data.playlistId, data.error);
     } catch (err) {
       console.error('Error during polling:', err);
       // We don't stop polling, just let the next interval try again
     }
   };
 
-  // This effect runs whenever 'jobId' changes
+  // This effect runs whenever 'jobId' changes, or the progress stream connects/drops
   useEffect(() => {
-    if (jobId) {
-      // A job is active. Start polling.
+    if (jobId && !isStreaming) {
+      // A job is active and the stream isn't delivering. Fall back to polling.
       // We check immediately, *then* start the interval
       checkJobStatus(jobId); 
 
@@ -336,10 +612,10 @@ export default function HomePage() {
       }, 5000); // Poll every 5 seconds
 
       // This is the "cleanup" function.
-      // It runs if the component unmounts OR if jobId changes again.
+      // It runs if the component unmounts, jobId changes again, or the stream connects.
       return () => clearInterval(interval);
     }
-  }, [jobId]); // This hook is sensitive *only* to the 'jobId'
+  }, [jobId, isStreaming]);
 
   // --- Handler Functions ---
 
@@ -372,12 +648,22 @@ export default function HomePage() {
     
     if (checked) {
       // It was checked: add it to the array
-      setExcludedGenres(prev => [...prev, value]);
+      setSelectedGenres(prev => [...prev, value]);
     } else {
       // It was unchecked: filter it out of the array
-      setExcludedGenres(prev => prev.filter(genre => genre !== value));
+      setSelectedGenres(prev => prev.filter(genre => genre !== value));
     }
   };
+  const handleVenuePick = (venue: VenueOption) => {
+    setSelectedVenues(prev => [...prev, venue]);
+    setVenueQuery('');
+    setVenueSuggestions([]);
+  };
+
+  const handleVenueRemove = (venueId: number) => {
+    setSelectedVenues(prev => prev.filter(venue => venue.id !== venueId));
+  };
+
   /**
    * This function runs when the user clicks "Create"
    * It now just SUBMITS a job, it doesn't wait for completion.
@@ -401,6 +687,14 @@ export default function HomePage() {
       setError('Please select a valid date (up to 1 year from now).');
       return;
     }
+    if (endDate && (endDate < date || endDate > maxDateString)) {
+      setError('The end date must be on or after the start date (and up to 1 year from now).');
+      return;
+    }
+    if (endDate && countRangeDays(date, endDate) > MAX_DATE_RANGE_DAYS) {
+      setError(`Date ranges can cover at most ${MAX_DATE_RANGE_DAYS} days.`);
+      return;
+    }
     
     // --- Convert "-1" (Optional) to real integer values for logic ---
     const effectiveMin = minStartTime === '-1' ? 0 : parseInt(minStartTime);
@@ -414,7 +708,7 @@ export default function HomePage() {
 
     console.log('Button clicked!');
     console.log('User selected city:', selectedCity.name);
-    console.log('User selected date:', date);
+    console.log('User selected date:', date, endDate ? `to ${endDate}` : '');
     console.log('User selected time filter:', minStartTime);
 
     // --- Start the API Call ---
@@ -431,13 +725,41 @@ export default function HomePage() {
         lat: selectedCity.latitude.toString(), // Convert number to string for URL
         lon: selectedCity.longitude.toString(),  // Convert number to string for URL
         minStartTime: effectiveMin.toString(),
-        maxStartTime: effectiveMax.toString()
+        maxStartTime: effectiveMax.toString(),
+        songsPerArtist: songsPerArtist,
+        trackStrategy: trackStrategy,
+        orderMode: orderMode,
+        lineupMode: lineupMode,
+        genreMode: genreMode,
+        keepUntagged: keepUntagged.toString()
       });
 
+      // Multi-day playlist: everything from 'date' through 'endDate'
+      if (endDate && endDate !== date) queryParams.append('endDate', endDate);
+
+      // Drop venues farther than this from the city
+      if (radiusKm) queryParams.append('radius', radiusKm);
+
+      // Venue filter: ids from the venue directory
+      if (selectedVenues.length > 0) {
+        queryParams.append('venues', selectedVenues.map((venue) => venue.id).join(','));
+        queryParams.append('venueMode', venueMode);
+      }
+
+      // Popularity filters: either a preset, or whichever custom bounds were filled in
+      if (popularityPreset === 'custom') {
+        if (minPopularity) queryParams.append('minPopularity', minPopularity);
+        if (maxPopularity) queryParams.append('maxPopularity', maxPopularity);
+        if (minFollowers) queryParams.append('minFollowers', minFollowers);
+        if (maxFollowers) queryParams.append('maxFollowers', maxFollowers);
+      } else if (popularityPreset) {
+        queryParams.append('popularityPreset', popularityPreset);
+      }
+
       // If the user has selected any genres...
-      if (excludedGenres.length > 0) {
+      if (selectedGenres.length > 0) {
         // ...join them into a single, comma-separated string
-        const genreString = excludedGenres.join(',');
+        const genreString = selectedGenres.join(',');
         queryParams.append('genres', genreString); // 'genres' (plural)
       }
 
@@ -466,6 +788,8 @@ export default function HomePage() {
       if (data.jobId) {
         // SUCCESS! We got a job ID
         setJobId(data.jobId); // This is the key. We save the job ID.
+        setCancelToken(data.cancelToken || '');
+        setSavedPlaylistId('');
         setPollingStatusMessage('Your job is in the queue...');
       } else {
         throw new Error('Server did not return a valid job ID.');
@@ -490,8 +814,10 @@ export default function HomePage() {
    */
   const handleStartOver = () => {
     setJobId('');
+    setCancelToken('');
+    setSavedPlaylistId('');
     setPlaylistId('');
-    setLogs([]);
+    setActivity([]);
     setProgress({ current: 0, total: 0 });
     setPollingStatusMessage('');
     setJobStatus('');
@@ -557,6 +883,24 @@ export default function HomePage() {
           </button>
         ) : user ? (
           <div className="flex items-center gap-3 animate-in fade-in">
+
+             {/* Spotify Connection */}
+             {spotifyConnection?.connected ? (
+               <button
+                 onClick={handleDisconnectSpotify}
+                 className="text-sm text-zinc-600 hover:text-red-500 font-semibold underline decoration-transparent hover:decoration-red-500 transition-all"
+                 title={`Connected as ${spotifyConnection.displayName || spotifyConnection.spotifyUserId}`}
+               >
+                 Disconnect Spotify
+               </button>
+             ) : spotifyConnection ? (
+               <button
+                 onClick={handleConnectSpotify}
+                 className="px-4 py-2 bg-zinc-800 text-stone-100 text-sm font-semibold rounded-full hover:bg-zinc-700 shadow-md transition-all"
+               >
+                 Connect Spotify
+               </button>
+             ) : null}
              
              {/* Logout Button */}
              <button
@@ -593,6 +937,36 @@ export default function HomePage() {
           </>
         )}
 
+        {/* Result of the Spotify connect flow */}
+        {spotifyNotice && (
+          <div className={`mb-4 p-3 rounded-lg text-sm flex items-center justify-between gap-2 ${
+            spotifyNotice.result === 'error' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-900'
+          }`}>
+            <span>
+              {spotifyNotice.result === 'published' && (
+                <>
+                  Playlist added to your Spotify library.{' '}
+                  {spotifyNotice.playlistId && (
+                    <a
+                      href={`https://open.spotify.com/playlist/${spotifyNotice.playlistId}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="underline font-semibold"
+                    >
+                      Open it
+                    </a>
+                  )}
+                </>
+              )}
+              {spotifyNotice.result === 'connected' && 'Spotify connected. Use "Add to My Spotify" on any finished playlist.'}
+              {spotifyNotice.result === 'error' && 'Could not connect Spotify. Please try again.'}
+            </span>
+            <button onClick={() => setSpotifyNotice(null)} className="font-semibold" title="Dismiss">
+              ×
+            </button>
+          </div>
+        )}
+
         {/* --- Form layout wrapper --- */}
         <div className="flex flex-col items-center gap-5 sm:gap-4 mt-2 sm:mt-4 w-full">
 
@@ -600,11 +974,11 @@ export default function HomePage() {
             /* MODE A: If a job is running, show the Notebook/Feed */
             <div className="flex flex-col items-center w-full gap-4">
 
-            {/* 1. The Notebook & Progress Bar */}
+            {/* The Notebook & Progress Bar (it has its own Cancel button) */}
             <LiveActivityFeed 
               status={jobStatus || pollingStatusMessage}
-              // If logs are empty but job is running, pass empty array (The child handles the "Hype Cycle" now)
-              logs={logs}
+              // If activity is empty but job is running, pass empty array (The child handles the "Hype Cycle" now)
+              activity={activity}
               totalCount={progress.total}
               playlistId={playlistId}
               errorMessage={error}
@@ -616,18 +990,12 @@ export default function HomePage() {
               isAnonymous={user?.is_anonymous}
               onAuthTrigger={() => setIsAuthModalOpen(true)}
               queuePosition={queuePosition}
+              savedPlaylistId={savedPlaylistId}
+              cancelToken={cancelToken}
+              onStreamUpdate={handleStreamUpdate}
+              onStreamConnectionChange={setIsStreaming}
             />
 
-            {/* 2. The Cancel Button (Only show if NOT done) */}
-            {!playlistId && !error && (
-              <button 
-                onClick={handleStartOver}
-                className="text-sm text-zinc-500 hover:text-red-400 underline underline-offset-2 transition-colors"
-              >
-                Cancel Curation
-              </button>
-            )}
-
           </div>
           ) : (
             /* MODE B: If idle, show the inputs (Wrapped in a Fragment <>) */
@@ -667,12 +1035,44 @@ export default function HomePage() {
           </div>
           {/* --- END: City Autocomplete --- */}
 
+          {/* --- Search Radius --- */}
+          <div className="w-full max-w-xs">
+            <label htmlFor="search-radius" className="block text-sm font-medium text-black mb-2">
+              Venues Within:
+            </label>
+            <select
+              id="search-radius"
+              value={radiusKm}
+              onChange={(e) => setRadiusKm(e.target.value)}
+              disabled={isLoading}
+              className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+            >
+              <option value="">Anywhere Nearby</option>
+              {SEARCH_RADIUS_OPTIONS.map((km) => (
+                <option key={km} value={km}>
+                  {km} km
+                </option>
+              ))}
+            </select>
+          </div>
+          {/* --- END: Search Radius --- */}
+
           {/* --- Date Picker --- */}
           {/* This is now a direct child of the 'gap-4' flex container */}
           <div className="w-full max-w-xs">
-            <label htmlFor="date-picker" className="block text-sm font-medium text-black mb-2">
-              Select a date:
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label htmlFor="date-picker" className="block text-sm font-medium text-black">
+                Select a date:
+              </label>
+              <button
+                type="button"
+                onClick={handleSelectWeekend}
+                disabled={isLoading || !todayString}
+                className="text-xs text-zinc-700 underline underline-offset-2 hover:text-black"
+              >
+                This weekend
+              </button>
+            </div>
             {/* TODO: change date picker from default browser option to avoid greyed out year */}
             <input 
               type="date"
@@ -687,6 +1087,36 @@ export default function HomePage() {
               disabled={isLoading || !todayString} // Disable if loading OR if dates haven't been set
               className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark"
             />
+
+            {/* Optional end date: one playlist for several days (e.g. a whole weekend) */}
+            <label htmlFor="end-date-picker" className="block text-xs font-medium text-black mt-2 mb-1">
+              Through (optional, up to {MAX_DATE_RANGE_DAYS} days):
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                id="end-date-picker"
+                value={endDate}
+                onChange={(e) => {
+                  setEndDate(e.target.value);
+                  setError('');
+                }}
+                min={date || todayString || ''}
+                max={maxDateString || ''}
+                disabled={isLoading || !todayString}
+                className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark"
+              />
+              {endDate && (
+                <button
+                  type="button"
+                  onClick={() => setEndDate('')}
+                  disabled={isLoading}
+                  className="text-xs text-zinc-700 underline underline-offset-2 hover:text-black"
+                >
+                  Single day
+                </button>
+              )}
+            </div>
           </div>
           {/* --- END: Date Picker --- */}
 
@@ -744,6 +1174,145 @@ export default function HomePage() {
           </div>
           {/* --- END: Dual Time Filters --- */}
 
+          {/* --- Track Options --- */}
+          <div className="w-full max-w-xs flex flex-row flex-wrap gap-2">
+            
+            {/* Songs per Artist */}
+            <div className="flex-1 min-w-[130px]">
+              <label htmlFor="songs-per-artist" className="block text-sm font-medium text-black mb-2">
+                Songs per Artist:
+              </label>
+              <select
+                id="songs-per-artist"
+                value={songsPerArtist}
+                onChange={(e) => setSongsPerArtist(e.target.value)}
+                disabled={isLoading}
+                className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+              >
+                {[1, 2, 3, 4, 5].map((count) => (
+                  <option key={count} value={count}>
+                    {count}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Track Strategy */}
+            <div className="flex-1 min-w-[130px]">
+              <label htmlFor="track-strategy" className="block text-sm font-medium text-black mb-2">
+                Pick Tracks By:
+              </label>
+              <select
+                id="track-strategy"
+                value={trackStrategy}
+                onChange={(e) => setTrackStrategy(e.target.value)}
+                disabled={isLoading}
+                className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+              >
+                <option value="top">Top Tracks</option>
+                <option value="recent">Most Recent</option>
+                <option value="random">Random Top 10</option>
+                <option value="deep_cuts">Deep Cuts</option>
+              </select>
+            </div>
+
+          </div>
+
+          {/* Playlist Order */}
+          <div className="w-full max-w-xs">
+            <label htmlFor="order-mode" className="block text-sm font-medium text-black mb-2">
+              Order Playlist By:
+            </label>
+            <select
+              id="order-mode"
+              value={orderMode}
+              onChange={(e) => setOrderMode(e.target.value)}
+              disabled={isLoading}
+              className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+            >
+              <option value="default">As Listed</option>
+              <option value="set_time">Set Time</option>
+              <option value="venue">Venue</option>
+              <option value="day">Day, Then Venue</option>
+              <option value="popularity_desc">Most Popular First</option>
+              <option value="popularity_asc">Least Popular First</option>
+              <option value="interleaved">Mix Up Venues</option>
+            </select>
+          </div>
+
+          {/* Lineup: the whole bill, or just one end of it */}
+          <div className="w-full max-w-xs">
+            <label htmlFor="lineup-mode" className="block text-sm font-medium text-black mb-2">
+              Artists From Each Show:
+            </label>
+            <select
+              id="lineup-mode"
+              value={lineupMode}
+              onChange={(e) => setLineupMode(e.target.value)}
+              disabled={isLoading}
+              className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+            >
+              <option value="everyone">Full Lineup</option>
+              <option value="headliners">Headliners Only</option>
+              <option value="openers">Openers Only</option>
+            </select>
+          </div>
+          {/* --- END: Track Options --- */}
+
+          {/* --- Artist Popularity --- */}
+          <div className="w-full max-w-xs">
+            <label htmlFor="popularity-preset" className="block text-sm font-medium text-black mb-2">
+              Artist Popularity:
+            </label>
+            <select
+              id="popularity-preset"
+              value={popularityPreset}
+              onChange={(e) => {
+                setPopularityPreset(e.target.value);
+                setError('');
+              }}
+              disabled={isLoading}
+              className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+            >
+              <option value="">Any</option>
+              <option value="hidden_gems">Hidden Gems (Lesser-Known Artists)</option>
+              <option value="custom">Custom...</option>
+            </select>
+
+            {popularityPreset === 'custom' && (
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                {[
+                  { id: 'min-popularity', label: 'Min Popularity', value: minPopularity, set: setMinPopularity, max: 100, placeholder: '0' },
+                  { id: 'max-popularity', label: 'Max Popularity', value: maxPopularity, set: setMaxPopularity, max: 100, placeholder: '100' },
+                  { id: 'min-followers', label: 'Min Followers', value: minFollowers, set: setMinFollowers, max: undefined, placeholder: 'Any' },
+                  { id: 'max-followers', label: 'Max Followers', value: maxFollowers, set: setMaxFollowers, max: undefined, placeholder: 'Any' }
+                ].map((field) => (
+                  <div key={field.id}>
+                    <label htmlFor={field.id} className="block text-xs text-zinc-600 mb-1">
+                      {field.label}
+                    </label>
+                    <input
+                      id={field.id}
+                      type="number"
+                      min={0}
+                      max={field.max}
+                      step={1}
+                      value={field.value}
+                      placeholder={field.placeholder}
+                      onChange={(e) => {
+                        field.set(e.target.value);
+                        setError('');
+                      }}
+                      disabled={isLoading}
+                      className="p-2 border border-zinc-600 rounded-lg text-champagne-pink bg-grey-blue color-scheme-dark w-full text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          {/* --- END: Artist Popularity --- */}
+
           {/* --- COLLAPSIBLE GENRE FILTER --- */}
           <div className="w-full max-w-xs text-center">
             
@@ -753,55 +1322,152 @@ export default function HomePage() {
               className="text-sm text-zinc-600 hover:text-black underline underline-offset-2 decoration-zinc-400 hover:decoration-black transition-all cursor-pointer"
               type="button"
             >
-              {showGenres ? 'Hide Filters' : 'Exclude Genres (Optional)'}
+              {showGenres ? 'Hide Filters' : 'Filter Genres (Optional)'}
             </button>
 
             {/* The Content (Checkboxes) */}
             {showGenres && (
               <div className="mt-3 text-left"> 
                 {/* Added text-left here so the checkboxes align nicely */}
+
+                {/* Exclude vs. Only Include */}
+                <div className="flex mb-2 rounded-lg border border-zinc-600 overflow-hidden text-sm">
+                  {(['exclude', 'include'] as const).map((mode) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setGenreMode(mode)}
+                      disabled={isLoading}
+                      className={`flex-1 py-1 transition-colors cursor-pointer ${
+                        genreMode === mode ? 'bg-zinc-700 text-stone-100' : 'bg-transparent text-zinc-600 hover:text-black'
+                      }`}
+                    >
+                      {mode === 'exclude' ? 'Exclude' : 'Only Include'}
+                    </button>
+                  ))}
+                </div>
+
                 <div className="p-3 border border-zinc-600 rounded-lg bg-zinc-700 grid grid-cols-2 gap-2">
-                  {[
-                    { text: 'Country', value: 'country' },
-                    { text: 'Rock', value: 'rock' },
-                    { text: 'Pop', value: 'pop' },
-                    { text: 'Hip Hop / Rap', value: 'hip hop' },
-                    { text: 'Electronic', value: 'electronic' },
-                    { text: 'Jazz', value: 'jazz' },
-                    { text: 'R&B / Soul', value: 'r&b' },
-                    { text: 'Folk', value: 'folk' },
-                    { text: 'Latin', value: 'latin' },
-                    { text: 'Acoustic', value: 'acoustic' },
-                    { text: 'Metal', value: 'metal' },
-                    { text: 'Punk', value: 'punk' },
-                    { text: 'Classical', value: 'classical' },
-                    { text: 'Reggae', value: 'reggae' },
-                    { text: 'Blues', value: 'blues' },
-                    { text: 'Indie', value: 'indie' },
-                    { text: 'Gospel', value: 'gospel' },
-                    { text: 'Comedy', value: 'comedy' }
-                  ].map((genre) => (
-                    <label key={genre.value} className="flex items-center space-x-2 text-stone-100 cursor-pointer">
+                  {genreOptions.map((genre) => (
+                    <label
+                      key={genre.value}
+                      title={genre.covers.length > 0 ? `Includes: ${genre.covers.join(', ')}` : undefined}
+                      className="flex items-center space-x-2 text-stone-100 cursor-pointer"
+                    >
                       <input
                         type="checkbox"
                         value={genre.value}
-                        checked={excludedGenres.includes(genre.value)}
+                        checked={selectedGenres.includes(genre.value)}
                         onChange={handleGenreChange}
                         disabled={isLoading}
                         className="rounded text-amber-600 focus:ring-amber-500"
                       />
-                      <span className="text-sm">{genre.text}</span>
+                      <span className="text-sm">{genre.label}</span>
                     </label>
                   ))}
                 </div>
+
+                {/* What to do with artists Spotify hasn't tagged */}
+                <label className="flex items-center space-x-2 mt-2 text-sm text-black cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={keepUntagged}
+                    onChange={(e) => setKeepUntagged(e.target.checked)}
+                    disabled={isLoading}
+                    className="rounded text-amber-600 focus:ring-amber-500"
+                  />
+                  <span>Keep artists without genre tags</span>
+                </label>
                 <p className="text-xs text-center text-zinc-600 mt-1 px-1">
-                  Note: We'll try to filter out your excluded genres, but many artists don't have genre tags on Spotify.
+                  Note: Many artists don't have genre tags on Spotify. Uncheck the box above to leave them out.
                 </p>
               </div>
             )}
           </div>
           {/* --- END: COLLAPSIBLE GENRE FILTER --- */}
 
+          {/* --- COLLAPSIBLE VENUE FILTER --- */}
+          <div className="w-full max-w-xs text-center">
+            <button
+              onClick={() => setShowVenues(!showVenues)}
+              className="text-sm text-zinc-600 hover:text-black underline underline-offset-2 decoration-zinc-400 hover:decoration-black transition-all cursor-pointer"
+              type="button"
+            >
+              {showVenues
+                ? 'Hide Venue Filter'
+                : `Filter Venues (Optional)${selectedVenues.length > 0 ? ` - ${selectedVenues.length} picked` : ''}`}
+            </button>
+
+            {showVenues && (
+              <div className="mt-3 text-left">
+                {/* Exclude vs. Only Include */}
+                <div className="flex mb-2 rounded-lg border border-zinc-600 overflow-hidden text-sm">
+                  {(['exclude', 'include'] as const).map((mode) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setVenueMode(mode)}
+                      disabled={isLoading}
+                      className={`flex-1 py-1 transition-colors cursor-pointer ${
+                        venueMode === mode ? 'bg-zinc-700 text-stone-100' : 'bg-transparent text-zinc-600 hover:text-black'
+                      }`}
+                    >
+                      {mode === 'exclude' ? 'Never These' : 'Only These'}
+                    </button>
+                  ))}
+                </div>
+
+                {/* Venue autocomplete, 'relative' positions the dropdown */}
+                <div className="relative">
+                  <input
+                    type="text"
+                    value={venueQuery}
+                    onChange={(e) => setVenueQuery(e.target.value)}
+                    placeholder="Search venues..."
+                    disabled={isLoading}
+                    className="p-2 border border-zinc-600 rounded-lg text-stone-100 bg-zinc-700 w-full text-sm"
+                  />
+                  {venueSuggestions.length > 0 && (
+                    <ul className="absolute z-10 w-full bg-zinc-700 border border-zinc-600 rounded-lg mt-1 max-h-60 overflow-y-auto">
+                      {venueSuggestions.map((venue) => (
+                        <li
+                          key={venue.id}
+                          onClick={() => handleVenuePick(venue)}
+                          className="p-2 text-left text-stone-100 hover:bg-amber-600 hover:text-zinc-900 cursor-pointer"
+                        >
+                          <span className="text-sm">{venue.name}</span>
+                          <span className="block text-xs opacity-70">{venue.city}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                {/* Picked venues */}
+                {selectedVenues.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {selectedVenues.map((venue) => (
+                      <button
+                        key={venue.id}
+                        type="button"
+                        onClick={() => handleVenueRemove(venue.id)}
+                        disabled={isLoading}
+                        title="Remove"
+                        className="px-2 py-1 rounded-full bg-zinc-700 text-stone-100 text-xs hover:bg-amber-600 hover:text-zinc-900 cursor-pointer"
+                      >
+                        {venue.name} ×
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <p className="text-xs text-center text-zinc-600 mt-1 px-1">
+                  Venues show up here once a playlist for their city has been made.
+                </p>
+              </div>
+            )}
+          </div>
+          {/* --- END: COLLAPSIBLE VENUE FILTER --- */}
+
           {/* --- Submit Button --- */}
           <button 
             onClick={handlePlaylistCreation} 
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { createClient } from '@supabase/supabase-js';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseAnonKey) {
+  throw new Error(
+    'Missing Supabase Environment Variables! Please check .env.local'
+  );
+}
+
+const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+// Formats served by GET /api/export
+const EXPORT_OPTIONS = [
+  { format: 'm3u', label: 'M3U playlist' },
+  { format: 'xspf', label: 'XSPF playlist' },
+  { format: 'csv', label: 'Events (CSV)' },
+  { format: 'json', label: 'Everything (JSON)' },
+  { format: 'ics', label: 'Calendar (.ics)' }
+];
+
+type ExportMenuProps = {
+  jobId?: string;
+  savedPlaylistId?: string; // Takes precedence over jobId (needs the owner's session)
+  buttonClassName?: string;
+  calendarUrl?: string; // Subscribable iCal feed, offered as a "copy link" entry
+};
+
+/**
+ * Download button with a small menu of export formats.
+ */
+export default function ExportMenu({ jobId, savedPlaylistId, buttonClassName, calendarUrl }: ExportMenuProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [downloading, setDownloading] = useState<string | null>(null);
+
+  const handleDownload = async (e: React.MouseEvent, format: string) => {
+    e.stopPropagation();
+    setIsOpen(false);
+    setDownloading(format);
+
+    try {
+      const params = new URLSearchParams({ format });
+      if (savedPlaylistId) params.set('savedPlaylistId', savedPlaylistId);
+      else if (jobId) params.set('jobId', jobId);
+
+      const { data: { session } } = await supabase.auth.getSession();
+      const headers: Record<string, string> = {};
+      if (session?.access_token) headers['Authorization'] = `Bearer ${session.access_token}`;
+
+      const response = await fetch(`${API_URL}/api/export?${params}`, { headers });
+      if (!response.ok) throw new Error('Export failed');
+
+      // Use the server's file name (Content-Disposition), fall back to a generic one
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `live-music-playlist.${format}`;
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting playlist:', err);
+      alert('Could not export playlist. Please try again.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleCopyCalendarUrl = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    setIsOpen(false);
+    if (!calendarUrl) return;
+
+    try {
+      await navigator.clipboard.writeText(calendarUrl);
+      alert('Calendar link copied! Add it in your calendar app as a subscription (e.g. "From URL").');
+    } catch (err) {
+      console.error('Error copying calendar link:', err);
+      window.prompt('Copy this calendar link:', calendarUrl);
+    }
+  };
+
+  return (
+    <div className="relative flex-shrink-0">
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          setIsOpen(!isOpen);
+        }}
+        disabled={!!downloading}
+        className={buttonClassName || 'w-8 h-8 flex items-center justify-center rounded-lg text-zinc-500 hover:text-white hover:bg-zinc-700 transition-colors'}
+        title="Download playlist"
+      >
+        <ArrowDownTrayIcon className={`w-5 h-5 ${downloading ? 'animate-pulse' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-44 bg-zinc-800 border border-zinc-700 rounded-lg shadow-xl z-20 overflow-hidden">
+          {EXPORT_OPTIONS.map((option) => (
+            <button
+              key={option.format}
+              onClick={(e) => handleDownload(e, option.format)}
+              className="w-full text-left px-3 py-2 text-xs text-stone-100 hover:bg-zinc-700 transition-colors"
+            >
+              {option.label}
+            </button>
+          ))}
+          {calendarUrl && (
+            <button
+              onClick={handleCopyCalendarUrl}
+              className="w-full text-left px-3 py-2 text-xs text-dark-pastel-green hover:bg-zinc-700 transition-colors border-t border-zinc-700"
+            >
+              Copy calendar feed link
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
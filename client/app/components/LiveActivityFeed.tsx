@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { createClient } from '@supabase/supabase-js';
 import confetti from 'canvas-confetti';
+import ExportMenu from './ExportMenu';
 import { 
   CheckCircleIcon, 
   ExclamationCircleIcon,
@@ -24,9 +25,49 @@ if (!supabaseUrl || !supabaseAnonKey) {
 const supabase = createClient(supabaseUrl, supabaseAnonKey);
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
+// Reconnect backoff for the progress stream (doubles per failed attempt)
+const STREAM_RETRY_BASE_MS = 1000;
+const STREAM_RETRY_MAX_MS = 30000;
+
+// One entry of a job's activity (server/utils/jobActivity.js). 'at' is null for jobs from before timestamps.
+export type JobActivityEntry =
+  | { type: 'info'; at: string | null; message: string }
+  | { type: 'artist_added'; at: string | null; artist: string; spotifyArtistId: string | null; trackCount: number | null }
+  | { type: 'artist_skipped'; at: string | null; artist: string; spotifyArtistId: string | null; reason: string; detail: string | null }
+  | {
+      type: 'batch';
+      at: string | null;
+      outcome: 'added' | 'failed';
+      trackCount: number | null;
+      artists: string[];
+      artistCount: number | null;
+      httpStatus: number | null;
+    };
+
+// Shown when a skip entry has no detail of its own
+const SKIP_REASON_LABELS: Record<string, string> = {
+  not_found: 'Not found',
+  genre_excluded: 'Excluded genre',
+  genre_not_included: 'Genre not included',
+  genre_untagged: 'No genre tags',
+  popularity: 'Popularity filter',
+  no_tracks: 'No tracks'
+};
+
+// Successful batches are bookkeeping, the feed only shows the ones that failed
+const isShownInFeed = (entry: JobActivityEntry) => entry.type !== 'batch' || entry.outcome === 'failed';
+
+// One message from GET /api/playlists/stream
+export type JobStreamUpdate =
+  | { type: 'activity'; offset: number; entries: JobActivityEntry[] }
+  | { type: 'progress'; current: number; total: number }
+  | { type: 'events'; events: unknown[] }
+  | { type: 'queue'; position: number }
+  | { type: 'status'; status: string; playlistId: string | null; error: string | null };
+
 type LiveActivityFeedProps = {
   status: string;
-  logs: string[];
+  activity: JobActivityEntry[];
   totalCount: number;
   playlistId?: string;
   errorMessage?: string;
@@ -38,11 +79,15 @@ type LiveActivityFeedProps = {
   isAnonymous?: boolean;
   onAuthTrigger?: () => void;
   queuePosition?: number | null;
+  savedPlaylistId?: string; // Set when the feed shows a playlist loaded from the library
+  cancelToken?: string; // Lets an anonymous creator cancel the job
+  onStreamUpdate?: (update: JobStreamUpdate) => void;
+  onStreamConnectionChange?: (isConnected: boolean) => void; // The parent polls while the stream is down
 };
 
 export default function LiveActivityFeed({ 
   status, 
-  logs, 
+  activity, 
   totalCount, 
   playlistId, 
   errorMessage,
@@ -53,14 +98,18 @@ export default function LiveActivityFeed({
   jobId,
   isAnonymous,
   onAuthTrigger,
-  queuePosition = null
+  queuePosition = null,
+  savedPlaylistId,
+  cancelToken,
+  onStreamUpdate,
+  onStreamConnectionChange
 }: LiveActivityFeedProps) {
   
   const scrollContainerRef = useRef<HTMLDivElement>(null);
-  const [visibleLogs, setVisibleLogs] = useState<string[]>([]);
+  const [visibleActivity, setVisibleActivity] = useState<JobActivityEntry[]>([]);
   
   // Queue Logic
-  const queueRef = useRef<string[]>([]);
+  const queueRef = useRef<JobActivityEntry[]>([]);
   const processedIndexRef = useRef(0);
   const [isQueueEmpty, setIsQueueEmpty] = useState(true);
 
@@ -114,8 +163,174 @@ export default function LiveActivityFeed({
     }
   };
 
+  // State for the "Add to My Spotify" button
+  const [publishStatus, setPublishStatus] = useState<'idle' | 'publishing' | 'pending' | 'published' | 'error'>('idle');
+  const [publishedPlaylistId, setPublishedPlaylistId] = useState('');
+
+  // Publish Handler: copies the playlist into the user's own Spotify library.
+  // If Spotify isn't connected yet, we send the user through Spotify's consent screen first;
+  // the server publishes right after they come back.
+  const handlePublishToSpotify = async () => {
+    if (!jobId) return;
+
+    if (isAnonymous && onAuthTrigger) {
+      onAuthTrigger();
+      return;
+    }
+
+    setPublishStatus('publishing');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const token = session?.access_token;
+
+      if (!token) throw new Error('No active session');
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      };
+      const body = JSON.stringify(savedPlaylistId ? { savedPlaylistId } : { jobId });
+
+      const response = await fetch(`${API_URL}/api/spotify/publish`, { method: 'POST', headers, body });
+      const data = await response.json();
+
+      if (response.status === 409 && data.needsConnection) {
+        const connectResponse = await fetch(`${API_URL}/api/spotify/connect`, { method: 'POST', headers, body });
+        const connectData = await connectResponse.json();
+        if (!connectResponse.ok || !connectData.authorizeUrl) throw new Error(connectData.error || 'Failed to connect Spotify');
+        window.location.href = connectData.authorizeUrl;
+        return;
+      }
+
+      if (!response.ok) throw new Error(data.error || 'Failed to publish');
+
+      if (data.status === 'published') {
+        setPublishedPlaylistId(data.spotifyPlaylistId);
+        setPublishStatus('published');
+      } else {
+        setPublishStatus('pending');
+      }
+    } catch (err) {
+      console.error('Error publishing playlist to Spotify:', err);
+      setPublishStatus('error');
+      setTimeout(() => setPublishStatus('idle'), 3000);
+    }
+  };
+
+  // State for the cancel button
+  const [cancelStatus, setCancelStatus] = useState<'idle' | 'cancelling' | 'error'>('idle');
+
+  // Cancel Handler
+  // Pending jobs are cancelled right away, building ones stop before their next artist.
+  // Either way the 'cancelled' status then arrives through the stream (or the poller).
+  const handleCancel = async () => {
+    if (!jobId) return;
+    setCancelStatus('cancelling');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (session?.access_token) headers['Authorization'] = `Bearer ${session.access_token}`;
+
+      const response = await fetch(`${API_URL}/api/playlists/${jobId}/cancel`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ cancelToken })
+      });
+
+      if (response.status === 403 || response.status === 404) {
+        // Someone else's job (identical searches share one), so just stop watching it
+        onReset();
+        return;
+      }
+      if (response.status === 409) {
+        // It finished in the meantime
+        setCancelStatus('idle');
+        return;
+      }
+      if (!response.ok) throw new Error('Failed to cancel');
+
+      const result = await response.json();
+      if (result.status === 'shared') {
+        // Other people ran the same search and are waiting on it, so it keeps building for them
+        onReset();
+      }
+    } catch (err) {
+      console.error('Error cancelling job:', err);
+      setCancelStatus('error');
+      setTimeout(() => setCancelStatus('idle'), 3000);
+    }
+  };
+
+  // 0. PROGRESS STREAM
+  // Listens to the job's Server-Sent Events and hands each update to the parent.
+  // Reconnects with backoff, resuming after the last activity entry we got.
+  // Callbacks live in refs so a re-render doesn't reconnect.
+  const onStreamUpdateRef = useRef(onStreamUpdate);
+  const onStreamConnectionChangeRef = useRef(onStreamConnectionChange);
+  useEffect(() => {
+    onStreamUpdateRef.current = onStreamUpdate;
+    onStreamConnectionChangeRef.current = onStreamConnectionChange;
+  });
+
+  useEffect(() => {
+    // Library playlists are already finished, nothing to stream
+    if (!jobId || savedPlaylistId || typeof EventSource === 'undefined') return;
+
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    let attempt = 0;
+    let activityOffset = 0;
+    let isFinished = false;
+
+    const connect = () => {
+      source = new EventSource(`${API_URL}/api/playlists/stream?jobId=${jobId}&since=${activityOffset}`);
+
+      source.onopen = () => {
+        attempt = 0;
+        onStreamConnectionChangeRef.current?.(true);
+      };
+
+      // Every payload is the update minus its 'type' (the SSE event name)
+      for (const type of ['activity', 'progress', 'events', 'queue', 'status'] as const) {
+        source.addEventListener(type, (e) => {
+          const update = { type, ...JSON.parse((e as MessageEvent).data) } as JobStreamUpdate;
+
+          if (update.type === 'activity') {
+            activityOffset = update.offset + update.entries.length;
+          } else if (update.type === 'status' && ['complete', 'failed', 'cancelled'].includes(update.status)) {
+            // The server closes the stream now, don't treat that as a dropped connection
+            isFinished = true;
+            source?.close();
+          }
+          onStreamUpdateRef.current?.(update);
+        });
+      }
+
+      source.onerror = () => {
+        if (isFinished) return;
+        // Take over reconnecting ourselves, so the resume offset and backoff are ours
+        source?.close();
+        onStreamConnectionChangeRef.current?.(false);
+        const delay = Math.min(STREAM_RETRY_BASE_MS * 2 ** attempt, STREAM_RETRY_MAX_MS);
+        attempt++;
+        retryTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      isFinished = true;
+      source?.close();
+      if (retryTimer) clearTimeout(retryTimer);
+      onStreamConnectionChangeRef.current?.(false);
+    };
+  }, [jobId, savedPlaylistId]);
+
   useEffect(() => {
-    if (visibleLogs.length > 0) return; 
+    if (visibleActivity.length > 0) return; 
 
     // Different messages based on status
     const hypeMessages = status === 'pending' 
@@ -147,27 +362,27 @@ export default function LiveActivityFeed({
     }, 2000); 
 
     return () => clearInterval(interval);
-  }, [visibleLogs.length, status]);
+  }, [visibleActivity.length, status]);
 
   // 2. INGESTION (Modified for Instant Load)
   useEffect(() => {
     // Reset Logic
-    if (logs.length === 0) {
-      setVisibleLogs([]);
+    if (activity.length === 0) {
+      setVisibleActivity([]);
       queueRef.current = [];
       processedIndexRef.current = 0;
       return;
     }
 
     // New Items Logic
-    if (logs.length > processedIndexRef.current) {
-      const newItems = logs.slice(processedIndexRef.current);
+    if (activity.length > processedIndexRef.current) {
+      const newItems = activity.slice(processedIndexRef.current).filter(isShownInFeed);
       
       // LOGIC BRANCH:
       // If the job is ALREADY complete (Cache Hit), show everything immediately.
       // Otherwise, add to the queue for the "drip" effect.
       if (status === 'complete') {
-        setVisibleLogs((prev) => [...prev, ...newItems]);
+        setVisibleActivity((prev) => [...prev, ...newItems]);
         queueRef.current = []; // Clear queue to be safe
         setIsQueueEmpty(true);
       } else {
@@ -175,16 +390,16 @@ export default function LiveActivityFeed({
         setIsQueueEmpty(false);
       }
       
-      processedIndexRef.current = logs.length;
+      processedIndexRef.current = activity.length;
     }
-  }, [logs, status]);
+  }, [activity, status]);
 
   // 3. FLUSH ON COMPLETE (New)
   // If the job finishes while we still have items in the queue (e.g. normal run finishing),
   // dump them all instantly so the user doesn't have to wait.
   useEffect(() => {
     if (status === 'complete' && queueRef.current.length > 0) {
-      setVisibleLogs((prev) => [...prev, ...queueRef.current]);
+      setVisibleActivity((prev) => [...prev, ...queueRef.current]);
       queueRef.current = [];
       setIsQueueEmpty(true);
     }
@@ -194,9 +409,9 @@ export default function LiveActivityFeed({
   useEffect(() => {
     const interval = setInterval(() => {
       if (queueRef.current.length > 0) {
-        const nextLog = queueRef.current.shift();
-        if (nextLog) {
-          setVisibleLogs((prev) => [...prev, nextLog]);
+        const nextEntry = queueRef.current.shift();
+        if (nextEntry) {
+          setVisibleActivity((prev) => [...prev, nextEntry]);
         }
       } else {
         setIsQueueEmpty(true);
@@ -218,7 +433,7 @@ export default function LiveActivityFeed({
         container.scrollTop = container.scrollHeight;
       }, 0);
     }
-  }, [visibleLogs, isQueueEmpty]);
+  }, [visibleActivity, isQueueEmpty]);
 
   // 6. SMART FINISH SCROLL
   // When status becomes 'complete', ensure we see the final message,
@@ -240,7 +455,7 @@ export default function LiveActivityFeed({
   }, [status]);
 
   // --- VISUAL CALCULATIONS ---
-  const displayCount = visibleLogs.length;
+  const displayCount = visibleActivity.length;
   
   const percent = (status === 'complete') 
     ? 100 
@@ -250,9 +465,10 @@ export default function LiveActivityFeed({
 
   const isComplete = status === 'complete' && !!playlistId;
   const isFailed = status === 'failed' || !!errorMessage;
+  const isCancelled = status === 'cancelled';
   
-  // Check if there are any warnings in the logs
-  const hasWarnings = logs.some(log => log.startsWith('WARNING:'));
+  // Check if any batch of tracks failed to make it into the playlist
+  const hasWarnings = activity.some(entry => entry.type === 'batch' && entry.outcome === 'failed');
 
   useEffect(() => {
     if (isComplete) {
@@ -297,12 +513,19 @@ export default function LiveActivityFeed({
     }
   };
 
+  // --- HELPER: Weekday of a multi-day playlist's show ("2025-12-20" -> "Sat") ---
+  const isMultiDay = new Set(events.map((e) => e.day).filter(Boolean)).size > 1;
+  const formatDay = (day: string) => {
+    const date = new Date(`${day}T00:00:00`); // Local midnight, so the weekday doesn't shift
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString([], { weekday: 'short' });
+  };
+
   return (
     <div className="w-full max-w-lg bg-zinc-900 rounded-2xl shadow-2xl overflow-hidden border border-zinc-800 animate-in fade-in slide-in-from-bottom-4 duration-500 h-[75vh] flex flex-col">
       
       {/* --- HEADER --- */}
       <div className={`p-3 border-b border-zinc-800 transition-colors duration-700 ${
-        isComplete ? 'bg-zinc-800' : isFailed ? 'bg-red-900/20' : 'bg-night-blue'
+        isComplete || isCancelled ? 'bg-zinc-800' : isFailed ? 'bg-red-900/20' : 'bg-night-blue'
       }`}>
         
         {/* Warning Banner - Show if there are batch failures */}
@@ -355,6 +578,43 @@ export default function LiveActivityFeed({
                 {saveStatus === 'error' && <span>Error</span>}
               </button>
 
+              {/* SECONDARY ACTION: Copy into the user's own Spotify library */}
+              {publishStatus === 'published' ? (
+                <a
+                  href={`https://open.spotify.com/playlist/${publishedPlaylistId}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg transition-all border bg-zinc-700 text-green-400 border-zinc-600 flex items-center justify-center whitespace-nowrap"
+                >
+                  <CheckCircleIcon className="w-4 h-4 mr-1" />
+                  <span>In My Spotify</span>
+                </a>
+              ) : (
+                <button
+                  onClick={handlePublishToSpotify}
+                  disabled={publishStatus === 'publishing' || publishStatus === 'pending'}
+                  className={`
+                    font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg transition-all border
+                    flex items-center justify-center whitespace-nowrap
+                    ${publishStatus === 'error'
+                      ? 'bg-red-900/30 text-red-400 border-red-800'
+                      : publishStatus === 'pending'
+                      ? 'bg-zinc-700 text-stone-300 border-zinc-600 cursor-default'
+                      : 'bg-transparent text-stone-100 border-zinc-600 hover:bg-zinc-700 hover:border-zinc-500'
+                    }
+                  `}
+                  title="Add a copy of this playlist to your own Spotify account"
+                >
+                  {publishStatus === 'idle' && <span>Add to My Spotify</span>}
+                  {publishStatus === 'publishing' && <span>Adding...</span>}
+                  {publishStatus === 'pending' && <span>Queued</span>}
+                  {publishStatus === 'error' && <span>Error</span>}
+                </button>
+              )}
+
+              {/* DOWNLOAD ACTION: M3U / XSPF / CSV / JSON */}
+              <ExportMenu jobId={jobId} savedPlaylistId={savedPlaylistId} />
+
               {/* CLOSE ACTION: X Icon */}
               <button 
                 onClick={onReset}
@@ -365,6 +625,14 @@ export default function LiveActivityFeed({
               </button>
 
           </div>
+        ) : isCancelled ? (
+          <div className="animate-in fade-in">
+            <h2 className="text-xl font-bold text-stone-100 mb-1">Curation Cancelled</h2>
+            <p className="text-zinc-400 text-sm mb-4">This playlist will not be built.</p>
+            <button onClick={onReset} className="px-4 py-2 bg-zinc-700 rounded-lg text-white hover:bg-zinc-600">
+              Start Over
+            </button>
+          </div>
         ) : isFailed ? (
           <div className="animate-in shake">
             <h2 className="text-xl font-bold text-red-400 mb-1">Curation Failed</h2>
@@ -414,6 +682,15 @@ export default function LiveActivityFeed({
                 />
               )}
             </div>
+
+            {/* CANCEL ACTION: Stops the job on the server */}
+            <button
+              onClick={handleCancel}
+              disabled={cancelStatus === 'cancelling'}
+              className="mt-3 text-xs text-zinc-500 hover:text-red-400 underline underline-offset-2 transition-colors disabled:no-underline disabled:hover:text-zinc-500"
+            >
+              {cancelStatus === 'cancelling' ? 'Cancelling...' : cancelStatus === 'error' ? 'Could not cancel, try again' : 'Cancel Curation'}
+            </button>
           </>
         )}
       </div>
@@ -423,7 +700,7 @@ export default function LiveActivityFeed({
         ref={scrollContainerRef}
         className="flex-1 overflow-y-auto bg-zinc-900 p-4 scroll-smooth relative"
       >
-        {visibleLogs.length === 0 && !isFailed && (
+        {visibleActivity.length === 0 && !isFailed && !isCancelled && (
           <div className="h-full flex flex-col items-center justify-center opacity-50 relative overflow-hidden">
             {status === 'pending' ? (
               <>
@@ -470,27 +747,31 @@ export default function LiveActivityFeed({
         )}
 
         <div className="flex flex-col gap-4">
-          {visibleLogs.map((log, index) => {
+          {visibleActivity.map((entry, index) => {
             let type = 'info';
-            let text = log;
+            let text = '';
             let subText = '';
             let artistName = '';
 
-            // PARSE LOG TYPE
-            if (log.startsWith('ARTIST:')) {
+            // ENTRY TYPE
+            if (entry.type === 'artist_added') {
               type = 'success';
-              artistName = log.replace('ARTIST:', '').trim();
+              artistName = entry.artist;
               text = artistName;
-            } else if (log.startsWith('SKIPPED:')) {
+            } else if (entry.type === 'artist_skipped') {
               type = 'skipped';
-              const parts = log.replace('SKIPPED:', '').split('(');
-              artistName = parts[0].trim();
+              // The detail says why (not found, genre, popularity, ...)
+              artistName = entry.artist;
               text = artistName;
-              subText = 'Tracks not found';
-            } else if (log.startsWith('WARNING:')) {
+              subText = entry.detail || SKIP_REASON_LABELS[entry.reason] || 'Tracks not found';
+            } else if (entry.type === 'batch') {
               type = 'warning';
-              text = log.replace('WARNING:', '').trim();
-              // Warnings don't have artist names, so skip event matching
+              // Batches don't have a single artist, so skip event matching
+              const artistCount = entry.artistCount ?? entry.artists.length;
+              const moreArtists = artistCount > 5 ? ` and ${artistCount - 5} more` : '';
+              text = `Failed to add tracks for ${artistCount} artists (${entry.artists.slice(0, 5).join(', ')}${moreArtists}). Some tracks may be missing from playlist.`;
+            } else {
+              text = entry.message;
             }
 
             // FIND RICH DATA (Image & Link)
@@ -572,26 +853,62 @@ export default function LiveActivityFeed({
                   </span>
                   
                   {/* Subtext Logic */}
+                  {!eventData && type === 'skipped' && (
+                    <span className="text-[10px] uppercase font-bold tracking-wider text-red-400/80 mt-1">
+                      {subText}
+                    </span>
+                  )}
                   {eventData && (
                     <div className="flex flex-col items-center w-full mt-1">
-                      {/* Venue & Time Line (Centered) */}
-                      <div className="flex items-center justify-center gap-2 text-xs text-zinc-500 w-full truncate">
-                        {eventData.date && (
-                          <span className="text-amber-600 font-mono tracking-tighter">
-                            {formatTime(eventData.date)}
-                          </span>
-                        )}
-                        {eventData.venue && (
-                          <span className="truncate max-w-[150px]">
-                            @ {eventData.venue}
-                          </span>
-                        )}
-                      </div>
+                      {/* One line per show (an artist can play several), later shows get their own ticket link */}
+                      {(eventData.shows?.length ? eventData.shows : [eventData]).map((show: typeof eventData, showIndex: number) => (
+                        <div key={showIndex} className="flex flex-col items-center w-full">
+                          {/* Day, Venue, Time & Distance Line (Centered) */}
+                          <div className="flex items-center justify-center gap-2 text-xs text-zinc-500 w-full truncate">
+                            {isMultiDay && show.day && (
+                              <span className="text-zinc-400 font-semibold">{formatDay(show.day)}</span>
+                            )}
+                            {show.date && (
+                              <span className="text-amber-600 font-mono tracking-tighter">
+                                {formatTime(show.date)}
+                              </span>
+                            )}
+                            {show.venue && (
+                              <span className="truncate max-w-[150px]">
+                                @ {show.venue}
+                              </span>
+                            )}
+                            {/* Venue's distance from the city (older events don't have one) */}
+                            {typeof show.distanceKm === 'number' && (
+                              <span className="shrink-0">{show.distanceKm} km</span>
+                            )}
+                            {/* The row itself opens the first show's tickets */}
+                            {showIndex > 0 && show.url && (
+                              <a
+                                href={show.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                onClick={(e) => e.stopPropagation()}
+                                className="shrink-0 text-amber-600 hover:text-amber-400 underline underline-offset-2"
+                              >
+                                Tickets
+                              </a>
+                            )}
+                          </div>
+
+                          {/* Support acts: whose show they're opening */}
+                          {show.role === 'opener' && show.headliner && (
+                            <span className="text-[10px] text-zinc-500 truncate max-w-full">
+                              Opening for {show.headliner}
+                            </span>
+                          )}
+                        </div>
+                      ))}
                       
-                      {/* Explicit "Not Found" label for skipped items */}
+                      {/* Why this artist was skipped */}
                       {type === 'skipped' && (
                         <span className="text-[10px] uppercase font-bold tracking-wider text-red-400/80 mt-1">
-                          Tracks Not Found
+                          {subText}
                         </span>
                       )}
                     </div>
@@ -608,7 +925,7 @@ export default function LiveActivityFeed({
             );
           })}
 
-          {!isComplete && !isFailed && isQueueEmpty && visibleLogs.length > 0 && (
+          {!isComplete && !isFailed && !isCancelled && isQueueEmpty && visibleActivity.length > 0 && (
              <div className="flex items-center gap-3 p-3 opacity-50 animate-pulse">
                 <div className="w-6 h-6 rounded-full border-2 border-zinc-600 border-t-transparent animate-spin"></div>
                 <span className="text-zinc-500 italic text-sm">Scanning for next batch...</span>
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { createClient } from '@supabase/supabase-js';
+import ExportMenu from './ExportMenu';
 import {
   XMarkIcon,
   MusicalNoteIcon,
@@ -27,12 +28,35 @@ type SavedPlaylist = {
   name: string;
   city_name: string;
   playlist_date: string; // ISO string 'YYYY-MM-DD'
+  playlist_end_date: string | null; // Last day of a multi-day playlist
+  playlist_radius_km: number | null; // Search radius in km (null: no limit)
+  venue_mode: 'exclude' | 'include';
+  lineup_mode: 'everyone' | 'headliners' | 'openers';
+  venues: { id: number; name: string; city: string }[]; // Picked venues for the venue filter
   spotify_playlist_id: string;
   events_snapshot: any[];
   created_at: string;
   min_start_time: number;
   max_start_time: number;
   excluded_genres: string[] | null;
+  included_genres: string[] | null;
+  keep_untagged: boolean | null;
+  popularity_preset: string | null;
+  min_popularity: number | null;
+  max_popularity: number | null;
+  min_followers: number | null;
+  max_followers: number | null;
+  number_of_songs: number | null;
+  track_strategy: string | null;
+  order_mode: string | null;
+  calendar_token: string | null; // Subscribable iCal feed (GET /api/calendar/:token.ics)
+};
+
+// Artists added/removed by the last refresh (from POST /api/my-playlists/:id/refresh)
+type RefreshChanges = {
+  added: string[];
+  removed: string[];
+  unchangedCount: number;
 };
 
 type PlaylistSidebarProps = {
@@ -47,6 +71,7 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
   const [error, setError] = useState('');
 
   const [refreshingId, setRefreshingId] = useState<string | null>(null);
+  const [refreshChanges, setRefreshChanges] = useState<Record<string, RefreshChanges>>({});
 
   // Refresh Handler
   const handleRefresh = async (e: React.MouseEvent, id: string) => {
@@ -81,6 +106,9 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
         }
         return p;
       }));
+      if (result.changes) {
+        setRefreshChanges(prev => ({ ...prev, [id]: result.changes }));
+      }
       
     } catch (err) {
       console.error('Failed to refresh', err);
@@ -229,7 +257,7 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
               <div 
                 key={playlist.id}
                 onClick={() => onSelectPlaylist(playlist)}
-                className="group p-3 rounded-xl bg-zinc-800/50 border border-zinc-700/50 hover:bg-zinc-800 hover:border-dark-pastel-green/50 cursor-pointer transition-all active:scale-[0.98] relative pr-20"
+                className="group p-3 rounded-xl bg-zinc-800/50 border border-zinc-700/50 hover:bg-zinc-800 hover:border-dark-pastel-green/50 cursor-pointer transition-all active:scale-[0.98] relative pr-28"
               >
                 <div className="flex justify-between items-start mb-1">
                   <h3 className="font-bold text-stone-100 group-hover:text-dark-pastel-green transition-colors truncate">
@@ -240,7 +268,10 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
                 <div className="flex items-center gap-3 text-xs text-zinc-400">
                   <div className="flex items-center gap-1">
                     <CalendarIcon className="w-3 h-3" />
-                    <span>{formatDate(playlist.playlist_date)}</span>
+                    <span>
+                      {formatDate(playlist.playlist_date)}
+                      {playlist.playlist_end_date && ` - ${formatDate(playlist.playlist_end_date)}`}
+                    </span>
                   </div>
                   <div className="flex items-center gap-1">
                     <MusicalNoteIcon className="w-3 h-3" />
@@ -248,6 +279,27 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
                   </div>
                 </div>
 
+                {/* What the last refresh changed */}
+                {refreshChanges[playlist.id] && (
+                  <div
+                    className="mt-1 text-xs text-zinc-500 truncate"
+                    title={[
+                      refreshChanges[playlist.id].added.length ? `New: ${refreshChanges[playlist.id].added.join(', ')}` : '',
+                      refreshChanges[playlist.id].removed.length ? `Gone: ${refreshChanges[playlist.id].removed.join(', ')}` : ''
+                    ].filter(Boolean).join('\n')}
+                  >
+                    {refreshChanges[playlist.id].added.length === 0 && refreshChanges[playlist.id].removed.length === 0
+                      ? 'No lineup changes'
+                      : (
+                        <>
+                          <span className="text-dark-pastel-green">+{refreshChanges[playlist.id].added.length} new</span>
+                          {', '}
+                          <span className="text-red-400">-{refreshChanges[playlist.id].removed.length} gone</span>
+                        </>
+                      )}
+                  </div>
+                )}
+
                 {/* ACTION BUTTONS CONTAINER */}
                 <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-1 opacity-100 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity">
                   
@@ -265,6 +317,13 @@ export default function PlaylistSidebar({ isOpen, onClose, onSelectPlaylist }: P
                     <ArrowPathIcon className="w-5 h-5" />
                   </button>
 
+                  {/* DOWNLOAD BUTTON */}
+                  <ExportMenu
+                    savedPlaylistId={playlist.id}
+                    calendarUrl={playlist.calendar_token ? `${API_URL}/api/calendar/${playlist.calendar_token}.ics` : undefined}
+                    buttonClassName="p-2 text-zinc-600 hover:text-dark-pastel-green hover:bg-zinc-700 rounded-full transition-colors"
+                  />
+
                   {/* DELETE BUTTON */}
                   <button 
                     onClick={(e) => handleDelete(e, playlist.id)}
@@ -5,11 +5,80 @@ const postgres = require('postgres');
 const levenshtein = require('fast-levenshtein');
 const cors = require('cors');
 const path = require('path'); 
+const { EventEmitter } = require('events');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 const { createClient } = require('@supabase/supabase-js');
 
-const { scrapeBandsintown } = require('./utils/bandsintownScraper');
+const { fetchEvents } = require('./utils/eventSources');
+const { createAccountPool } = require('./utils/spotifyAccountPool');
+const { createSpotifyClient } = require('./utils/spotifyClient');
+const { createPlaylistCollector } = require('./utils/playlistCollector');
+const { JOB_PRIORITIES, getQueueKey, createJobScheduler } = require('./utils/jobScheduler');
+const { parseDateRange, listDays } = require('./utils/dateRanges');
+const { parseSearchRadius, createEventDistances } = require('./utils/searchRadius');
+const { parseVenueFilter, applyVenueFilter, createVenueDirectory } = require('./utils/venueDirectory');
+const {
+  LINEUP_MODES,
+  DEFAULT_LINEUP_MODE,
+  expandLineups,
+  describeLineupMode
+} = require('./utils/lineups');
+const { groupShowsByArtist } = require('./utils/artistShows');
+const {
+  OAUTH_STATE_TTL_MINUTES,
+  generateCodeVerifier,
+  getCodeChallenge,
+  generateState,
+  buildAuthorizeUrl,
+  exchangeCodeForTokens,
+  refreshUserAccessToken
+} = require('./utils/spotifyUserAuth');
 const { sendPlaylistEmail } = require('./utils/emailService');
+const {
+  MAX_SONGS_PER_ARTIST,
+  TRACK_STRATEGIES,
+  DEFAULT_TRACK_STRATEGY,
+  toTrackSummary,
+  selectTracks,
+  parseSongsPerArtist
+} = require('./utils/trackSelection');
+const {
+  ORDER_MODES,
+  DEFAULT_ORDER_MODE,
+  DEFERRED_ORDER_MODES,
+  orderEventsForPlaylist,
+  orderPlaylistEntries,
+  describeOrderMode
+} = require('./utils/playlistOrdering');
+const {
+  GENRE_MODES,
+  classifyArtistGenres,
+  getGenreOptions
+} = require('./utils/genreTaxonomy');
+const {
+  parsePopularityFilters,
+  popularityFiltersFromRow,
+  checkArtistPopularity,
+  describePopularityFilters
+} = require('./utils/popularityFilters');
+const {
+  EXPORT_FORMATS,
+  isExportFormat,
+  toExportTrack,
+  renderExport
+} = require('./utils/playlistExport');
+const { renderCalendar } = require('./utils/icalendar');
+const {
+  SKIP_REASONS,
+  BATCH_OUTCOMES,
+  infoActivity,
+  artistAddedActivity,
+  artistSkippedActivity,
+  batchActivity,
+  genreSkipActivity,
+  fromLegacyLogLine,
+  getJobActivity
+} = require('./utils/jobActivity');
 // --- Logger Configuration ---
 // Get the log level from environment variables. Default to 'info' for production.
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
@@ -46,152 +115,6 @@ const logger = {
 
 logger.info("--- RUNNING LATEST INDEX.JS (DATABASE_URL version) ---");
 
-// --- GLOBAL RATE LIMIT COORDINATION ---
-// Shared state across all workers to coordinate rate limiting
-// When any worker gets a 429, all workers pause until rate limit resets
-// State is persisted to database to survive server restarts
-const globalRateLimit = {
-  isLimited: false,
-  expiresAt: null, // Timestamp when rate limit expires
-  retryAfter: null // Seconds to wait (from Retry-After header)
-};
-
-/**
- * Load rate limit state from database on server startup
- * This prevents making requests immediately after restart if we were rate limited
- * Loads the rate limit state for the currently selected account
- */
-async function loadRateLimitFromDatabase() {
-  try {
-    const result = await sql`
-      SELECT rate_limit_expires_at 
-      FROM rate_limit_state 
-      WHERE account_type = ${CURRENT_ACCOUNT_TYPE}
-    `;
-    
-    if (result.length > 0 && result[0].rate_limit_expires_at) {
-      const expiresAt = new Date(result[0].rate_limit_expires_at).getTime();
-      const now = Date.now();
-      
-      if (expiresAt > now) {
-        // Rate limit is still active
-        globalRateLimit.isLimited = true;
-        globalRateLimit.expiresAt = expiresAt;
-        const remainingSeconds = Math.ceil((expiresAt - now) / 1000);
-        globalRateLimit.retryAfter = remainingSeconds;
-        logger.warn(`[RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Loaded active rate limit from database. Expires in ${remainingSeconds}s (at ${new Date(expiresAt).toISOString()})`);
-      } else {
-        // Rate limit expired, clear it
-        await sql`DELETE FROM rate_limit_state WHERE account_type = ${CURRENT_ACCOUNT_TYPE}`;
-        logger.info(`[RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Found expired rate limit in database. Cleared.`);
-      }
-    }
-  } catch (error) {
-    // Table might not exist yet, that's okay
-    logger.debug(`[RATE-LIMIT] Could not load rate limit from database: ${error.message}`);
-  }
-}
-
-/**
- * Save rate limit state to database so it persists across restarts
- * Saves the rate limit state for the currently selected account
- */
-async function saveRateLimitToDatabase(expiresAt) {
-  try {
-    await sql`
-      INSERT INTO rate_limit_state (account_type, rate_limit_expires_at, updated_at)
-      VALUES (${CURRENT_ACCOUNT_TYPE}, ${new Date(expiresAt).toISOString()}, NOW())
-      ON CONFLICT (account_type) 
-      DO UPDATE SET 
-        rate_limit_expires_at = ${new Date(expiresAt).toISOString()},
-        updated_at = NOW()
-    `;
-  } catch (error) {
-    // Table might not exist, log but don't fail
-    logger.warn(`[RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Could not save rate limit to database: ${error.message}`);
-  }
-}
-
-/**
- * Clear rate limit state from database
- * Clears the rate limit state for the currently selected account
- */
-async function clearRateLimitFromDatabase() {
-  try {
-    await sql`DELETE FROM rate_limit_state WHERE account_type = ${CURRENT_ACCOUNT_TYPE}`;
-  } catch (error) {
-    // Ignore errors
-  }
-}
-
-/**
- * Check if we're currently rate limited and wait if necessary
- * All workers call this before making Spotify API requests
- */
-async function waitForRateLimit(logPrefix = '') {
-  if (!globalRateLimit.isLimited) {
-    return; // Not rate limited, proceed
-  }
-
-  // Check if rate limit has expired
-  if (globalRateLimit.expiresAt && Date.now() >= globalRateLimit.expiresAt) {
-    // Rate limit expired, clear it
-    globalRateLimit.isLimited = false;
-    globalRateLimit.expiresAt = null;
-    globalRateLimit.retryAfter = null;
-    clearRateLimitFromDatabase(); // Remove from database
-    logger.info(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Rate limit expired. Resuming requests.`);
-    return;
-  }
-
-  // Calculate how long to wait
-  const waitMs = globalRateLimit.expiresAt 
-    ? Math.max(globalRateLimit.expiresAt - Date.now(), 0)
-    : (globalRateLimit.retryAfter || 5) * 1000;
-
-  if (waitMs > 0) {
-    logger.warn(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Global rate limit active. Waiting ${Math.ceil(waitMs/1000)}s before proceeding...`);
-    await sleep(waitMs);
-    
-    // Clear rate limit after waiting
-    globalRateLimit.isLimited = false;
-    globalRateLimit.expiresAt = null;
-    globalRateLimit.retryAfter = null;
-    clearRateLimitFromDatabase(); // Remove from database
-    logger.info(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Rate limit cleared. Resuming requests.`);
-  }
-}
-
-/**
- * Set global rate limit when a 429 error is received
- * All workers will respect this and pause their requests
- */
-function setGlobalRateLimit(retryAfterSeconds, logPrefix = '') {
-  const retryAfter = Number(retryAfterSeconds) || 5;
-  const waitMs = retryAfter * 1000;
-  const expiresAt = Date.now() + waitMs;
-
-  // Log what Spotify told us
-    logger.warn(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Received Retry-After header: ${retryAfterSeconds} seconds (parsed as: ${retryAfter}s)`);
-
-  // Only update if not already limited, or if new expiration is LATER than current
-  // This prevents race conditions where multiple workers set rate limits simultaneously
-  if (!globalRateLimit.isLimited || !globalRateLimit.expiresAt || expiresAt > globalRateLimit.expiresAt) {
-    globalRateLimit.isLimited = true;
-    globalRateLimit.expiresAt = expiresAt;
-    globalRateLimit.retryAfter = retryAfter;
-
-    // Persist to database so it survives server restarts
-    saveRateLimitToDatabase(expiresAt);
-
-    logger.warn(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Global rate limit set. All workers will pause for ${retryAfter}s (until ${new Date(expiresAt).toISOString()})`);
-  } else {
-    // Rate limit already set with later expiration, don't overwrite
-    logger.debug(`${logPrefix} [RATE-LIMIT] [${CURRENT_ACCOUNT_NAME}] Rate limit already active until ${new Date(globalRateLimit.expiresAt).toISOString()}. Not updating.`);
-  }
-}
-// --- END GLOBAL RATE LIMIT COORDINATION ---
-
 // Initialize Supabase Admin Client
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -210,6 +133,8 @@ const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
 // --- App & Middleware Configuration ---
 const app = express();
 const port = process.env.PORT || 3000;
+// Number of proxies in front of us (Render adds one), so req.ip is the client's address
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1', 10));
 app.use(express.json());
 // Whitelist of all allowed frontend URLs
 const allowedOrigins = [
@@ -241,7 +166,9 @@ const corsOptions = {
       // Send 'false' to block the request, instead of an Error to avoid crashing the server.
       callback(null, false); 
     }
-  }
+  },
+  // Lets the frontend read the file name of export downloads
+  exposedHeaders: ['Content-Disposition']
 };
 app.use(cors(corsOptions));
 
@@ -289,39 +216,53 @@ if (process.env.DATABASE_URL) {
 // --- Constants ---
 const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
-const MASTER_REFRESH_TOKEN = process.env.MASTER_REFRESH_TOKEN;
-const MASTER_SPOTIFY_ID = process.env.MASTER_SPOTIFY_ID;
-const MASTER_REFRESH_TOKEN_BACKUP = process.env.MASTER_REFRESH_TOKEN_BACKUP;
-const MASTER_SPOTIFY_ID_BACKUP = process.env.MASTER_SPOTIFY_ID_BACKUP;
 
-// --- Account Selection ---
-// Set USE_BACKUP_ACCOUNT=true or 1 to use backup account, otherwise uses primary
+// --- Spotify Account Pool ---
+// Master accounts come from env (MASTER_REFRESH_TOKEN, *_BACKUP, SPOTIFY_ACCOUNTS) and the
+// 'spotify_accounts' table. Each has its own Spotify client, token cache and rate-limit state.
+// All Spotify calls go through an account's client (utils/spotifyClient.js), which owns the
+// token-bucket scheduler, retries and Retry-After handling.
+// USE_BACKUP_ACCOUNT=true still works: it makes the backup account (type 2) the first choice.
 const USE_BACKUP_ACCOUNT = process.env.USE_BACKUP_ACCOUNT === 'true';
-const CURRENT_ACCOUNT_TYPE = USE_BACKUP_ACCOUNT ? 2 : 1; // 1 = primary, 2 = backup
-const CURRENT_REFRESH_TOKEN = USE_BACKUP_ACCOUNT ? MASTER_REFRESH_TOKEN_BACKUP : MASTER_REFRESH_TOKEN;
-const CURRENT_SPOTIFY_ID = USE_BACKUP_ACCOUNT ? MASTER_SPOTIFY_ID_BACKUP : MASTER_SPOTIFY_ID;
-const CURRENT_ACCOUNT_NAME = USE_BACKUP_ACCOUNT ? 'BACKUP' : 'PRIMARY';
-
-if (USE_BACKUP_ACCOUNT) {
-  logger.info(`[ACCOUNT] Using BACKUP Spotify account (ID: ${CURRENT_SPOTIFY_ID})`);
-  if (!MASTER_REFRESH_TOKEN_BACKUP || !MASTER_SPOTIFY_ID_BACKUP) {
-    logger.warn('⚠️  USE_BACKUP_ACCOUNT is enabled but backup credentials are missing!');
-  }
-} else {
-  logger.info(`[ACCOUNT] Using PRIMARY Spotify account (ID: ${CURRENT_SPOTIFY_ID})`);
-}
+const spotifyPool = createAccountPool({
+  sql,
+  logger,
+  clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+  preferredAccountType: USE_BACKUP_ACCOUNT ? 2 : 1
+});
 
-// --- Master Access Token Caching ---
-// Cache the master access token to avoid refreshing it for every job
-// Spotify access tokens typically expire after 1 hour
-// Separate cache for each account type
-let masterAccessTokenCache = {
-  token: null,
-  expiresAt: null,
-  accountType: null // Track which account this cache is for
-};
-let tokenRefreshInProgress = false; // Mutex to prevent concurrent refreshes
-const TOKEN_REFRESH_BUFFER_MS = 5 * 60 * 1000; // Refresh 5 minutes before expiration
+// --- Job Queue ---
+// Queued jobs NOTIFY this channel, which wakes an idle worker right away (see startWorker).
+// Polling is only a safety net for missed notifications.
+const JOB_QUEUE_CHANNEL = 'playlist_job_queued';
+const WORKER_COUNT = 16;
+const WORKER_SAFETY_POLL_SECONDS = parseFloat(process.env.WORKER_SAFETY_POLL_SECONDS || '60');
+const ZOMBIE_REAPER_INTERVAL_MINUTES = parseFloat(process.env.ZOMBIE_REAPER_INTERVAL_MINUTES || '5');
+// Interrupted jobs go back to the queue and resume from their checkpoint, this many times at most
+const MAX_JOB_RESUMES = parseInt(process.env.MAX_JOB_RESUMES || '3', 10);
+// Priority, per-owner round-robin and the per-owner cap (MAX_JOBS_PER_OWNER), see utils/jobScheduler.js
+const jobScheduler = createJobScheduler({ sql });
+// Venue distances and the optional per-job radius, see utils/searchRadius.js
+const eventDistances = createEventDistances({ sql });
+// Venues seen in scraped events, for autocomplete and venue filters, see utils/venueDirectory.js
+const venueDirectory = createVenueDirectory({ sql });
+
+// --- Orphaned Playlist Collector ---
+// Unfollows master-account playlists nothing references anymore (see utils/playlistCollector.js).
+// PLAYLIST_GC_INTERVAL_HOURS=0 turns the schedule off; PLAYLIST_GC_DRY_RUN=true only reports.
+const PLAYLIST_GC_INTERVAL_HOURS = parseFloat(process.env.PLAYLIST_GC_INTERVAL_HOURS || '24');
+const PLAYLIST_GC_DRY_RUN = process.env.PLAYLIST_GC_DRY_RUN === 'true';
+const playlistCollector = createPlaylistCollector({ sql, logger, spotifyPool });
+
+// --- User Spotify Connections ---
+// Users can connect their own Spotify account (PKCE) to publish playlists into their library.
+// SPOTIFY_USER_REDIRECT_URI must be registered in the Spotify app settings.
+// FRONTEND_URL is where the OAuth callback sends the user back to.
+const SPOTIFY_USER_REDIRECT_URI = process.env.SPOTIFY_USER_REDIRECT_URI || `http://localhost:${port}/api/spotify/callback`;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+// Calls made with user tokens get their own request budget, separate from the master accounts
+const userSpotifyClient = createSpotifyClient({ name: 'USER', logger });
 
 // --- Helper Functions ---
 
@@ -374,148 +315,61 @@ async function getUserIdFromRequest(req) {
 }
 
 /**
- * Uses the master refresh token to get a new, valid master access token.
- * Implements caching and mutex to prevent concurrent refresh requests.
- * Uses the currently selected account (primary or backup).
+ * Checks the 'x-admin-key' header against ADMIN_API_KEY.
+ * Admin routes are disabled entirely if ADMIN_API_KEY is not set.
  */
-async function getMasterAccessToken() {
-  const now = Date.now();
-  
-  // Check if we have a valid cached token for the current account
-  if (masterAccessTokenCache.token && 
-      masterAccessTokenCache.expiresAt && 
-      masterAccessTokenCache.expiresAt > now &&
-      masterAccessTokenCache.accountType === CURRENT_ACCOUNT_TYPE) {
-    return masterAccessTokenCache.token;
-  }
-  
-  // If cache is for a different account, clear it
-  if (masterAccessTokenCache.accountType !== null && masterAccessTokenCache.accountType !== CURRENT_ACCOUNT_TYPE) {
-    masterAccessTokenCache = { token: null, expiresAt: null, accountType: null };
-  }
-  
-  // If a refresh is already in progress, wait for it
-  while (tokenRefreshInProgress) {
-    await sleep(100); // Wait 100ms and check again
-  }
-  
-  // Double-check cache after waiting (another worker might have refreshed it)
-  if (masterAccessTokenCache.token && 
-      masterAccessTokenCache.expiresAt && 
-      masterAccessTokenCache.expiresAt > now &&
-      masterAccessTokenCache.accountType === CURRENT_ACCOUNT_TYPE) {
-    return masterAccessTokenCache.token;
-  }
-  
-  // Acquire mutex
-  tokenRefreshInProgress = true;
-  
-  try {
-    const authHeader = 'Basic ' + (Buffer.from(CLIENT_ID + ':' + CLIENT_SECRET).toString('base64'));
-    const params = new URLSearchParams();
-    params.append('grant_type', 'refresh_token');
-    params.append('refresh_token', CURRENT_REFRESH_TOKEN);
-
-    // Retry logic for token refresh (3 retries with exponential backoff)
-    const MAX_TOKEN_REFRESH_RETRIES = 3;
-    let lastError;
-    
-    for (let retryCount = 0; retryCount <= MAX_TOKEN_REFRESH_RETRIES; retryCount++) {
-      try {
-        if (retryCount > 0) {
-          const backoffMs = Math.min(1000 * Math.pow(2, retryCount - 1), 10000); // 1s, 2s, 4s, max 10s
-          logger.warn(`[TOKEN-REFRESH] Retry ${retryCount}/${MAX_TOKEN_REFRESH_RETRIES} after ${backoffMs}ms...`);
-          await sleep(backoffMs);
-        }
-        
-        const response = await axios.post('https://accounts.spotify.com/api/token', params, {
-          headers: {
-            'content-type': 'application/x-www-form-urlencoded',
-            'Authorization': authHeader
-          }
-        });
-
-        const accessToken = response.data.access_token;
-        const expiresIn = response.data.expires_in || 3600; // Default to 1 hour if not provided
-        
-        // Cache the token with expiration time (subtract buffer to refresh early)
-        masterAccessTokenCache = {
-          token: accessToken,
-          expiresAt: now + (expiresIn * 1000) - TOKEN_REFRESH_BUFFER_MS,
-          accountType: CURRENT_ACCOUNT_TYPE
-        };
-        
-        logger.info(`[TOKEN-REFRESH] [${CURRENT_ACCOUNT_NAME}] Successfully refreshed master access token. Expires in ${expiresIn}s (cached until ${new Date(masterAccessTokenCache.expiresAt).toISOString()})`);
-        
-        // We don't need to handle new refresh tokens for the master account,
-        // as we can just re-authenticate manually if it ever expires.
-        return accessToken;
-      } catch (error) {
-        lastError = error;
-        const status = error.response?.status;
-        const statusText = error.response?.statusText;
-        const errorData = error.response?.data;
-        const retryAfter = error.response?.headers?.['retry-after'];
-        
-        if (status === 429 && retryAfter) {
-          // Rate limited - wait for the specified time
-          const waitSeconds = parseInt(retryAfter, 10);
-          logger.warn(`[TOKEN-REFRESH] Rate limited. Waiting ${waitSeconds}s before retry...`);
-          await sleep(waitSeconds * 1000);
-          continue; // Retry after waiting
-        }
-        
-        // Log detailed error for debugging
-        logger.error(`[TOKEN-REFRESH] Attempt ${retryCount + 1}/${MAX_TOKEN_REFRESH_RETRIES + 1} failed:`, {
-          status,
-          statusText,
-          errorData,
-          retryAfter,
-          message: error.message
-        });
-        
-        // If this is the last retry, break and throw
-        if (retryCount === MAX_TOKEN_REFRESH_RETRIES) {
-          break;
-        }
-      }
-    }
-    
-    // All retries failed
-    logger.error('CRITICAL: Could not refresh master access token after all retries!', {
-      status: lastError?.response?.status,
-      statusText: lastError?.response?.statusText,
-      errorData: lastError?.response?.data,
-      message: lastError?.message
-    });
-    throw new Error(`Failed to get master access token after ${MAX_TOKEN_REFRESH_RETRIES + 1} attempts: ${lastError?.response?.status || lastError?.message}`);
-  } finally {
-    // Release mutex
-    tokenRefreshInProgress = false;
-  }
+function isAdminRequest(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  return req.headers['x-admin-key'] === adminKey;
 }
 
+
 /**
- * Helper to push a log message to the database and update progress counts.
+ * Helper to push an activity entry (see utils/jobActivity.js) to the database and update progress counts.
  */
-async function updateJobLog(jobId, message, processedCount = null, totalCount = null) {
+async function recordJobActivity(jobId, entry, processedCount = null, totalCount = null) {
   try {
     // Construct the dynamic update object
-    // We utilize the '||' operator for array concatenation in Postgres
+    // We utilize the '||' operator for JSONB array concatenation in Postgres
     await sql`
       UPDATE playlist_jobs
       SET 
-        log_history = array_append(log_history, ${message}),
+        activity = activity || ${sql.json([entry])},
         processed_artists = COALESCE(${processedCount}, processed_artists),
         total_artists = COALESCE(${totalCount}, total_artists),
         updated_at = NOW()
       WHERE id = ${jobId};
     `;
+    notifyJobChanged(jobId);
   } catch (err) {
     // Fail silently so we don't crash the main worker if a log fails
-    logger.warn(`Failed to update log for job ${jobId}: ${err.message}`);
+    logger.warn(`Failed to record activity for job ${jobId}: ${err.message}`);
+  }
+}
+
+// --- JOB PROGRESS NOTIFICATIONS ---
+// Workers run in this process, so they signal job changes here and open progress streams
+// (/api/playlists/stream) push the change right away instead of waiting for their next check.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open stream
+
+function notifyJobChanged(jobId) {
+  jobEvents.emit('change', String(jobId));
+}
+
+/**
+ * Wakes an idle worker (in any server instance) for a job that was just queued.
+ * The safety-net poll still finds the job if this fails, so errors are only logged.
+ */
+async function notifyJobQueued(jobId) {
+  try {
+    await sql.notify(JOB_QUEUE_CHANNEL, String(jobId));
+  } catch (err) {
+    logger.warn(`Failed to notify workers about job ${jobId}: ${err.message}`);
   }
 }
+// --- END JOB PROGRESS NOTIFICATIONS ---
 
 function formatDatePretty(isoDate) {
   if (!isoDate) return '';
@@ -523,29 +377,483 @@ function formatDatePretty(isoDate) {
   return `${month}-${day}-${year}`;
 }
 
+// "12-19-2025", or "12-19-2025 to 12-21-2025" for a multi-day job
+function formatDateRangePretty(startDate, endDate) {
+  return endDate ? `${formatDatePretty(startDate)} to ${formatDatePretty(endDate)}` : formatDatePretty(startDate);
+}
+
 function formatHourShort(hour) {
   if (hour === 0 || hour === 24) return '12am';
   if (hour === 12) return '12pm';
   return hour > 12 ? `${hour - 12}pm` : `${hour}am`;
 }
 
+/**
+ * Compares two event lists by artist name (case-insensitive).
+ * Returns the names only in 'currentEvents' (added) and only in 'previousEvents' (removed).
+ */
+function diffEventArtists(previousEvents, currentEvents) {
+  const toNameMap = (events) => new Map(
+    (events || []).filter(event => event?.name).map(event => [event.name.toLowerCase().trim(), event.name])
+  );
+  const previous = toNameMap(previousEvents);
+  const current = toNameMap(currentEvents);
+
+  return {
+    added: Array.from(current.keys()).filter(key => !previous.has(key)).map(key => current.get(key)),
+    removed: Array.from(previous.keys()).filter(key => !current.has(key)).map(key => previous.get(key)),
+    unchangedCount: Array.from(current.keys()).filter(key => previous.has(key)).length
+  };
+}
+
+// --- SCRAPED EVENTS CACHE ---
+// Jobs for the same city and date share one scrape, even if their filters differ.
+// Entries are per day, so a weekend job reuses the scrape of a single-day job for Saturday (and vice versa).
+// Coordinates are rounded so tiny differences (e.g. geolocation vs. autocomplete) still hit.
+const EVENTS_CACHE_TTL_MINUTES = parseInt(process.env.EVENTS_CACHE_TTL_MINUTES || '60', 10);
+const EVENTS_CACHE_COORD_PRECISION = parseInt(process.env.EVENTS_CACHE_COORD_PRECISION || '2', 10); // 2 decimals = ~1km
+
+function roundCoordinate(value) {
+  const factor = Math.pow(10, EVENTS_CACHE_COORD_PRECISION);
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Returns the cached event list for this date/location, or null on a miss (or expired entry).
+ */
+async function getCachedEvents(date, latitude, longitude) {
+  if (EVENTS_CACHE_TTL_MINUTES <= 0) return null; // Cache disabled
+
+  try {
+    const result = await sql`
+      SELECT events, created_at
+      FROM events_cache
+      WHERE search_date = ${date}
+      AND latitude_rounded = ${roundCoordinate(latitude)}
+      AND longitude_rounded = ${roundCoordinate(longitude)}
+      AND expires_at > NOW()
+    `;
+    return result.length > 0 ? result[0].events : null;
+  } catch (error) {
+    // Never fail a job because of the cache, just scrape instead
+    logger.warn(`[EVENTS-CACHE] Could not read events cache: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stores a freshly scraped event list. Empty lists are NOT cached,
+ * since zero results usually means we were blocked rather than a quiet night.
+ */
+async function saveEventsToCache(date, latitude, longitude, events) {
+  if (EVENTS_CACHE_TTL_MINUTES <= 0 || !events || events.length === 0) return;
+
+  const expiresAt = new Date(Date.now() + EVENTS_CACHE_TTL_MINUTES * 60 * 1000).toISOString();
+  try {
+    await sql`
+      INSERT INTO events_cache (search_date, latitude_rounded, longitude_rounded, events, created_at, expires_at)
+      VALUES (${date}, ${roundCoordinate(latitude)}, ${roundCoordinate(longitude)}, ${sql.json(events)}, NOW(), ${expiresAt})
+      ON CONFLICT (search_date, latitude_rounded, longitude_rounded)
+      DO UPDATE SET
+        events = EXCLUDED.events,
+        created_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+    `;
+  } catch (error) {
+    logger.warn(`[EVENTS-CACHE] Could not save events cache: ${error.message}`);
+  }
+}
+
+/**
+ * Cache-first wrapper around fetchEvents().
+ */
+async function getEventsForJob(date, latitude, longitude, workerId) {
+  const logPrefix = `[Worker ${workerId}]`;
+
+  const cachedEvents = await getCachedEvents(date, latitude, longitude);
+  if (cachedEvents) {
+    logger.info(`${logPrefix} [EVENTS-CACHE] HIT for ${date} at ${roundCoordinate(latitude)},${roundCoordinate(longitude)} (${cachedEvents.length} events). Skipping scrape.`);
+    return cachedEvents;
+  }
+
+  logger.info(`${logPrefix} [EVENTS-CACHE] MISS for ${date} at ${roundCoordinate(latitude)},${roundCoordinate(longitude)}. Scraping...`);
+  const events = await fetchEvents(date, latitude, longitude, workerId);
+  await saveEventsToCache(date, latitude, longitude, events);
+  return events;
+}
+
+/**
+ * Events for every day from startDate through endDate (null for a single day), scraped one day at a time.
+ * Each event is tagged with the day it was listed under ('day', YYYY-MM-DD), which can differ from
+ * event.date for shows that start after midnight.
+ */
+async function getEventsForDateRange(startDate, endDate, latitude, longitude, workerId) {
+  const events = [];
+  for (const day of listDays(startDate, endDate)) {
+    const dayEvents = await getEventsForJob(day, latitude, longitude, workerId);
+    events.push(...dayEvents.map(event => ({ ...event, day })));
+  }
+  return events;
+}
+// --- END SCRAPED EVENTS CACHE ---
+
+// --- ARTIST RESOLUTION CACHE ---
+// Maps a Bandsintown artist name to its Spotify artist (and top tracks) across jobs.
+// Hits skip both the /search and /top-tracks calls.
+const ARTIST_CACHE_TTL_DAYS = parseFloat(process.env.ARTIST_CACHE_TTL_DAYS || '30');
+const ARTIST_NOT_FOUND_TTL_DAYS = parseFloat(process.env.ARTIST_NOT_FOUND_TTL_DAYS || '3'); // New artists show up on Spotify, retry sooner
+const TOP_TRACKS_TTL_DAYS = parseFloat(process.env.TOP_TRACKS_TTL_DAYS || '7');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeArtistName(name) {
+  return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Returns the cached resolution for an artist name, or null on a miss (or expired match).
+ * The returned row has 'hasFreshTracks' set if its top_tracks are still within TTL.
+ */
+async function getArtistResolution(normalizedName) {
+  try {
+    const result = await sql`
+      SELECT * FROM artist_resolutions WHERE normalized_name = ${normalizedName}
+    `;
+    if (result.length === 0) return null;
+
+    const row = result[0];
+    const ttlDays = row.spotify_artist_id ? ARTIST_CACHE_TTL_DAYS : ARTIST_NOT_FOUND_TTL_DAYS;
+    const age = Date.now() - new Date(row.resolved_at).getTime();
+    if (age > ttlDays * DAY_MS) return null; // Expired, resolve again
+
+    row.hasFreshTracks = !!(row.top_tracks && row.tracks_fetched_at &&
+      Date.now() - new Date(row.tracks_fetched_at).getTime() <= TOP_TRACKS_TTL_DAYS * DAY_MS);
+    return row;
+  } catch (error) {
+    logger.warn(`[ARTIST-CACHE] Could not read resolution for "${normalizedName}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves the result of an artist search. Pass match = null to record "not found".
+ * Re-resolving clears the cached top tracks, since the artist may have changed.
+ */
+async function saveArtistResolution(normalizedName, match, matchDistance) {
+  try {
+    await sql`
+      INSERT INTO artist_resolutions (normalized_name, spotify_artist_id, spotify_name, genres, match_distance, popularity, followers, resolved_at)
+      VALUES (
+        ${normalizedName}, ${match ? match.id : null}, ${match ? match.name : null}, ${match ? match.genres || [] : []},
+        ${match ? matchDistance : null}, ${match?.popularity ?? null}, ${match?.followers?.total ?? null}, NOW()
+      )
+      ON CONFLICT (normalized_name)
+      DO UPDATE SET
+        spotify_artist_id = EXCLUDED.spotify_artist_id,
+        spotify_name = EXCLUDED.spotify_name,
+        genres = EXCLUDED.genres,
+        match_distance = EXCLUDED.match_distance,
+        popularity = EXCLUDED.popularity,
+        followers = EXCLUDED.followers,
+        resolved_at = NOW(),
+        top_tracks = CASE WHEN artist_resolutions.spotify_artist_id IS NOT DISTINCT FROM EXCLUDED.spotify_artist_id
+          THEN artist_resolutions.top_tracks ELSE NULL END,
+        tracks_fetched_at = CASE WHEN artist_resolutions.spotify_artist_id IS NOT DISTINCT FROM EXCLUDED.spotify_artist_id
+          THEN artist_resolutions.tracks_fetched_at ELSE NULL END
+    `;
+  } catch (error) {
+    logger.warn(`[ARTIST-CACHE] Could not save resolution for "${normalizedName}": ${error.message}`);
+  }
+}
+
+/**
+ * Saves the top tracks (as track summaries) for an already-resolved artist.
+ */
+async function saveArtistTopTracks(normalizedName, tracks) {
+  try {
+    await sql`
+      UPDATE artist_resolutions
+      SET top_tracks = ${sql.json(tracks)}, tracks_fetched_at = NOW()
+      WHERE normalized_name = ${normalizedName}
+    `;
+  } catch (error) {
+    logger.warn(`[ARTIST-CACHE] Could not save top tracks for "${normalizedName}": ${error.message}`);
+  }
+}
+// --- END ARTIST RESOLUTION CACHE ---
+
+/**
+ * Reads one of our playlists (name, description and tracks) through a master account:
+ * its owner when we know it, any pooled account otherwise (our playlists are public).
+ * Tracks come back in the toExportTrack() shape.
+ */
+async function readMasterPlaylist(playlistId, accountType, logPrefix = '') {
+  const account = spotifyPool.getAccount(accountType) || spotifyPool.pickAccount();
+  const config = { headers: { 'Authorization': `Bearer ${await spotifyPool.getAccessToken(account)}` } };
+
+  const detailsResponse = await account.client.get(
+    `https://api.spotify.com/v1/playlists/${playlistId}?fields=name,description`,
+    config,
+    { logPrefix, label: 'Read playlist' }
+  );
+
+  const tracks = [];
+  let nextUrl = `https://api.spotify.com/v1/playlists/${playlistId}/tracks?fields=items(track(uri,name,duration_ms,artists(name),album(name))),next&limit=100`;
+  while (nextUrl) {
+    const page = await account.client.get(nextUrl, config, { logPrefix, label: 'Read playlist tracks' });
+    page.data.items.forEach(item => {
+      const track = toExportTrack(item);
+      if (track) tracks.push(track);
+    });
+    nextUrl = page.data.next;
+  }
+
+  return { name: detailsResponse.data.name, description: detailsResponse.data.description, tracks };
+}
+
+// --- USER SPOTIFY CONNECTION ---
+// Publishing copies one of our playlists into the user's own library, using their tokens.
+// Requests on a job that is still building stay 'pending' until the worker completes it (like email_requests).
+
+/**
+ * Returns a valid access token for a user's connection, refreshing (and storing) it when needed.
+ * If Spotify rejects the refresh token, the user revoked access, so the connection is removed.
+ */
+async function getUserSpotifyAccessToken(connection) {
+  const expiresAt = connection.access_token_expires_at ? new Date(connection.access_token_expires_at).getTime() : 0;
+  if (connection.access_token && expiresAt > Date.now() + 60 * 1000) {
+    return connection.access_token;
+  }
+
+  let tokens;
+  try {
+    tokens = await refreshUserAccessToken({ clientId: CLIENT_ID, refreshToken: connection.refresh_token });
+  } catch (error) {
+    if (error.response?.data?.error === 'invalid_grant') {
+      await sql`DELETE FROM user_spotify_connections WHERE user_id = ${connection.user_id}`;
+      throw new Error('Spotify access was revoked. Please connect Spotify again.');
+    }
+    throw error;
+  }
+
+  await sql`
+    UPDATE user_spotify_connections
+    SET
+      access_token = ${tokens.accessToken},
+      access_token_expires_at = ${tokens.expiresAt},
+      refresh_token = ${tokens.refreshToken || connection.refresh_token},
+      updated_at = NOW()
+    WHERE user_id = ${connection.user_id}
+  `;
+  return tokens.accessToken;
+}
+
+/**
+ * Copies one of our playlists (name, description and tracks) into the user's library.
+ * Returns the ID of the new playlist.
+ */
+async function copyPlaylistToUserLibrary(userId, sourcePlaylistId, accountType, logPrefix) {
+  const [connection] = await sql`SELECT * FROM user_spotify_connections WHERE user_id = ${userId}`;
+  if (!connection) throw new Error('Spotify is not connected.');
+
+  const source = await readMasterPlaylist(sourcePlaylistId, accountType, logPrefix);
+  const trackUris = source.tracks.map(track => track.uri);
+
+  const userConfig = {
+    headers: {
+      'Authorization': `Bearer ${await getUserSpotifyAccessToken(connection)}`,
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const createResponse = await userSpotifyClient.post(
+    'https://api.spotify.com/v1/me/playlists',
+    {
+      name: source.name,
+      description: source.description || '',
+      public: false
+    },
+    userConfig,
+    { logPrefix, label: 'User playlist creation' }
+  );
+  const userPlaylistId = createResponse.data.id;
+
+  // Spotify allows up to 100 tracks per POST request
+  for (let i = 0; i < trackUris.length; i += 100) {
+    await userSpotifyClient.post(
+      `https://api.spotify.com/v1/playlists/${userPlaylistId}/tracks`,
+      { uris: trackUris.slice(i, i + 100) },
+      userConfig,
+      { logPrefix, label: 'User playlist tracks' }
+    );
+  }
+
+  logger.info(`${logPrefix} Published playlist ${sourcePlaylistId} to Spotify user ${connection.spotify_user_id} as ${userPlaylistId} (${trackUris.length} tracks)`);
+  return userPlaylistId;
+}
+
+/**
+ * Runs one publish request and records the outcome on its row. Never throws.
+ */
+async function runSpotifyPublish(publishRequest, sourcePlaylistId, accountType, logPrefix = '[SPOTIFY-PUBLISH]') {
+  try {
+    const userPlaylistId = await copyPlaylistToUserLibrary(publishRequest.user_id, sourcePlaylistId, accountType, logPrefix);
+    const [row] = await sql`
+      UPDATE spotify_publish_requests
+      SET
+        status = 'published',
+        source_playlist_id = ${sourcePlaylistId},
+        spotify_playlist_id = ${userPlaylistId},
+        error_message = NULL,
+        published_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${publishRequest.id}
+      RETURNING *
+    `;
+    return row;
+  } catch (error) {
+    logger.error(`${logPrefix} Failed to publish playlist ${sourcePlaylistId} for user ${publishRequest.user_id}: ${error.message}`);
+    const [row] = await sql`
+      UPDATE spotify_publish_requests
+      SET
+        status = 'failed',
+        source_playlist_id = ${sourcePlaylistId},
+        error_message = ${error.message},
+        updated_at = NOW()
+      WHERE id = ${publishRequest.id}
+      RETURNING *
+    `;
+    return row;
+  }
+}
+
+/**
+ * Publishes a job's playlist or a saved playlist for a user.
+ * Completed playlists are copied right away; a job that is still building gets a 'pending' request.
+ * Asking twice for the same playlist returns the existing request instead of making a second copy.
+ */
+async function requestSpotifyPublish(userId, { job = null, saved = null }) {
+  const source = saved || job;
+  const sourcePlaylistId = saved ? saved.spotify_playlist_id : (job.status === 'complete' ? job.playlist_id : null);
+
+  const existing = await sql`
+    SELECT * FROM spotify_publish_requests
+    WHERE user_id = ${userId}
+      AND status <> 'failed'
+      AND ${saved
+        ? sql`saved_playlist_id = ${saved.id} AND source_playlist_id = ${sourcePlaylistId}`
+        : sql`job_id = ${job.id}`}
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+  if (existing.length > 0) return existing[0];
+
+  const [publishRequest] = await sql`
+    INSERT INTO spotify_publish_requests (user_id, job_id, saved_playlist_id, source_playlist_id, status)
+    VALUES (${userId}, ${job ? job.id : null}, ${saved ? saved.id : null}, ${sourcePlaylistId}, 'pending')
+    RETURNING *
+  `;
+
+  // Still building: the worker publishes it when the job completes
+  if (!sourcePlaylistId) return publishRequest;
+
+  return runSpotifyPublish(publishRequest, sourcePlaylistId, source.spotify_account_type);
+}
+
+/**
+ * Shape of a publish request in API responses.
+ */
+function toPublishResponse(publishRequest) {
+  return {
+    status: publishRequest.status,
+    spotifyPlaylistId: publishRequest.spotify_playlist_id || null,
+    error: publishRequest.error_message || null
+  };
+}
+// --- END USER SPOTIFY CONNECTION ---
+
 /**
  * Creates a new playlist, finds/adds tracks, and saves all results to the DB.
+ * 'options' holds the newer job settings:
+ * - trackStrategy: how to pick each artist's tracks (see utils/trackSelection.js)
+ * - orderMode: how tracks are ordered in the playlist (see utils/playlistOrdering.js)
+ * - includedGenres: only keep artists in these genres (see utils/genreTaxonomy.js)
+ * - keepUntagged: keep artists that have no genre tags on Spotify (default true)
+ * - popularityFilters: min/max artist popularity and followers (see utils/popularityFilters.js)
+ * - endDate: last day of a multi-day job, 'date' being the first (see utils/dateRanges.js). Null for one day
+ * - radiusKm: only keep venues this close to latitude/longitude (see utils/searchRadius.js). Null for no limit
+ * - includedVenueIds / excludedVenueIds: only / never shows at these venues (see utils/venueDirectory.js)
+ * - lineupMode: which acts of each show to look up, 'everyone', 'headliners' or 'openers' (see utils/lineups.js)
+ * 'spotifyAccount' comes from the account pool. The account that creates the playlist owns it,
+ * and is recorded on the job as 'spotify_account_type'.
  */
-async function runCurationLogic(jobId, city, date, number_of_songs, accessToken, latitude, longitude, excludedGenres, minStartTime, maxStartTime, workerId) {
+async function runCurationLogic(jobId, city, date, number_of_songs, spotifyAccount, latitude, longitude, excludedGenres, minStartTime, maxStartTime, workerId, options = {}) {
   // Add log prefix for easier tracing
   const logPrefix = `[Worker ${workerId}]`;
+  const trackStrategy = options.trackStrategy || DEFAULT_TRACK_STRATEGY;
+  const orderMode = options.orderMode || DEFAULT_ORDER_MODE;
+  const includedGenres = options.includedGenres || null;
+  const keepUntagged = options.keepUntagged !== false;
+  const popularityFilters = options.popularityFilters || null;
+  const endDate = options.endDate || null;
+  const radiusKm = options.radiusKm || null;
+  const lineupMode = options.lineupMode || DEFAULT_LINEUP_MODE;
+  const venueMode = options.includedVenueIds?.length ? 'include' : 'exclude';
+  const pickedVenues = await venueDirectory.getVenues(venueMode === 'include' ? options.includedVenueIds : options.excludedVenueIds);
+  // Refreshing a saved playlist: update this Spotify playlist in place so shared links keep working
+  const existingPlaylistId = options.existingPlaylistId || null;
+  // Queued jobs carry a checkpoint (refreshes don't). One with a playlist means we're resuming an interrupted run.
+  const isResumable = !!options.checkpoint;
+  const checkpoint = options.checkpoint?.playlistId ? options.checkpoint : null;
+  const resumeCount = options.resumeCount || 0;
+
+  // Rate limiting, retries and Retry-After handling all live in each account's Spotify client,
+  // which schedules requests from every worker against that account's budget.
   
-  // Rate limiting: Delay between Spotify API calls to prevent 429 errors
-  // With 16 concurrent workers, we need aggressive throttling
-  // Spotify allows ~30 req/sec total, so with 16 workers: 30/16 = ~1.9 req/sec per worker
-  // Increasing to 1000ms delay = 1 req/sec per worker = 16 req/sec total (safer buffer)
-  // Can be overridden with SPOTIFY_API_DELAY_MS env var (in milliseconds)
-  const SPOTIFY_API_DELAY_MS = parseInt(process.env.SPOTIFY_API_DELAY_MS || '1000', 10);
-  
-  // await updateJobLog(jobId, `Scouting venues in ${city} for ${date}...`);
-  // Get the raw artist list by calling our scraper
-  const rawEventsList = await scrapeBandsintown(date, latitude, longitude, workerId);
+  // await recordJobActivity(jobId, infoActivity(`Scouting venues in ${city} for ${formatDateRangePretty(date, endDate)}...`));
+  // Get the raw artist list from every enabled event source (Bandsintown, static file, ...)
+  // Each event carries a 'sources' array listing which adapters reported it.
+  // Checks the shared events cache first, so we only scrape once per city/date (ranges go day by day).
+  // A resumed job keeps the exact artist list (and order) it started with, checkpoints index into it.
+  let resumedEvents = null;
+  if (checkpoint) {
+    const [stored] = await sql`SELECT events_data FROM playlist_jobs WHERE id = ${jobId}`;
+    resumedEvents = stored?.events_data || [];
+  }
+  let rawEventsList = resumedEvents;
+  if (!rawEventsList) {
+    // Every event gets its venue's 'distanceKm' from the city, the radius (if any) drops the far ones
+    const scrapedEvents = await getEventsForDateRange(date, endDate, latitude, longitude, workerId);
+    const { events: nearbyEvents, outsideCount, unlocatedCount } = await eventDistances.applySearchRadius(scrapedEvents, latitude, longitude, radiusKm);
+    if (radiusKm) {
+      logger.info(`${logPrefix} Radius Filter (${radiusKm} km): Reduced ${scrapedEvents.length} events to ${nearbyEvents.length} (${unlocatedCount} without venue coordinates kept).`);
+      if (outsideCount > 0) {
+        await recordJobActivity(jobId, infoActivity(`Skipped ${outsideCount} shows more than ${radiusKm} km from ${city}`));
+      }
+      if (scrapedEvents.length > 0 && unlocatedCount === scrapedEvents.length) {
+        // Not a single venue location: the radius filtered nothing, say so instead of pretending it did
+        logger.warn(`${logPrefix} Radius Filter (${radiusKm} km): no event had venue coordinates, nothing could be filtered.`);
+        await recordJobActivity(jobId, infoActivity(`Venue locations weren't available, so the ${radiusKm} km radius couldn't be applied`));
+      }
+    }
+
+    // Grow the venue directory from everything we scraped, a failure here shouldn't fail the job
+    try {
+      await venueDirectory.recordVenues(scrapedEvents, city);
+    } catch (venueErr) {
+      logger.warn(`${logPrefix} [VENUES] Could not record venues: ${venueErr.message}`);
+    }
+
+    // Venue filters go before any Spotify lookups, so skipped shows cost nothing
+    const { events: venueFilteredEvents, skippedCount } = applyVenueFilter(nearbyEvents, pickedVenues, venueMode);
+    if (pickedVenues.length > 0) {
+      logger.info(`${logPrefix} Venue Filter (${venueMode}: ${pickedVenues.map(v => v.name).join(', ')}): Reduced ${nearbyEvents.length} events to ${venueFilteredEvents.length}.`);
+      if (skippedCount > 0) {
+        const venueReason = venueMode === 'include' ? 'at other venues' : 'at excluded venues';
+        await recordJobActivity(jobId, infoActivity(`Skipped ${skippedCount} shows ${venueReason}`));
+      }
+    }
+    rawEventsList = venueFilteredEvents;
+  }
 
   // --- Time Filter Logic ---
   let timeFilteredEvents = rawEventsList;
@@ -554,8 +862,9 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
   const minHour = minStartTime ? parseInt(minStartTime) : 0;
   const maxHour = maxStartTime ? parseInt(maxStartTime) : 24;
 
-  // Only filter if we have a restriction (Min > 0 OR Max < 24)
-  if (minHour > 0 || maxHour < 24) {
+  // Only filter if we have a restriction (Min > 0 OR Max < 24).
+  // A resumed job's stored artists already went through every filter (and lineup expansion), so they're used as is.
+  if (!resumedEvents && (minHour > 0 || maxHour < 24)) {
 
     // We filter rawEventsList BEFORE the loop
     timeFilteredEvents = rawEventsList.filter(event => {
@@ -576,8 +885,12 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
     logger.info(`${logPrefix} Time Filter (${minHour}:00 - ${maxHour}:00): Reduced ${rawEventsList.length} events to ${timeFilteredEvents.length}.`);
   }
 
+  // One entry per act the lineup mode picks (a show with two openers is three artists with 'everyone')
+  const performerEntries = resumedEvents ? null : expandLineups(timeFilteredEvents, lineupMode);
+
   // --- Construct Naming & Logging Strings ---
-  const prettyDate = formatDatePretty(date);
+  const prettyDate = formatDateRangePretty(date, endDate);
+  const datePhrase = endDate ? `from ${formatDatePretty(date)} to ${formatDatePretty(endDate)}` : `on ${prettyDate}`;
   
   let timeContext = '';
   if (minHour > 0) timeContext += `After ${formatHourShort(minHour)}`;
@@ -590,20 +903,38 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
   let nameContext = '';
   if (timeContext) nameContext += ` (${timeContext})`;
 
-  // Genres suffix
+  // Genres suffix ("Excl: ..." or "Only: ...")
+  const genreFilterParts = [];
   if (excludedGenres && excludedGenres.length > 0) {
-    const prettyGenres = excludedGenres.map(g => g.charAt(0).toUpperCase() + g.slice(1)).join(', ');
+    genreFilterParts.push(`Excl: ${excludedGenres.map(g => g.charAt(0).toUpperCase() + g.slice(1)).join(', ')}`);
+  }
+  if (includedGenres && includedGenres.length > 0) {
+    genreFilterParts.push(`Only: ${includedGenres.map(g => g.charAt(0).toUpperCase() + g.slice(1)).join(', ')}`);
+  }
+  if (radiusKm) genreFilterParts.push(`Within ${radiusKm} km`);
+  const lineupLabel = describeLineupMode(lineupMode);
+  if (lineupLabel) genreFilterParts.push(lineupLabel);
+  // Venues suffix ("At: Mohawk, Stubb's" or "Not At: ...")
+  if (pickedVenues.length > 0) {
+    const venueNames = pickedVenues.length > 2 ? `${pickedVenues.length} venues` : pickedVenues.map(v => v.name).join(', ');
+    genreFilterParts.push(`${venueMode === 'include' ? 'At' : 'Not At'}: ${venueNames}`);
+  }
+  // Popularity suffix ("Hidden Gems", "Popularity 20-60", ...)
+  const popularityLabel = describePopularityFilters(popularityFilters);
+  if (popularityLabel) genreFilterParts.push(popularityLabel);
+
+  for (const part of genreFilterParts) {
     // If we already have time context, append with comma
     if (nameContext) {
-      nameContext = nameContext.slice(0, -1) + `, Excl: ${prettyGenres})`;
+      nameContext = nameContext.slice(0, -1) + `, ${part})`;
     } else {
-      nameContext = ` (Excl: ${prettyGenres})`;
+      nameContext = ` (${part})`;
     }
   }
 
   // Check if we found any artists (using the FILTERED list).
-  if (!timeFilteredEvents || timeFilteredEvents.length === 0) {
-    logger.info(`${logPrefix} No artists found for "${city}" on ${prettyDate}${nameContext} (after time filtering).`);
+  if ((resumedEvents || performerEntries).length === 0) {
+    logger.info(`${logPrefix} No artists found for "${city}" ${datePhrase}${nameContext} (after time and lineup filtering).`);
     return { playlistId: null, events: [] };
   }
 
@@ -621,90 +952,111 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
 
   // Check if we found any artists.
   if (!rawEventsList || rawEventsList.length === 0) {
-    logger.info(`${logPrefix} No artists found for "${city}" on ${date}.`);
+    logger.info(`${logPrefix} No artists found for "${city}" ${datePhrase}.`);
     return { playlistId: null, events: [] };
   }
 
-  // await updateJobLog(jobId, `Scout returned! Found ${rawArtistList.length} artists.`, 0, rawArtistList.length);
+  // await recordJobActivity(jobId, infoActivity(`Scout returned! Found ${rawArtistList.length} artists.`), 0, rawArtistList.length);
 
   // Create the new empty playlist on Spotify
   const playlistData = {
     // UPDATED: Use new naming variables
     name: `${city} ${prettyDate} live music${nameContext}`,
-    description: `Artists performing in ${city} on ${prettyDate}${timeContext ? ` ${timeContext}` : ''}, curated by Live Music Curator.`,
+    description: `Artists performing in ${city} ${datePhrase}${timeContext ? ` ${timeContext}` : ''}, curated by Live Music Curator.${describeOrderMode(orderMode)}`,
     public: true
   };
-  const axiosConfig = {
+
+  // The owner account creates the playlist and does every write to it.
+  // If it's rate-limited past the failover threshold right now, start on a healthier account instead.
+  // An existing playlist can only be changed by the account that owns it (playlists saved before
+  // owners were recorded belong to the preferred account).
+  const existingOwner = existingPlaylistId
+    ? spotifyPool.getAccount(options.existingAccountType) || spotifyPool.listAccounts()[0]
+    : null;
+  const resumedOwner = checkpoint ? spotifyPool.getAccount(checkpoint.accountType) : null;
+  if (checkpoint && !resumedOwner) {
+    throw new Error(`Cannot resume: the Spotify account that owns playlist ${checkpoint.playlistId} is no longer available.`);
+  }
+  const ownerAccount = existingOwner || resumedOwner || spotifyPool.resolveAccount(spotifyAccount, logPrefix);
+  const ownerConfig = async () => ({
     headers: {
-      'Authorization': `Bearer ${accessToken}`,
+      'Authorization': `Bearer ${await spotifyPool.getAccessToken(ownerAccount)}`,
       'Content-Type': 'application/json'
     }
+  });
+
+  // Search and top-tracks lookups aren't tied to the playlist, so they can move between accounts,
+  // even in the middle of a lookup that hit a long 429 (see spotifyPool.lookup)
+  let lookupAccount = ownerAccount;
+  const spotifyLookup = async (url, label) => {
+    const { response, account } = await spotifyPool.lookup(lookupAccount, url, { logPrefix, label });
+    if (account !== lookupAccount) {
+      await recordJobActivity(jobId, infoActivity(`Spotify account ${lookupAccount.name} is rate-limited, switching lookups to ${account.name}`));
+      lookupAccount = account;
+    }
+    return response;
   };
 
-  // await updateJobLog(jobId, "Creating empty playlist on Spotify...");
+  // await recordJobActivity(jobId, infoActivity("Creating empty playlist on Spotify..."));
 
-  // Rate limiting: Check global rate limit BEFORE creating playlist
-  await waitForRateLimit(logPrefix);
-  
-  // Additional pre-emptive delay to prevent hitting rate limits
-  await sleep(SPOTIFY_API_DELAY_MS);
+  let playlistId = checkpoint ? checkpoint.playlistId : null;
+  let replaceExistingTracks = false; // When reusing a playlist, the first batch replaces its old tracks
+  if (checkpoint) {
+    logger.info(`${logPrefix} Resuming job ${jobId} on playlist ${playlistId} (account ${ownerAccount.name}) at artist ${checkpoint.nextArtistIndex + 1}.`);
+  }
 
-  // Create playlist with retry logic for rate limits
-  let playlistId = null;
-  const MAX_PLAYLIST_CREATE_RETRIES = 3;
-  let playlistRetryCount = 0;
-  
-  while (playlistRetryCount < MAX_PLAYLIST_CREATE_RETRIES && !playlistId) {
+  // Reuse the existing playlist: update its name and description, the tracks are replaced below
+  if (existingPlaylistId) {
     try {
-      // Check rate limit before each retry attempt
-      await waitForRateLimit(logPrefix);
-      await sleep(SPOTIFY_API_DELAY_MS);
-      
-      const createPlaylistResponse = await axios.post(
-        `https://api.spotify.com/v1/users/${CURRENT_SPOTIFY_ID}/playlists`,
+      await ownerAccount.client.put(
+        `https://api.spotify.com/v1/playlists/${existingPlaylistId}`,
+        playlistData,
+        await ownerConfig(),
+        { logPrefix, label: 'Playlist details update' }
+      );
+      playlistId = existingPlaylistId;
+      replaceExistingTracks = true;
+      logger.info(`${logPrefix} Reusing existing playlist ${playlistId} on account ${ownerAccount.name}`);
+    } catch (updateError) {
+      const updateStatus = updateError.response ? updateError.response.status : null;
+      // 404: the playlist is gone. 403: this account doesn't own it (anymore).
+      if (updateStatus !== 404 && updateStatus !== 403) throw updateError;
+      logger.warn(`${logPrefix} Existing playlist ${existingPlaylistId} is no longer available (Status: ${updateStatus}). Creating a new one.`);
+    }
+  }
+
+  // Create the playlist (the client retries 429s and 5xx errors)
+  if (!playlistId) {
+    try {
+      const createPlaylistResponse = await ownerAccount.client.post(
+        `https://api.spotify.com/v1/users/${ownerAccount.spotifyId}/playlists`,
         playlistData,
-        axiosConfig
+        await ownerConfig(),
+        { logPrefix, label: 'Playlist creation' }
       );
       playlistId = createPlaylistResponse.data.id;
-      logger.info(`${logPrefix} Successfully created new playlist with ID: ${playlistId}`);
+      logger.info(`${logPrefix} Successfully created new playlist with ID: ${playlistId} on account ${ownerAccount.name}`);
     } catch (playlistError) {
       const playlistStatus = playlistError.response ? playlistError.response.status : null;
-      playlistRetryCount++;
-      
-      if (playlistStatus === 429 && playlistRetryCount < MAX_PLAYLIST_CREATE_RETRIES) {
-        // Set global rate limit and wait
-        const retryAfterSeconds = playlistError.response?.headers?.['retry-after'] || 
-                                 playlistError.response?.headers?.['Retry-After'] || 5;
-        logger.warn(`${logPrefix} [RATE-LIMIT] Playlist creation 429 - Headers: ${JSON.stringify(playlistError.response?.headers)}`);
-        setGlobalRateLimit(retryAfterSeconds, logPrefix);
-        await waitForRateLimit(logPrefix);
-        logger.warn(`${logPrefix} Playlist creation failed with 429. Retry ${playlistRetryCount}/${MAX_PLAYLIST_CREATE_RETRIES}...`);
-      } else {
-        // Not retryable or out of retries
-        logger.error(`${logPrefix} Failed to create playlist. Status: ${playlistStatus}. Giving up after ${playlistRetryCount} attempts.`);
-        throw playlistError; // Re-throw to be caught by outer try-catch
-      }
+      logger.error(`${logPrefix} Failed to create playlist on account ${ownerAccount.name}. Status: ${playlistStatus}.`);
+      throw playlistError; // Re-throw to be caught by outer try-catch
     }
   }
-  
-  if (!playlistId) {
-    throw new Error('Failed to create playlist after all retries');
-  }
-
-  // --- Deduplication Logic for Objects ---
-  // We need to deduplicate by Artist Name, but keep the event object.
-  const uniqueEventsMap = new Map();
 
-  timeFilteredEvents.forEach(event => { 
-    // Normalize name for key (lowercase, trimmed)
-    const key = event.name.toLowerCase().trim();
-    if (!uniqueEventsMap.has(key)) {
-      uniqueEventsMap.set(key, event);
-    }
-  });
+  // Record which account owns the playlist (needed to update or delete it later)
+  try {
+    await sql`UPDATE playlist_jobs SET spotify_account_type = ${ownerAccount.type} WHERE id = ${jobId}`;
+  } catch (ownerErr) {
+    logger.warn(`${logPrefix} Failed to record playlist owner account: ${ownerErr.message}`);
+  }
 
-  // Convert map back to array of event objects
-  const uniqueEvents = Array.from(uniqueEventsMap.values());
+  // --- Artists and Their Shows ---
+  // One entry per artist (case-insensitive name) holding every show they play, see utils/artistShows.js.
+  // Each artist is looked up once, however many bills they're on. The time, radius and venue filters
+  // already ran per show, so 'shows' only has the ones that passed.
+  // Modes like 'set_time' and 'venue' are applied here (by first show), so the feed follows the playlist order too
+  const uniqueEvents = resumedEvents || orderEventsForPlaylist(groupShowsByArtist(performerEntries), orderMode);
+  const showCount = uniqueEvents.reduce((count, artist) => count + (artist.shows ? artist.shows.length : 1), 0);
 
 // --- DEBUG LOG START ---
   logger.warn(`${logPrefix} [DEBUG] Saving ${uniqueEvents.length} unique events to DB.`);
@@ -713,61 +1065,36 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
   }
   // --- DEBUG LOG END ---
 
-  // Save the de-duplicated list back to the DB (early for frontend use)
-  try {
-    await sql`
-      UPDATE playlist_jobs 
-      SET events_data = ${sql.json(uniqueEvents)}
-      WHERE id = ${jobId};
-    `;
-  } catch (saveErr) {
-    logger.warn(`${logPrefix} Failed to save initial events data: ${saveErr.message}`);
-  }
-
-  await updateJobLog(jobId, `Found ${uniqueEvents.length} artists in ${city} on ${prettyDate}${nameContext}`, 0, uniqueEvents.length);
-  logger.info(`${logPrefix} Found ${rawEventsList.length} total events, de-duplicated and filtered to ${uniqueEvents.length} unique artists`);
-
-  // await updateJobLog(jobId, `De-duplicated list. Processing ${uniqueEvents.length} unique artists...`, 0, uniqueEvents.length);
-
-  // --- SYNONYM MAP ---
-  const genreSynonymMap = {
-    'hip hop': ['rap'],
-    'r&b': ['soul'],
-    'electronic': [
-      'edm', 'techno', 'house', 'dubstep', 'trance', 
-      'psytrance', 'downtempo', 'bass music', 'riddim'
-    ],
-    'punk': ['hardcore', 'post-punk', 'screamo', 'emo'],
-    'latin': [
-      'reggaeton', 'cumbia', 'banda', 'sertanejo', 
-      'dembow', 'grupera', 'duranguense', 'piseiro'
-    ],
-    'blues': ['boogie-woogie'],
-    'folk': ['americana'],
-    'classical': ['orchestral']
-  };
-
-  // Create a new, expanded list of genres to filter
-  let expandedExcludedGenres = [...(excludedGenres || [])];
+  if (checkpoint) {
+    await recordJobActivity(jobId, infoActivity(`Resuming after an interruption at artist ${checkpoint.nextArtistIndex + 1} of ${uniqueEvents.length}`), checkpoint.nextArtistIndex, uniqueEvents.length);
+  } else {
+    // Save the de-duplicated list back to the DB (early for frontend use)
+    try {
+      await sql`
+        UPDATE playlist_jobs 
+        SET events_data = ${sql.json(uniqueEvents)}
+        WHERE id = ${jobId};
+      `;
+    } catch (saveErr) {
+      logger.warn(`${logPrefix} Failed to save initial events data: ${saveErr.message}`);
+    }
 
-  if (excludedGenres) {
-    excludedGenres.forEach(genre => {
-      if (genreSynonymMap[genre]) {
-        expandedExcludedGenres = [
-          ...expandedExcludedGenres, 
-          ...genreSynonymMap[genre]
-        ];
-      }
-    });
+    const showsNote = showCount > uniqueEvents.length ? ` (${showCount} shows)` : '';
+    await recordJobActivity(jobId, infoActivity(`Found ${uniqueEvents.length} artists${showsNote} in ${city} ${datePhrase}${nameContext}`), 0, uniqueEvents.length);
   }
-// --- END: SYNONYM MAP ---
+  logger.info(`${logPrefix} Found ${rawEventsList.length} total events, filtered and grouped into ${uniqueEvents.length} unique artists playing ${showCount} shows`);
+
+  // await recordJobActivity(jobId, infoActivity(`De-duplicated list. Processing ${uniqueEvents.length} unique artists...`), 0, uniqueEvents.length);
+
 
   // Initialize array to hold artist results
   const processedArtistIds = new Set(); // deal with for duplicate Spotify IDs
-  const retryCounts = {}; // Object to track retries per artist
+  const artistCacheStats = { hits: 0, misses: 0 }; // Artist resolution cache usage, reported in the job log
 
   // track total number of tracks added to see if we added any at all
   let tracksAddedCount = 0;
+  const addedTrackUris = []; // Checkpointed, so a resumed run knows what's already in the playlist
+  let resumedPlaylistUris = null; // When resuming: the tracks the playlist already has
 
   // --- BATCHING SYSTEM FOR OPTION A ---
   // Collect track URIs in batches to reduce API calls
@@ -779,87 +1106,149 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
   // Helper function to flush the current batch to Spotify
   const flushBatch = async () => {
     if (trackBatch.length === 0) return;
-    
-    const MAX_BATCH_RETRIES = 3;
-    let retryCount = 0;
-    let success = false;
-    
-    while (retryCount < MAX_BATCH_RETRIES && !success) {
-      try {
-        // Rate limiting: Check global rate limit BEFORE each retry attempt
-        await waitForRateLimit(logPrefix);
-        
-        // Additional pre-emptive delay to prevent hitting rate limits
-        await sleep(SPOTIFY_API_DELAY_MS);
-        
-        await axios.post(
+
+    try {
+      if (replaceExistingTracks) {
+        // PUT replaces everything already in the playlist, so old tracks stay until new ones are ready
+        await ownerAccount.client.put(
           `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
           { uris: trackBatch },
-          axiosConfig
+          await ownerConfig(),
+          { logPrefix, label: 'Batch PUT (replace)' }
+        );
+        replaceExistingTracks = false;
+      } else {
+        await ownerAccount.client.post(
+          `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
+          { uris: trackBatch },
+          await ownerConfig(),
+          { logPrefix, label: 'Batch POST' }
         );
-        
-        logger.info(`${logPrefix} [BATCH] Successfully added ${trackBatch.length} tracks to playlist (${batchArtistNames.length} artists)`);
-        tracksAddedCount += trackBatch.length;
-        success = true;
-        
-        // Clear the batch
-        trackBatch.length = 0;
-        batchArtistNames.length = 0;
-      } catch (batchError) {
-        const batchStatus = batchError.response ? batchError.response.status : null;
-        retryCount++;
-        
-        // Check if it's a retryable error (429, 5xx)
-        const isRetryable = batchStatus === 429 || (batchStatus >= 500 && batchStatus < 600);
-        
-        if (isRetryable && retryCount < MAX_BATCH_RETRIES) {
-          if (batchStatus === 429) {
-            // Set global rate limit so all workers pause
-            const retryAfterSeconds = batchError.response?.headers?.['retry-after'] || 
-                                     batchError.response?.headers?.['Retry-After'] || 5;
-            logger.warn(`${logPrefix} [RATE-LIMIT] Batch POST 429 - Headers: ${JSON.stringify(batchError.response?.headers)}`);
-            setGlobalRateLimit(retryAfterSeconds, logPrefix);
-            
-            // Wait for global rate limit (this coordinates across all workers)
-            await waitForRateLimit(logPrefix);
-            
-            logger.warn(`${logPrefix} [BATCH] Retrying after global rate limit cleared. Retry ${retryCount}/${MAX_BATCH_RETRIES}...`);
-          } else {
-            // For 5xx errors, use standard exponential backoff
-            const waitMs = Math.max(3000 * Math.pow(2, retryCount - 1), 3000);
-            logger.warn(`${logPrefix} [BATCH] Failed to add ${trackBatch.length} tracks. Status: ${batchStatus}. Retry ${retryCount}/${MAX_BATCH_RETRIES} in ${waitMs/1000}s...`);
-            await sleep(waitMs);
-          }
-          // Continue loop to retry
-        } else {
-          // Not retryable or out of retries - log failure
-          logger.error(`${logPrefix} [BATCH] Failed to add ${trackBatch.length} tracks (${batchArtistNames.length} artists). Status: ${batchStatus}. Giving up after ${retryCount} attempts.`);
-          
-          // Log batch failure to frontend so user knows some tracks may be missing
-          const failedArtistsList = batchArtistNames.slice(0, 5).join(', '); // Show first 5 artists
-          const moreArtists = batchArtistNames.length > 5 ? ` and ${batchArtistNames.length - 5} more` : '';
-          await updateJobLog(
-            jobId,
-            `WARNING: Failed to add tracks for ${batchArtistNames.length} artists (${failedArtistsList}${moreArtists}). Some tracks may be missing from playlist.`,
-            null, // Don't update progress count
-            null
-          );
-          
-          // Clear the batch even on failure to prevent retrying the same batch
-          trackBatch.length = 0;
-          batchArtistNames.length = 0;
-          break; // Exit retry loop
-        }
       }
+
+      logger.info(`${logPrefix} [BATCH] Successfully added ${trackBatch.length} tracks to playlist (${batchArtistNames.length} artists)`);
+      tracksAddedCount += trackBatch.length;
+      addedTrackUris.push(...trackBatch);
+      await recordJobActivity(jobId, batchActivity(BATCH_OUTCOMES.ADDED, { trackCount: trackBatch.length, artists: [...batchArtistNames] }));
+    } catch (batchError) {
+      // The client already retried anything retryable, so this batch is lost
+      const batchStatus = batchError.response ? batchError.response.status : null;
+      logger.error(`${logPrefix} [BATCH] Failed to add ${trackBatch.length} tracks (${batchArtistNames.length} artists). Status: ${batchStatus}.`);
+
+      // Record the batch failure for the frontend so user knows some tracks may be missing
+      await recordJobActivity(
+        jobId,
+        batchActivity(BATCH_OUTCOMES.FAILED, { trackCount: trackBatch.length, artists: [...batchArtistNames], httpStatus: batchStatus }),
+        null, // Don't update progress count
+        null
+      );
+    }
+
+    // Clear the batch (even on failure, to prevent retrying the same batch)
+    trackBatch.length = 0;
+    batchArtistNames.length = 0;
+  };
+
+  // Adds tracks to the current batch, flushing first if they wouldn't fit in one request
+  const addToBatch = async (artistUris, artistName) => {
+    // A resumed run redoes the artist it was interrupted on, skip tracks that already made it in
+    const uris = resumedPlaylistUris ? artistUris.filter(uri => !resumedPlaylistUris.has(uri)) : artistUris;
+    if (uris.length === 0) return;
+    if (trackBatch.length + uris.length > BATCH_SIZE) {
+      await flushBatch();
     }
+    trackBatch.push(...uris);
+    if (!batchArtistNames.includes(artistName)) batchArtistNames.push(artistName);
   };
   // --- END BATCHING SYSTEM ---
 
+  // Deferred ordering modes collect { artistName, venue, popularity, uris } here
+  const deferTrackAdds = DEFERRED_ORDER_MODES.includes(orderMode);
+  const deferredEntries = [];
+
+  // --- CHECKPOINTS ---
+  // Saved before each artist: everything needed to pick up from that artist after a restart.
+  // Returns { owned, cancelRequested }. 'owned' is false once the job was requeued and handed to
+  // another worker (resume_count moved on), this worker must stop touching it then.
+  const saveCheckpoint = async (nextArtistIndex) => {
+    try {
+      const [row] = await sql`
+        UPDATE playlist_jobs
+        SET checkpoint = ${sql.json({
+          playlistId,
+          accountType: ownerAccount.type,
+          nextArtistIndex,
+          processedArtistIds: [...processedArtistIds],
+          addedTrackUris,
+          pendingTracks: { uris: trackBatch, artistNames: batchArtistNames },
+          deferredEntries
+        })}
+        WHERE id = ${jobId} AND status = 'building' AND resume_count = ${resumeCount}
+        RETURNING cancel_requested_at;
+      `;
+      return row ? { owned: true, cancelRequested: !!row.cancel_requested_at } : { owned: false, cancelRequested: false };
+    } catch (checkpointError) {
+      // Losing one checkpoint only means redoing a few artists after a restart
+      logger.warn(`${logPrefix} Failed to save checkpoint for job ${jobId}: ${checkpointError.message}`);
+      return { owned: true, cancelRequested: false };
+    }
+  };
+
+  if (checkpoint) {
+    (checkpoint.processedArtistIds || []).forEach(id => processedArtistIds.add(id));
+    addedTrackUris.push(...(checkpoint.addedTrackUris || []));
+    deferredEntries.push(...(checkpoint.deferredEntries || []));
+
+    // The last checkpoint may be behind the playlist: the run could have been interrupted after
+    // adding a batch but before its next checkpoint. The playlist itself is the source of truth.
+    resumedPlaylistUris = new Set(addedTrackUris);
+    try {
+      const { tracks } = await readMasterPlaylist(playlistId, ownerAccount.type, logPrefix);
+      resumedPlaylistUris = new Set(tracks.map(track => track.uri));
+      addedTrackUris.splice(0, addedTrackUris.length, ...resumedPlaylistUris);
+    } catch (readError) {
+      logger.warn(`${logPrefix} Could not read playlist ${playlistId} before resuming, relying on the checkpoint: ${readError.message}`);
+    }
+    tracksAddedCount = resumedPlaylistUris.size;
+
+    const pendingTracks = checkpoint.pendingTracks || { uris: [], artistNames: [] };
+    const missingUris = pendingTracks.uris.filter(uri => !resumedPlaylistUris.has(uri));
+    if (missingUris.length > 0) {
+      trackBatch.push(...missingUris);
+      batchArtistNames.push(...pendingTracks.artistNames);
+    }
+  }
+  // --- END CHECKPOINTS ---
+
   // --- Loop over uniqueEvents objects ---
-  for (let i = 0; i < uniqueEvents.length; i++) {
+  for (let i = checkpoint ? checkpoint.nextArtistIndex : 0; i < uniqueEvents.length; i++) {
     const eventObj = uniqueEvents[i];
     const artistName = eventObj.name; // Extract string name for Spotify search
 
+    // Checkpoint, and stop between artists if the job was cancelled.
+    // Refreshes aren't resumable and are left to finish: they rebuild a saved playlist in place,
+    // and stopping halfway would leave it half-replaced.
+    const { owned, cancelRequested } = isResumable ? await saveCheckpoint(i) : { owned: true, cancelRequested: false };
+    if (!owned) {
+      logger.warn(`${logPrefix} Job ${jobId} was requeued and handed to another worker. Stopping here.`);
+      return { playlistId: null, events: [], superseded: true };
+    }
+    if (cancelRequested) {
+      logger.info(`${logPrefix} Job ${jobId} was cancelled after ${i}/${uniqueEvents.length} artists. Removing partial playlist ${playlistId}...`);
+      try {
+        await ownerAccount.client.delete(
+          `https://api.spotify.com/v1/playlists/${playlistId}/followers`,
+          await ownerConfig(),
+          { logPrefix, label: 'Delete cancelled playlist' }
+        );
+      } catch (deleteError) {
+        // The orphaned playlist collector will pick it up later
+        logger.error(`${logPrefix} Failed to delete cancelled playlist ${playlistId}: ${deleteError.message}`);
+      }
+      await recordJobActivity(jobId, infoActivity(`Cancelled after ${i} of ${uniqueEvents.length} artists`), i, uniqueEvents.length);
+      return { playlistId: null, events: [], cancelled: true };
+    }
+
     // Log memory usage every 5 artists
     if (i % 5 === 0) {
       const memoryUsage = process.memoryUsage();
@@ -870,89 +1259,121 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
       logger.debug(`${logPrefix} [MEMORY] Artist ${i}/${uniqueEvents.length} - Heap: ${heapUsedMB} MB | RSS: ${rssMB} MB`);
     }
     
-    // await updateJobLog(jobId, `Checking Spotify for: "${artistName}"...`, i, uniqueEvents.length);
+    // await recordJobActivity(jobId, infoActivity(`Checking Spotify for: "${artistName}"...`), i, uniqueEvents.length);
     logger.info(`${logPrefix} [${i + 1}/${uniqueEvents.length}] Processing artist: "${artistName}"`);
     
-    // Rate limiting: Add delay before making API call (except on retries)
-    // Rate limiting: Check global rate limit BEFORE artist search (most frequent call)
-    await waitForRateLimit(logPrefix);
-    
-    if (i > 0 || retryCounts[artistName] === undefined) {
-      await sleep(SPOTIFY_API_DELAY_MS);
-    }
-    
-    try {
-      const searchResponse = await axios.get(
-        `https://api.spotify.com/v1/search?q=${encodeURIComponent(artistName)}&type=artist`, {
-          headers: { 'Authorization': `Bearer ${accessToken}` }
-        }
-      );
+    const normalizedName = normalizeArtistName(artistName);
 
-      const potentialMatches = searchResponse.data.artists.items;
-      if (potentialMatches.length === 0) {
-        logger.info(`${logPrefix}   -> No Spotify results for "${artistName}".`);
-        await updateJobLog(jobId, `SKIPPED:${artistName} (Not found)`, i, uniqueEvents.length);
-        continue;
-      }
+    try {
+      // Check the persistent resolution cache before touching Spotify
+      const cachedResolution = await getArtistResolution(normalizedName);
 
       let bestMatch = null;
-      // Find exact match
-      for (const match of potentialMatches) {
-        if (match.name.toLowerCase() === artistName.toLowerCase()) {
-          bestMatch = match;
-          break;
-        }
-      }
-
       let spotifyArtistId = null;
 
-      if (bestMatch) {
-        // Found Exact Match
+      if (cachedResolution) {
+        artistCacheStats.hits++;
+
+        if (!cachedResolution.spotify_artist_id) {
+          logger.info(`${logPrefix}   -> [ARTIST-CACHE] HIT: "${artistName}" is cached as not found.`);
+          await recordJobActivity(jobId, artistSkippedActivity(artistName, SKIP_REASONS.NOT_FOUND, { detail: 'Not found' }), i, uniqueEvents.length);
+          continue;
+        }
+
+        // Rebuild the parts of the search result we use below
+        bestMatch = {
+          id: cachedResolution.spotify_artist_id,
+          name: cachedResolution.spotify_name,
+          genres: cachedResolution.genres || [],
+          popularity: cachedResolution.popularity,
+          followers: { total: cachedResolution.followers }
+        };
         spotifyArtistId = bestMatch.id;
-        logger.info(`${logPrefix}   -> Found Exact Match: "${bestMatch.name}" (ID: ${spotifyArtistId}) & genres: ${bestMatch.genres.join(', ')}`);
+        logger.info(`${logPrefix}   -> [ARTIST-CACHE] HIT: "${bestMatch.name}" (ID: ${spotifyArtistId}, Dist: ${cachedResolution.match_distance}) & genres: ${bestMatch.genres.join(', ')}`);
       } else {
-        // No Exact Match, Check Similarity
-        let closestMatch = null;
-        let minDistance = Infinity;
+        artistCacheStats.misses++;
+
+        const searchResponse = await spotifyLookup(
+          `https://api.spotify.com/v1/search?q=${encodeURIComponent(artistName)}&type=artist`,
+          `Artist search "${artistName}"`
+        );
 
+        const potentialMatches = searchResponse.data.artists.items;
+        if (potentialMatches.length === 0) {
+          logger.info(`${logPrefix}   -> No Spotify results for "${artistName}".`);
+          await saveArtistResolution(normalizedName, null);
+          await recordJobActivity(jobId, artistSkippedActivity(artistName, SKIP_REASONS.NOT_FOUND, { detail: 'Not found' }), i, uniqueEvents.length);
+          continue;
+        }
+
+        // Find exact match
         for (const match of potentialMatches) {
-          const distance = levenshtein.get(artistName.toLowerCase(), match.name.toLowerCase());
-          if (distance < minDistance) {
-            minDistance = distance;
-            closestMatch = match;
+          if (match.name.toLowerCase() === artistName.toLowerCase()) {
+            bestMatch = match;
+            break;
           }
         }
-        
-        const SIMILARITY_THRESHOLD = 1;
-        if (closestMatch && minDistance <= SIMILARITY_THRESHOLD) {
-          // Found a close enough match
-          bestMatch = closestMatch;
+
+        if (bestMatch) {
+          // Found Exact Match
           spotifyArtistId = bestMatch.id;
-          logger.info(`${logPrefix}   -> Found Fuzzy Match: "${bestMatch.name}" (ID: ${spotifyArtistId}, Dist: ${minDistance}) & genres: ${bestMatch.genres.join(', ')}`);
+          logger.info(`${logPrefix}   -> Found Exact Match: "${bestMatch.name}" (ID: ${spotifyArtistId}) & genres: ${bestMatch.genres.join(', ')}`);
+          await saveArtistResolution(normalizedName, bestMatch, 0);
         } else {
-          // No good match found
-          logger.warn(`${logPrefix} No close match for "${artistName}". Skipping.`);
-          await updateJobLog(jobId, `SKIPPED:${artistName} (Not found)`, i, uniqueEvents.length);
+          // No Exact Match, Check Similarity
+          let closestMatch = null;
+          let minDistance = Infinity;
+
+          for (const match of potentialMatches) {
+            const distance = levenshtein.get(artistName.toLowerCase(), match.name.toLowerCase());
+            if (distance < minDistance) {
+              minDistance = distance;
+              closestMatch = match;
+            }
+          }
+          
+          const SIMILARITY_THRESHOLD = 1;
+          if (closestMatch && minDistance <= SIMILARITY_THRESHOLD) {
+            // Found a close enough match
+            bestMatch = closestMatch;
+            spotifyArtistId = bestMatch.id;
+            logger.info(`${logPrefix}   -> Found Fuzzy Match: "${bestMatch.name}" (ID: ${spotifyArtistId}, Dist: ${minDistance}) & genres: ${bestMatch.genres.join(', ')}`);
+            await saveArtistResolution(normalizedName, bestMatch, minDistance);
+          } else {
+            // No good match found
+            logger.warn(`${logPrefix} No close match for "${artistName}". Skipping.`);
+            await saveArtistResolution(normalizedName, null);
+            await recordJobActivity(jobId, artistSkippedActivity(artistName, SKIP_REASONS.NOT_FOUND, { detail: 'Not found' }), i, uniqueEvents.length);
+          }
         }
       }
 
-      // Genre Filtering Logic
-      if (excludedGenres && excludedGenres.length > 0 && bestMatch && bestMatch.genres && bestMatch.genres.length > 0) {
-        // Check if *any* of the artist's genres match *any* of the excluded genres
-        const hasExcludedGenre = excludedGenres.some(excludedGenre => 
-          bestMatch.genres.some(artistGenre => 
-            artistGenre.toLowerCase().includes(excludedGenre.toLowerCase())
-          )
-        );
+      // Genre Filtering Logic (exclude / include-only / untagged, with taxonomy expansion)
+      if (bestMatch && spotifyArtistId) {
+        const genreCheck = classifyArtistGenres(bestMatch.genres, { excludedGenres, includedGenres, keepUntagged });
 
-        if (hasExcludedGenre) {
-          // This artist MATCHES the exclusion list, so we SKIP them.
-          // await updateJobLog(jobId, `  -> Skipped "${bestMatch.name}" (Genre: ${bestMatch.genres[0]})`);
-          logger.info(`${logPrefix}   -> SKIPPING: Artist "${bestMatch.name}" has an excluded genre. (${bestMatch.genres.join(', ')})`);
-          await updateJobLog(jobId, `SKIPPED:${bestMatch.name} (Genre: ${bestMatch.genres[0]})`, i, uniqueEvents.length);
+        if (!genreCheck.keep) {
+          logger.info(`${logPrefix}   -> SKIPPING: Artist "${bestMatch.name}" failed genre filter (${genreCheck.reason}). (${bestMatch.genres.join(', ') || 'no genres'})`);
+          await recordJobActivity(jobId, genreSkipActivity(bestMatch.name, spotifyArtistId, genreCheck), i, uniqueEvents.length);
           spotifyArtistId = null; // Set to null to skip track-adding
         }
-    }
+      }
+
+      // Popularity / Follower Filtering Logic (uses the numbers already on the search result)
+      if (bestMatch && spotifyArtistId) {
+        const popularitySkipReason = checkArtistPopularity(bestMatch, popularityFilters);
+
+        if (popularitySkipReason) {
+          logger.info(`${logPrefix}   -> SKIPPING: Artist "${bestMatch.name}" failed popularity filter (${popularitySkipReason}).`);
+          await recordJobActivity(
+            jobId,
+            artistSkippedActivity(bestMatch.name, SKIP_REASONS.POPULARITY, { spotifyArtistId, detail: popularitySkipReason }),
+            i,
+            uniqueEvents.length
+          );
+          spotifyArtistId = null; // Set to null to skip track-adding
+        }
+      }
 
       // If we have a match, add tracks
       if (spotifyArtistId) {
@@ -962,22 +1383,23 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
           continue;
         }
         // NOTE: We do NOT add to processedArtistIds here. We only add it after successfully
-        // getting tracks and adding them to the batch. This allows retries to work correctly
-        // if we get a 429 error when fetching top tracks.
-        
-        // Rate limiting: Check global rate limit BEFORE top-tracks API call
-        await waitForRateLimit(logPrefix);
+        // getting tracks and adding them to the batch, so a failed top-tracks call
+        // doesn't block a later duplicate of the same artist.
         
-        // Additional pre-emptive delay to prevent hitting rate limits
-        await sleep(SPOTIFY_API_DELAY_MS);
-        
-        const topTracksResponse = await axios.get(
-          `https://api.spotify.com/v1/artists/${spotifyArtistId}/top-tracks`, {
-            headers: { 'Authorization': `Bearer ${accessToken}` }
-          }
-        );
-        const tracksToAdd = topTracksResponse.data.tracks.slice(0, number_of_songs);
-        const trackUris = tracksToAdd.map(track => track.uri);
+        let topTracks;
+        if (cachedResolution && cachedResolution.hasFreshTracks) {
+          // Top tracks are cached too, no Spotify call needed
+          topTracks = cachedResolution.top_tracks;
+          logger.debug(`${logPrefix}   -> [ARTIST-CACHE] Using ${topTracks.length} cached top tracks.`);
+        } else {
+          const topTracksResponse = await spotifyLookup(
+            `https://api.spotify.com/v1/artists/${spotifyArtistId}/top-tracks`,
+            `Top tracks "${artistName}"`
+          );
+          topTracks = topTracksResponse.data.tracks.map(toTrackSummary);
+          await saveArtistTopTracks(normalizedName, topTracks);
+        }
+        const trackUris = selectTracks(topTracks, number_of_songs, trackStrategy);
 
         if (trackUris.length > 0) {
           // Use bestMatch.name for the log since artistName can be slightly different
@@ -985,86 +1407,49 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
           
           // OPTION A: Log artist immediately (before batching POST)
           // This makes artists appear in feed faster
-          await updateJobLog(jobId, `ARTIST:${logName}`, i, uniqueEvents.length);
+          await recordJobActivity(jobId, artistAddedActivity(logName, spotifyArtistId, trackUris.length), i, uniqueEvents.length);
           logger.info(`${logPrefix}   -> Found ${trackUris.length} tracks for "${logName}". Adding to batch...`);
 
-          // Add tracks to batch
-          trackBatch.push(...trackUris);
-          batchArtistNames.push(logName);
+          if (deferTrackAdds) {
+            // Ordering needs every artist first, so hold the tracks until the loop is done
+            deferredEntries.push({
+              artistName: logName,
+              venue: eventObj.venue,
+              popularity: bestMatch.popularity ?? null,
+              uris: trackUris
+            });
+          } else {
+            // Add tracks to batch (flushes first if they wouldn't fit)
+            await addToBatch(trackUris, logName);
+          }
           
           // NOW we can mark this artist as processed, since we successfully got tracks
           processedArtistIds.add(spotifyArtistId);
-
-          // If batch is full, flush it immediately
-          if (trackBatch.length >= BATCH_SIZE) {
-            await flushBatch();
-          }
         } else {
           logger.info(`${logPrefix}   -> Found artist, but they have no top tracks. Skipping track add.`);
-          await updateJobLog(jobId, `SKIPPED:${bestMatch.name} (No tracks)`, i, uniqueEvents.length);
+          await recordJobActivity(
+            jobId,
+            artistSkippedActivity(bestMatch.name, SKIP_REASONS.NO_TRACKS, { spotifyArtistId, detail: 'No tracks' }),
+            i,
+            uniqueEvents.length
+          );
           // Mark as processed even if no tracks, to avoid retrying artists with no tracks
           processedArtistIds.add(spotifyArtistId);
         }
       }
     } catch (error) {
+      // The Spotify client has already retried 429s and 5xx errors, so give up on this artist.
       const status = error.response ? error.response.status : null;
-      // A list of all temporary error codes that we should retry
-      const retryableErrorCodes = [
-        429, // Rate Limit
-        500, // Internal Server Error
-        502, // Bad Gateway
-        503, // Service Unavailable
-        504  // Gateway Timeout
-      ];
-
-      if (status && retryableErrorCodes.includes(status)) {
-        // It's a retryable error!
-        const currentRetries = retryCounts[artistName] || 0;
-        const MAX_RETRIES = 3;
-
-        if (currentRetries < MAX_RETRIES) {
-          // We have retries left, so try again
-          retryCounts[artistName] = currentRetries + 1; // Increment retry count
-          
-          let waitMs = 3000; // Default 3 second wait for 5xx errors
-          let waitReason = `${status} server error`;
-
-          if (status === 429) {
-            // It's a rate-limit error - set global rate limit so all workers pause
-            const retryAfterSeconds = error.response?.headers?.['retry-after'] || 
-                                     error.response?.headers?.['Retry-After'] || 5;
-            logger.warn(`${logPrefix} [RATE-LIMIT] Artist search 429 - Headers: ${JSON.stringify(error.response?.headers)}`);
-            setGlobalRateLimit(retryAfterSeconds, logPrefix);
-            
-            // Wait for global rate limit (this coordinates across all workers)
-            await waitForRateLimit(logPrefix);
-            
-            waitReason = `429 rate limit (global coordination)`;
-            waitMs = 0; // Already waited in waitForRateLimit
-          } else {
-            // For 5xx errors, use standard exponential backoff
-            const exponentialMultiplier = Math.pow(2, currentRetries);
-            waitMs = Math.max(3000 * exponentialMultiplier, 3000);
-          }
+      logger.error(`${logPrefix} Error processing artist "${artistName}" (Status: ${status}):`, error.message);
+    }
+  }
 
-          if (waitMs > 0) {
-            logger.warn(`${logPrefix} Spotify ${waitReason}. (Retry ${currentRetries + 1}/${MAX_RETRIES}) Waiting ${waitMs / 1000}s for artist "${artistName}"...`);
-            await sleep(waitMs);
-          } else {
-            logger.warn(`${logPrefix} Spotify ${waitReason}. (Retry ${currentRetries + 1}/${MAX_RETRIES}) Retrying artist "${artistName}" after global rate limit cleared...`);
-          }
-          
-          i--; // Rewind the loop to retry
-          logger.info(`${logPrefix} Retrying artist "${artistName}"...`);
-        } else {
-          // --- We're out of retries. Give up on this artist. ---
-          logger.error(`${logPrefix} Artist "${artistName}" failed after ${MAX_RETRIES} retries. Skipping.`);
-        }
-      } else {
-        // It was a different, non-retryable error (like 404, 401)
-        // Or a non-axios error. Log it and move on.
-        logger.error(`${logPrefix} Error processing artist "${artistName}":`, error.message);
-      }
+  // Deferred ordering: now that every artist is known, order the tracks and batch them up
+  if (deferTrackAdds && deferredEntries.length > 0) {
+    const orderedTracks = orderPlaylistEntries(deferredEntries, orderMode);
+    logger.info(`${logPrefix} [ORDER] Adding ${orderedTracks.length} tracks ordered by "${orderMode}"...`);
+    for (const track of orderedTracks) {
+      await addToBatch([track.uri], track.artistName);
     }
   }
 
@@ -1074,7 +1459,23 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
     await flushBatch();
   }
 
-  await updateJobLog(jobId, `Curation complete for ${city} on ${prettyDate}`, uniqueEvents.length, uniqueEvents.length);
+  // A reused playlist that got no new tracks still holds the old ones, so empty it
+  if (replaceExistingTracks) {
+    try {
+      await ownerAccount.client.put(
+        `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
+        { uris: [] },
+        await ownerConfig(),
+        { logPrefix, label: 'Clear old tracks' }
+      );
+    } catch (clearError) {
+      logger.error(`${logPrefix} Failed to clear old tracks from playlist ${playlistId}: ${clearError.message}`);
+    }
+  }
+
+  await recordJobActivity(jobId, infoActivity(`Artist cache: ${artistCacheStats.hits} cached, ${artistCacheStats.misses} looked up on Spotify`));
+  logger.info(`${logPrefix} [ARTIST-CACHE] ${artistCacheStats.hits} hits, ${artistCacheStats.misses} misses.`);
+  await recordJobActivity(jobId, infoActivity(`Curation complete for ${city} ${datePhrase}`), uniqueEvents.length, uniqueEvents.length);
   logger.info(`${logPrefix} Curation complete. Total tracks added to playlist: ${tracksAddedCount}`);
   
   // Check if we actually added any songs
@@ -1088,15 +1489,20 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
       logger.warn(`${logPrefix} Found ${uniqueEvents.length} artists but no tracks were successfully added. Playlist may be empty or incomplete.`);
       // Return playlistId anyway - let the user see the (possibly empty) playlist
       // The warnings in the feed will explain what happened
-      return { playlistId, events: uniqueEvents };
+      return { playlistId, events: uniqueEvents, accountType: ownerAccount.type };
     } else {
       // No artists found at all - this is a true "no artists" failure
+      // A reused playlist is kept (emptied above), since the user may have shared its link
+      if (playlistId === existingPlaylistId) {
+        return { playlistId: null, events: [] };
+      }
       logger.warn(`${logPrefix} No artists found for playlist ${playlistId}. Deleting empty playlist...`);
       try {
         // We must "unfollow" (delete) the playlist from the master account.
-        await axios.delete(
+        await ownerAccount.client.delete(
           `https://api.spotify.com/v1/playlists/${playlistId}/followers`,
-          { headers: { 'Authorization': `Bearer ${accessToken}` } }
+          await ownerConfig(),
+          { logPrefix, label: 'Delete empty playlist' }
         );
         logger.warn(`${logPrefix} Successfully deleted empty playlist ${playlistId}.`);
       } catch (deleteError) {
@@ -1108,113 +1514,141 @@ async function runCurationLogic(jobId, city, date, number_of_songs, accessToken,
       return { playlistId: null, events: [] };
     }
   }
-  return { playlistId, events: uniqueEvents };
+  return { playlistId, events: uniqueEvents, accountType: ownerAccount.type };
+
+}
+
+/**
+ * Recovers jobs left in 'building' by a dead (or hung) worker.
+ * Queued jobs go back to 'pending' and resume from their checkpoint; refreshes (not resumable)
+ * and jobs already resumed MAX_JOB_RESUMES times are marked 'failed' with 'failMessage'.
+ * 'staleOnly' limits it to jobs without progress for 30 minutes, otherwise it takes every building job.
+ */
+async function recoverInterruptedJobs({ staleOnly, failMessage, logTag }) {
+  const staleFilter = staleOnly ? sql`AND updated_at < NOW() - INTERVAL '30 minutes'` : sql``;
+
+  const requeuedJobs = await sql`
+    UPDATE playlist_jobs
+    SET status = 'pending', resume_count = resume_count + 1
+    WHERE status = 'building' ${staleFilter}
+    AND checkpoint IS NOT NULL
+    AND resume_count < ${MAX_JOB_RESUMES}
+    RETURNING id;
+  `;
+  const failedJobs = await sql`
+    UPDATE playlist_jobs
+    SET status = 'failed', error_message = ${failMessage}, checkpoint = NULL
+    WHERE status = 'building' ${staleFilter}
+    RETURNING id;
+  `;
+
+  if (requeuedJobs.length > 0) {
+    logger.warn(`${logTag} Requeued ${requeuedJobs.length} interrupted job(s) to resume from their checkpoint.`);
+    for (const requeued of requeuedJobs) {
+      notifyJobChanged(requeued.id);
+      await notifyJobQueued(requeued.id);
+    }
+  }
+  if (failedJobs.length > 0) {
+    logger.warn(`${logTag} Marked ${failedJobs.length} job(s) that can't resume as failed.`);
+    failedJobs.forEach(failed => notifyJobChanged(failed.id));
+  }
+}
 
+/**
+ * Finds any job that's been "building" for too long (e.g., if the worker crashed or hung)
+ * and requeues or fails it. Runs on its own schedule (see startWorker).
+ */
+async function reapZombieJobs() {
+  try {
+    await recoverInterruptedJobs({ staleOnly: true, failMessage: 'Build timed out and was reset', logTag: '[ZOMBIE REAPER]' });
+  } catch (reaperError) {
+    // The DB is probably down, the next run will try again
+    logger.error(`[ZOMBIE REAPER] Failed:`, reaperError.message);
+  }
 }
 
 /**
  * Finds one 'pending' job, runs it, and updates the DB.
- * Designed to be called repeatedly by a loop.
+ * Returns true if a job was picked up, so the caller knows to look for another one.
+ * Status updates match on resume_count, so they're dropped if the job was requeued to another worker meanwhile.
  */
 async function processJobQueue(workerId) {
   let job; // declared outside the 'try' so we can use it in 'catch'
   const logPrefix = `[Worker ${workerId}]`;
-  logger.superDebug(`${logPrefix} (1/7): processJobQueue started.`);
+  logger.superDebug(`${logPrefix} (1/5): processJobQueue started.`);
 
   try {
-    // find any job that's been "building" for too long
-    // (e.g., if the server crashed) and mark it as 'failed'.
-    try {
-      logger.superDebug(`${logPrefix} (2/7): Checking for zombie jobs...`);
-      const zombieJobs = await sql`
-        UPDATE playlist_jobs 
-        SET 
-          status = 'failed', 
-          error_message = 'Build timed out and was reset'
-        WHERE status = 'building'
-        AND updated_at < NOW() - INTERVAL '30 minutes'
-        RETURNING id;
-      `;
-
-      if (zombieJobs.length > 0) {
-        logger.warn(`${logPrefix} Found and reset ${zombieJobs.length} zombie job(s).`);
-      }
-      logger.superDebug(`${logPrefix} (3/7): Zombie check complete.`);
-    } catch (reaperError) {
-      // If this fails, the DB is probably down. Log it and stop.
-      logger.error(`${logPrefix} CRITICAL! Zombie reaper FAILED:`, reaperError.message);
-      return; // Stop the worker run
-    }
-
-    logger.superDebug(`${logPrefix} (4/7): Looking for a pending job...`);
+    logger.superDebug(`${logPrefix} (2/5): Looking for a pending job...`);
     // Find and "Lock" a Job
-    // Find a pending job and update its status
-    // This prevents two workers from accidentally grabbing the same job.
-    job = await sql.begin(async sql => {
-      
-      // Find the oldest 'pending' job.
-      const pendingJobs = await sql`
-        SELECT * FROM playlist_jobs 
-        WHERE status = 'pending' 
-        ORDER BY created_at ASC 
-        LIMIT 1
-        FOR UPDATE SKIP LOCKED;
-      `;
-
-      if (pendingJobs.length === 0) {
-        return null; // No jobs to do.
-      }
-
-      const jobToProcess = pendingJobs[0];
-
-      // "Lock" the job by updating its status
-      const lockedJob = await sql`
-        UPDATE playlist_jobs 
-        SET status = 'building'
-        WHERE id = ${jobToProcess.id} 
-        RETURNING *;
-      `;
-      
-      return lockedJob[0];
-    });
+    // The scheduler picks by priority, then round-robin across owners, and marks it 'building'
+    // (claims are serialized, so two workers can't grab the same job).
+    job = await jobScheduler.claimNextJob();
 
     if (!job) {
-      logger.superDebug(`${logPrefix} (5/7): No pending jobs found.`);
-      return; // No jobs to do, so just stop here.
+      logger.superDebug(`${logPrefix} (3/5): No job can run right now.`);
+      return false; // No jobs to do, so just stop here.
     }
+    notifyJobChanged(job.id); // Also moves everyone behind it up the queue
 
     // Process the Job
-    logger.info(`${logPrefix} (6/7): Picked up job ${job.id}. Calling runCurationLogic on "${job.search_city}" on ${job.search_date}`);
+    logger.info(`${logPrefix} (4/5): Picked up job ${job.id}. Calling runCurationLogic on "${job.search_city}" on ${job.search_date}${job.search_end_date ? ` to ${job.search_end_date}` : ''}`);
     
-    const accessToken = await getMasterAccessToken();
+    const spotifyAccount = spotifyPool.pickAccount();
 
     // Run our curation logic with the job's data
-    const { playlistId, events } = await runCurationLogic(
+    const { playlistId, events, accountType, cancelled, superseded } = await runCurationLogic(
       job.id,
       job.search_city,
       job.search_date,
       job.number_of_songs,
-      accessToken,
+      spotifyAccount,
       job.latitude,
       job.longitude,
       job.excluded_genres,
       job.min_start_time,
       job.max_start_time,
-      workerId
+      workerId,
+      {
+        trackStrategy: job.track_strategy,
+        orderMode: job.order_mode,
+        includedGenres: job.included_genres,
+        keepUntagged: job.keep_untagged,
+        lineupMode: job.lineup_mode,
+        popularityFilters: popularityFiltersFromRow(job),
+        endDate: job.search_end_date,
+        radiusKm: job.search_radius_km,
+        includedVenueIds: job.included_venue_ids,
+        excludedVenueIds: job.excluded_venue_ids,
+        checkpoint: job.checkpoint,
+        resumeCount: job.resume_count
+      }
     );
 
+    // Requeued while we were stuck, another worker owns the job now
+    if (superseded) return true;
+
     // Handle Success
-    logger.info(`${logPrefix} (7/7): Curation logic complete for job ${job.id}. PlaylistID: ${playlistId}`);
-    if (playlistId) {
+    logger.info(`${logPrefix} (5/5): Curation logic complete for job ${job.id}. PlaylistID: ${playlistId}`);
+    if (cancelled) {
+      await sql`
+        UPDATE playlist_jobs
+        SET status = 'cancelled', error_message = 'Cancelled by user', checkpoint = NULL
+        WHERE id = ${job.id} AND resume_count = ${job.resume_count};
+      `;
+      notifyJobChanged(job.id);
+    } else if (playlistId) {
     await sql`
       UPDATE playlist_jobs 
       SET
         status = 'complete',
         playlist_id = ${playlistId},
         events_data = ${sql.json(events)},
+        checkpoint = NULL,
         updated_at = NOW()
-      WHERE id = ${job.id};
+      WHERE id = ${job.id} AND resume_count = ${job.resume_count};
     `;
+    notifyJobChanged(job.id);
 
     // Check for pending email requests and send them
     try {
@@ -1233,6 +1667,7 @@ async function processJobQueue(workerId) {
               playlistId: playlistId,
               cityName: job.search_city,
               playlistDate: job.search_date,
+              playlistEndDate: job.search_end_date,
               artistCount: events.length,
               excludedGenres: job.excluded_genres,
               minStartTime: job.min_start_time,
@@ -1272,14 +1707,34 @@ async function processJobQueue(workerId) {
       logger.warn(`${logPrefix} Error checking for pending emails: ${emailCheckError.message}`);
     }
 
+    // Publish to the Spotify libraries of users who asked while the playlist was building
+    try {
+      const pendingPublishes = await sql`
+        SELECT * FROM spotify_publish_requests
+        WHERE job_id = ${job.id} AND status = 'pending'
+      `;
+
+      if (pendingPublishes.length > 0) {
+        logger.info(`${logPrefix} Found ${pendingPublishes.length} pending Spotify publish request(s) for job ${job.id}. Publishing...`);
+        for (const publishRequest of pendingPublishes) {
+          await runSpotifyPublish(publishRequest, playlistId, accountType, logPrefix);
+        }
+      }
+    } catch (publishCheckError) {
+      // Don't fail the job if publishing fails - just log it
+      logger.warn(`${logPrefix} Error checking for pending Spotify publishes: ${publishCheckError.message}`);
+    }
+
     } else {
       logger.warn(`${logPrefix} Job ${job.id} found no artists. Marking as 'failed'.`);
       await sql`
         UPDATE playlist_jobs 
-        SET status = 'failed', error_message = 'No artists were found for this city and date.'
-        WHERE id = ${job.id};
+        SET status = 'failed', error_message = 'No artists were found for this city and date.', checkpoint = NULL
+        WHERE id = ${job.id} AND resume_count = ${job.resume_count};
       `;
+      notifyJobChanged(job.id);
     }
+    return true;
 
   } catch (error) {
     // Handle Failure
@@ -1292,9 +1747,11 @@ async function processJobQueue(workerId) {
           UPDATE playlist_jobs 
           SET 
             status = 'failed', 
-            error_message = ${error.message}
-          WHERE id = ${job.id};
+            error_message = ${error.message},
+            checkpoint = NULL
+          WHERE id = ${job.id} AND resume_count = ${job.resume_count};
         `;
+        notifyJobChanged(job.id);
         logger.info(`${logPrefix} Successfully logged failure for job ${job.id} to DB.`);
       } catch (dbError) {
         logger.error(`${logPrefix} CRITICAL! FAILED TO LOG FAILURE for job ${job.id}. DB connection is down.`);
@@ -1302,6 +1759,8 @@ async function processJobQueue(workerId) {
         logger.error(`${logPrefix} DB log error:`, dbError.message);
       }
     }
+    // Only look for the next job if this one was claimed (a failed claim means the DB is struggling)
+    return !!job;
   }
 }
 
@@ -1437,6 +1896,49 @@ app.get('/api/search-cities', async (req, res) => {
   }
 });
 
+/**
+ * Venue autocomplete for the venue filter, from the venues seen in scraped events.
+ * 'city' (the selected search city) and 'lat'/'lon' are optional and narrow it to that area.
+ */
+app.get('/api/search-venues', async (req, res) => {
+  const { q, city, lat, lon } = req.query;
+
+  if (!q) {
+    return res.status(400).json({ error: 'Missing query parameter: q' });
+  }
+
+  const latitude = lat ? parseFloat(lat) : null;
+  const longitude = lon ? parseFloat(lon) : null;
+  if ((lat && isNaN(latitude)) || (lon && isNaN(longitude)) || (latitude === null) !== (longitude === null)) {
+    return res.status(400).json({ error: 'lat and lon must be given together as numbers.' });
+  }
+
+  try {
+    const venues = await venueDirectory.searchVenues(q, { city: city || null, latitude, longitude });
+    logger.debug(`Search Venues: ${venues.length} suggestions for query "${q}"${city ? ` in ${city}` : ''}`);
+
+    res.json(venues.map(venue => ({
+      id: Number(venue.id),
+      name: venue.name,
+      city: venue.city,
+      latitude: venue.latitude,
+      longitude: venue.longitude,
+      aliases: venue.aliases
+    })));
+  } catch (error) {
+    logger.error('Error in /api/search-venues:', error);
+    res.status(500).json({ error: 'Error searching for venues.' });
+  }
+});
+
+/**
+ * Genre options for the frontend filter checkboxes.
+ * Generated from the genre taxonomy, so the UI and the filter always agree.
+ */
+app.get('/api/genres', (req, res) => {
+  res.json({ genres: getGenreOptions(), modes: GENRE_MODES });
+});
+
 app.get('/api/city-from-coords', async (req, res) => {
   const { lat, lon } = req.query;
   
@@ -1481,11 +1983,17 @@ app.get('/api/city-from-coords', async (req, res) => {
 /**
  * Main curation route.
  * Validates input and creates a new 'pending' job in the DB.
+ * 'date' is the day to search, or the first day of a range ending on 'endDate' (see utils/dateRanges.js).
+ * 'radius' (km, optional) limits venues to that distance from lat/lon (see utils/searchRadius.js).
+ * 'venues' (ids from /api/search-venues) with 'venueMode' keeps only or drops those venues' shows.
  */
 app.get('/api/playlists', async (req, res) => {
   // Validate Input
-  const { city, date, lat, lon, genres, minStartTime, maxStartTime } = req.query;
-  const number_of_songs = 1;
+  const {
+    city, date, endDate, lat, lon, radius, venues, venueMode, lineupMode, genres, genreMode, keepUntagged, minStartTime, maxStartTime,
+    songsPerArtist, trackStrategy, orderMode,
+    popularityPreset, minPopularity, maxPopularity, minFollowers, maxFollowers
+  } = req.query;
 
   // Verify the user (if a token exists)
   const ownerId = await getUserIdFromRequest(req);
@@ -1499,27 +2007,105 @@ app.get('/api/playlists', async (req, res) => {
     return res.status(400).json({ error: 'Missing required query parameters: city, date, lat, and lon' });
   }
 
+  // Single day, or a range capped at MAX_DATE_RANGE_DAYS
+  const { range: dateRange, error: dateError } = parseDateRange(date, endDate);
+  if (dateError) {
+    return res.status(400).json({ error: dateError });
+  }
+
+  // No radius means whatever area the event sources cover
+  const { radiusKm, error: radiusError } = parseSearchRadius(radius);
+  if (radiusError) {
+    return res.status(400).json({ error: radiusError });
+  }
+
+  // Only (or never) these venues, 'exclude' by default like genres
+  const { filter: venueFilter, error: venueError } = parseVenueFilter({ venues, venueMode });
+  if (venueError) {
+    return res.status(400).json({ error: venueError });
+  }
+  const includedVenueIds = venueFilter.mode === 'include' ? venueFilter.venueIds : null;
+  const excludedVenueIds = venueFilter.mode === 'exclude' ? venueFilter.venueIds : null;
+
+  // Which acts of each show to look up (everyone by default)
+  const lineup = lineupMode || DEFAULT_LINEUP_MODE;
+  if (!LINEUP_MODES.includes(lineup)) {
+    return res.status(400).json({ error: `lineupMode must be one of: ${LINEUP_MODES.join(', ')}.` });
+  }
+
+  // Songs per artist (defaults to 1) and track selection strategy (defaults to 'top')
+  const number_of_songs = parseSongsPerArtist(songsPerArtist);
+  if (number_of_songs === null) {
+    return res.status(400).json({ error: `songsPerArtist must be a whole number between 1 and ${MAX_SONGS_PER_ARTIST}.` });
+  }
+  const strategy = trackStrategy || DEFAULT_TRACK_STRATEGY;
+  if (!TRACK_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `trackStrategy must be one of: ${TRACK_STRATEGIES.join(', ')}.` });
+  }
+  const playlistOrder = orderMode || DEFAULT_ORDER_MODE;
+  if (!ORDER_MODES.includes(playlistOrder)) {
+    return res.status(400).json({ error: `orderMode must be one of: ${ORDER_MODES.join(', ')}.` });
+  }
+
+  // Popularity / follower bounds (or a preset like 'hidden_gems')
+  const { filters: popularity, error: popularityError } = parsePopularityFilters({
+    popularityPreset, minPopularity, maxPopularity, minFollowers, maxFollowers
+  });
+  if (popularityError) {
+    return res.status(400).json({ error: popularityError });
+  }
+
   // Convert lat/lon to numbers for safety
   const latitude = parseFloat(lat);
   const longitude = parseFloat(lon);
 
   // Convert the comma-separated string of back into an array for the DB
   // If 'genres' is undefined or "", this will become 'null'
-  const genresArray = genres ? genres.split(',') : null;
+  // 'genreMode' decides if they're excluded (default) or the only genres included.
+  const mode = genreMode || 'exclude';
+  if (!GENRE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `genreMode must be one of: ${GENRE_MODES.join(', ')}.` });
+  }
+  const selectedGenres = genres ? genres.split(',') : null;
+  const genresArray = mode === 'exclude' ? selectedGenres : null;
+  const includedGenresArray = mode === 'include' ? selectedGenres : null;
+  const keepUntaggedArtists = keepUntagged !== 'false';
 
   // Check for an Existing Job
   // Let's not create duplicate jobs. If a user spam-clicks,
   // just return the job that's already pending or complete.
   // We fetch 'updated_at' to check for staleness.
   try {
+    // Picked venues have to be in the directory, unknown ids would silently filter nothing
+    if (venueFilter.venueIds) {
+      const knownVenues = await venueDirectory.getVenues(venueFilter.venueIds);
+      if (knownVenues.length !== venueFilter.venueIds.length) {
+        return res.status(400).json({ error: 'Some of the picked venues no longer exist. Please pick them again.' });
+      }
+    }
+
     const existingJob = await sql`
-      SELECT id, status, playlist_id, updated_at 
+      SELECT id, status, playlist_id, playlist_removed_at, updated_at 
       FROM playlist_jobs 
       WHERE 
         search_city = ${city} AND 
         search_date = ${date} AND
+        search_end_date IS NOT DISTINCT FROM ${dateRange.endDate} AND
+        search_radius_km IS NOT DISTINCT FROM ${radiusKm} AND
+        included_venue_ids IS NOT DISTINCT FROM ${includedVenueIds} AND
+        excluded_venue_ids IS NOT DISTINCT FROM ${excludedVenueIds} AND
         number_of_songs = ${number_of_songs} AND
+        track_strategy = ${strategy} AND
+        order_mode = ${playlistOrder} AND
         excluded_genres IS NOT DISTINCT FROM ${genresArray} AND
+        included_genres IS NOT DISTINCT FROM ${includedGenresArray} AND
+        keep_untagged = ${keepUntaggedArtists} AND
+        lineup_mode = ${lineup} AND
+        popularity_preset IS NOT DISTINCT FROM ${popularity.preset} AND
+        min_popularity IS NOT DISTINCT FROM ${popularity.minPopularity} AND
+        max_popularity IS NOT DISTINCT FROM ${popularity.maxPopularity} AND
+        min_followers IS NOT DISTINCT FROM ${popularity.minFollowers} AND
+        max_followers IS NOT DISTINCT FROM ${popularity.maxFollowers} AND
         min_start_time = ${minStartTime || 0} AND
         max_start_time = ${maxStartTime || 24}
       ORDER BY created_at DESC
@@ -1544,54 +2130,121 @@ app.get('/api/playlists', async (req, res) => {
         `;
         // We do NOT return here. We let the code fall through to "Create a New Job" below.
         
-      } else if (job.status === 'failed') {
-        // If the job failed, allow retry by creating a new job
-        logger.info(`Cache HIT (Job ${job.id}): Previous job failed. Creating new job to allow retry.`);
+      } else if (job.status === 'failed' || job.status === 'cancelled') {
+        // If the job failed (or was cancelled), allow retry by creating a new job
+        logger.info(`Cache HIT (Job ${job.id}): Previous job ${job.status}. Creating new job to allow retry.`);
         // Fall through to create a new job below
         
+      } else if (job.status === 'complete' && job.playlist_removed_at) {
+        // The collector removed its playlist, so build a fresh one
+        logger.info(`Cache HIT (Job ${job.id}): Playlist was removed by the collector. Creating new job.`);
+
+      } else if (job.status === 'complete') {
+        // It's a completed job. Return it, and mark it used (updated_at) so the collector keeps its playlist
+        // for another retention period. No row means the collector just claimed it, so create a new job instead.
+        const reusedRows = await sql`
+          UPDATE playlist_jobs SET updated_at = NOW()
+          WHERE id = ${job.id} AND playlist_removed_at IS NULL
+          RETURNING id;
+        `;
+        if (reusedRows.length > 0) {
+          logger.info(`Cache HIT (Job): Found existing job ${job.id} with status: ${job.status}`);
+          return res.json({ jobId: job.id });
+        }
+        logger.info(`Cache HIT (Job ${job.id}): Playlist is being removed by the collector. Creating new job.`);
+
       } else {
-        // It's a valid running job or a completed job. Return it.
-        logger.info(`Cache HIT (Job): Found existing job ${job.id} with status: ${job.status}`);
-        return res.json({ jobId: job.id });
+        // It's still running. Record the caller as a watcher, so its creator can't cancel it out from under them.
+        // No row means it was cancelled (or failed) since the lookup, so create a new job instead.
+        const queueKey = getQueueKey(ownerId, req.ip);
+        const watchedRows = await sql`
+          UPDATE playlist_jobs
+          SET watcher_keys = CASE
+            WHEN queue_key IS NOT DISTINCT FROM ${queueKey} OR ${queueKey} = ANY(watcher_keys) THEN watcher_keys
+            ELSE array_append(watcher_keys, ${queueKey})
+          END
+          WHERE id = ${job.id} AND status IN ('pending', 'building', 'complete')
+          RETURNING id;
+        `;
+        if (watchedRows.length > 0) {
+          logger.info(`Cache HIT (Job): Found existing job ${job.id} with status: ${job.status}`);
+          return res.json({ jobId: job.id });
+        }
+        logger.info(`Cache HIT (Job ${job.id}): Job ended while being shared. Creating new job.`);
       }
     }
     
     // Create a New Job
     // Add the 'excluded_genres' array to your INSERT
-    logger.info(`Cache MISS (Job): No job found for ${city} on ${date} excluding: ${genres}. Creating new job...`);
+    logger.info(`Cache MISS (Job): No job found for ${city} on ${date}${dateRange.endDate ? ` to ${dateRange.endDate}` : ''} (${mode}: ${genres}). Creating new job...`);
     
     const newJob = await sql`
       INSERT INTO playlist_jobs (
         search_city,
         search_date,
+        search_end_date,
+        search_radius_km,
+        included_venue_ids,
+        excluded_venue_ids,
         latitude,
         longitude,
         number_of_songs,
+        track_strategy,
+        order_mode,
         excluded_genres,
+        included_genres,
+        keep_untagged,
+        lineup_mode,
+        popularity_preset,
+        min_popularity,
+        max_popularity,
+        min_followers,
+        max_followers,
         min_start_time,
         max_start_time,
         updated_at,
-        owner_id
+        owner_id,
+        priority,
+        queue_key
       ) VALUES (
         ${city},
         ${date},
+        ${dateRange.endDate},
+        ${radiusKm},
+        ${includedVenueIds},
+        ${excludedVenueIds},
         ${latitude},
         ${longitude},
         ${number_of_songs},
+        ${strategy},
+        ${playlistOrder},
         ${genresArray},
+        ${includedGenresArray},
+        ${keepUntaggedArtists},
+        ${lineup},
+        ${popularity.preset},
+        ${popularity.minPopularity},
+        ${popularity.maxPopularity},
+        ${popularity.minFollowers},
+        ${popularity.maxFollowers},
         ${minStartTime || 0},
         ${maxStartTime || 24},
         NOW(),
-        ${ownerId}
+        ${ownerId},
+        ${JOB_PRIORITIES.interactive},
+        ${getQueueKey(ownerId, req.ip)}
       )
-      RETURNING id;
+      RETURNING id, cancel_token;
     `;
 
     const jobId = newJob[0].id;
     logger.info(`Successfully created new job with ID: ${jobId}`);
+    await notifyJobQueued(jobId);
+    notifyJobChanged(jobId); // May move other pending jobs down the queue
 
     // Send the job ID back to the user immediately
-    return res.status(202).json({ jobId: jobId }); // 202 means "Accepted"
+    // The cancel token only goes to the creator (jobs reused above are shared with other users)
+    return res.status(202).json({ jobId: jobId, cancelToken: newJob[0].cancel_token }); // 202 means "Accepted"
 
   } catch (error) {
     logger.error('Error in /api/playlists (job creation):', error);
@@ -1599,9 +2252,73 @@ app.get('/api/playlists', async (req, res) => {
   }
 });
 
+const FINISHED_JOB_STATUSES = ['complete', 'failed', 'cancelled'];
+
+/**
+ * Cancels a queued or building job.
+ * Allowed for the job's owner, or anyone holding the cancel token returned when the job was created (anonymous creators).
+ * Body: { cancelToken } (optional when authenticated as the owner)
+ * - pending jobs leave the queue right away -> { status: 'cancelled' }
+ * - building jobs stop before their next artist and delete their partial playlist -> 202 { status: 'cancelling' }
+ * - jobs other users are also waiting on (identical searches share one) keep going -> { status: 'shared' }
+ */
+app.post('/api/playlists/:id/cancel', async (req, res) => {
+  const { id } = req.params;
+  const { cancelToken } = req.body || {};
+  const userId = await getUserIdFromRequest(req);
+
+  try {
+    const [job] = await sql`SELECT id, status, owner_id, cancel_token FROM playlist_jobs WHERE id = ${id}`;
+    if (!job) return res.status(404).json({ error: 'Job not found.' });
+
+    const isOwner = !!userId && job.owner_id === userId;
+    const hasToken = typeof cancelToken === 'string' && cancelToken === job.cancel_token;
+    if (!isOwner && !hasToken) {
+      return res.status(403).json({ error: 'Only the creator of this playlist can cancel it.' });
+    }
+
+    // Conditional updates, since a worker may claim (or finish) the job at any moment,
+    // and someone may start watching it. Jobs with watchers are never cancelled.
+    const cancelledRows = await sql`
+      UPDATE playlist_jobs
+      SET status = 'cancelled', error_message = 'Cancelled by user', cancel_requested_at = NOW()
+      WHERE id = ${id} AND status = 'pending' AND cardinality(watcher_keys) = 0
+      RETURNING id;
+    `;
+    if (cancelledRows.length > 0) {
+      logger.info(`Job ${id} cancelled while pending.`);
+      notifyJobChanged(id);
+      return res.json({ status: 'cancelled' });
+    }
+
+    const requestedRows = await sql`
+      UPDATE playlist_jobs
+      SET cancel_requested_at = COALESCE(cancel_requested_at, NOW())
+      WHERE id = ${id} AND status = 'building' AND cardinality(watcher_keys) = 0
+      RETURNING id;
+    `;
+    if (requestedRows.length > 0) {
+      logger.info(`Cancellation requested for building job ${id}.`);
+      return res.status(202).json({ status: 'cancelling' });
+    }
+
+    const [current] = await sql`SELECT status, cardinality(watcher_keys) AS watcher_count FROM playlist_jobs WHERE id = ${id}`;
+    if (current && ['pending', 'building'].includes(current.status) && current.watcher_count > 0) {
+      // The caller just stops watching, the job finishes for everyone else
+      logger.info(`Job ${id} not cancelled: ${current.watcher_count} other requester(s) are waiting on it.`);
+      return res.json({ status: 'shared' });
+    }
+    return res.status(409).json({ error: `This job is already ${current?.status || 'finished'}.`, status: current?.status });
+
+  } catch (error) {
+    logger.error(`Error cancelling job ${id}:`, error);
+    return res.status(500).json({ error: 'Failed to cancel job.' });
+  }
+});
+
 /**
  * Polls for the status of a job.
- * The frontend will call this route every 5 seconds.
+ * Fallback for /api/playlists/stream: the frontend calls this every 5 seconds while the stream is down.
  */
 app.get('/api/playlists/status', async (req, res) => {
   const { jobId } = req.query;
@@ -1617,6 +2334,7 @@ app.get('/api/playlists/status', async (req, res) => {
         status, 
         playlist_id, 
         error_message, 
+        activity,
         log_history,
         total_artists,
         processed_artists,
@@ -1630,59 +2348,204 @@ app.get('/api/playlists/status', async (req, res) => {
       return res.status(404).json({ error: 'Job not found.' });
     }
 
-    const job = jobResult[0];
+    const job = jobResult[0];
+
+    // Queue position: how many pending jobs the scheduler will take before this one
+    const queuePosition = job.status === 'pending' ? await jobScheduler.getQueuePosition(job.id) : 0;
+
+    // Send the whole job status back to the frontend.
+    // The frontend will decide what to do with this.
+    res.json({
+      status: job.status,
+      playlistId: job.playlist_id,
+      error: job.error_message,
+      activity: getJobActivity(job),
+      progress: {
+        total: job.total_artists || 0,
+        current: job.processed_artists || 0
+      },
+      events: job.events_data || [],
+      queuePosition: queuePosition
+    });
+
+  } catch (error) {
+    logger.error('Error in /api/playlists/status:', error);
+    return res.status(500).json({ error: 'Error fetching job status.' });
+  }
+});
+
+/**
+ * Streams a job's progress as Server-Sent Events, so the frontend doesn't have to poll.
+ * Only changes are sent:
+ * - 'activity': { offset, entries } new activity entries (the event id is the entry count, so a reconnect resumes after it)
+ * - 'progress': { current, total }
+ * - 'events':   { events } the job's events (sent once they're stored)
+ * - 'queue':    { position } while pending
+ * - 'status':   { status, playlistId, error }; the stream ends after 'complete', 'failed' or 'cancelled'
+ * Resume from an activity offset with ?since= or the Last-Event-ID header (sent by EventSource on reconnect).
+ */
+const STREAM_SAFETY_CHECK_MS = 5000; // Catches changes made outside this process (or a missed notification)
+const STREAM_HEARTBEAT_MS = 25000;   // Keeps proxies from closing an idle connection
+
+app.get('/api/playlists/stream', async (req, res) => {
+  const { jobId } = req.query;
+
+  if (!jobId) {
+    return res.status(400).json({ error: 'Missing required query parameter: jobId' });
+  }
+
+  let activityOffset = Math.max(parseInt(req.query.since ?? req.headers['last-event-id'], 10) || 0, 0);
+
+  try {
+    const [exists] = await sql`SELECT id FROM playlist_jobs WHERE id = ${jobId}`;
+    if (!exists) {
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+  } catch (error) {
+    logger.error('Error in /api/playlists/stream:', error);
+    return res.status(500).json({ error: 'Error fetching job status.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id = null) => {
+    res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // What this connection has already sent
+  const last = { status: null, current: null, total: null, eventsCount: 0, queuePosition: null };
+  let closed = false;
+  let checking = false;
+  let checkAgain = false;
+  let checkTimer = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(checkTimer);
+    clearInterval(safetyTimer);
+    clearInterval(heartbeatTimer);
+    jobEvents.off('change', onJobChanged);
+    res.end();
+  };
+
+  const check = async () => {
+    if (closed) return;
+    if (checking) {
+      checkAgain = true;
+      return;
+    }
+    checking = true;
 
-    // Calculate queue position: count how many pending jobs have a lower ID (were created before this one)
-    // Using ID instead of created_at because IDs are sequential and unique, avoiding timestamp precision issues
-    let queuePosition = 0;
-    if (job.status === 'pending') {
-      // First, let's get all pending jobs to debug
-      const allPendingJobs = await sql`
-        SELECT id, status, created_at
-        FROM playlist_jobs
-        WHERE status = 'pending'
-        ORDER BY id ASC
-      `;
-      
-      const queueCount = await sql`
-        SELECT COUNT(*) as count
+    try {
+      const [job] = await sql`
+        SELECT
+          id,
+          status,
+          playlist_id,
+          error_message,
+          total_artists,
+          processed_artists,
+          (
+            SELECT COALESCE(jsonb_agg(entry ORDER BY position), '[]'::jsonb)
+            FROM jsonb_array_elements(activity) WITH ORDINALITY AS entries(entry, position)
+            WHERE position > ${activityOffset}
+          ) AS new_activity,
+          jsonb_array_length(activity) = 0 AS is_legacy,
+          log_history[${activityOffset + 1}:] AS new_logs,
+          jsonb_array_length(COALESCE(events_data, '[]'::jsonb)) AS events_count
         FROM playlist_jobs
-        WHERE status = 'pending'
-        AND id < ${job.id}
+        WHERE id = ${jobId};
       `;
-      queuePosition = Number(queueCount[0]?.count) || 0;
-      
-      // Debug logging to verify queue position calculation
-      logger.warn(`[QUEUE-POS] Job ${job.id}: Total pending jobs: ${allPendingJobs.length}. Jobs with lower ID: ${queuePosition}. Display position: ${queuePosition + 1}`);
-      if (allPendingJobs.length > 0) {
-        logger.warn(`[QUEUE-POS] All pending job IDs: ${allPendingJobs.map(j => j.id).join(', ')}`);
+      if (closed) return;
+
+      if (!job) {
+        send('status', { status: 'failed', playlistId: null, error: 'Job not found.' });
+        return close();
+      }
+
+      // Jobs from before the activity column only have log lines (see getJobActivity)
+      const newEntries = job.is_legacy ? (job.new_logs || []).map(fromLegacyLogLine) : job.new_activity;
+      if (newEntries.length > 0) {
+        send('activity', { offset: activityOffset, entries: newEntries }, activityOffset + newEntries.length);
+        activityOffset += newEntries.length;
+      }
+
+      const current = job.processed_artists || 0;
+      const total = job.total_artists || 0;
+      if (current !== last.current || total !== last.total) {
+        send('progress', { current, total });
+        last.current = current;
+        last.total = total;
+      }
+
+      const eventsCount = Number(job.events_count) || 0;
+      if (eventsCount !== last.eventsCount) {
+        const [{ events_data: events }] = await sql`SELECT events_data FROM playlist_jobs WHERE id = ${jobId}`;
+        send('events', { events: events || [] });
+        last.eventsCount = eventsCount;
+      }
+
+      if (job.status === 'pending') {
+        const queuePosition = await jobScheduler.getQueuePosition(job.id);
+        if (queuePosition !== last.queuePosition) {
+          send('queue', { position: queuePosition });
+          last.queuePosition = queuePosition;
+        }
+      }
+
+      if (job.status !== last.status) {
+        send('status', { status: job.status, playlistId: job.playlist_id, error: job.error_message });
+        last.status = job.status;
+      }
+
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        close();
+      }
+    } catch (error) {
+      // Keep the stream open, the next check may succeed
+      logger.warn(`[STREAM] Check failed for job ${jobId}: ${error.message}`);
+    } finally {
+      checking = false;
+      if (checkAgain) {
+        checkAgain = false;
+        scheduleCheck();
       }
     }
+  };
 
-    // Send the whole job status back to the frontend.
-    // The frontend will decide what to do with this.
-    res.json({
-      status: job.status,
-      playlistId: job.playlist_id,
-      error: job.error_message,
-      logs: job.log_history || [],
-      progress: {
-        total: job.total_artists || 0,
-        current: job.processed_artists || 0
-      },
-      events: job.events_data || [],
-      queuePosition: queuePosition
-    });
+  // Coalesce bursts of notifications (a worker records activity for every artist) into one query
+  const scheduleCheck = () => {
+    if (closed || checkTimer) return;
+    checkTimer = setTimeout(() => {
+      checkTimer = null;
+      check();
+    }, 250);
+  };
 
-  } catch (error) {
-    logger.error('Error in /api/playlists/status:', error);
-    return res.status(500).json({ error: 'Error fetching job status.' });
-  }
+  // A pending job's queue position changes whenever any job is picked up or finishes
+  const onJobChanged = (changedJobId) => {
+    if (changedJobId === String(jobId) || last.status === 'pending') scheduleCheck();
+  };
+
+  jobEvents.on('change', onJobChanged);
+  const safetyTimer = setInterval(scheduleCheck, STREAM_SAFETY_CHECK_MS);
+  const heartbeatTimer = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', close);
+
+  res.write(`retry: 3000\n\n`);
+  check();
 });
 
 /**
  * Save OR Update a playlist.
- * Logic: If the user already has a saved playlist for this City + Date, 
+ * Logic: If the user already has a saved playlist for this City + Date (or date range), 
  * we overwrite it (Update). Otherwise, we create a new one (Insert).
  */
 app.post('/api/save-playlist', async (req, res) => {
@@ -1697,16 +2560,18 @@ app.post('/api/save-playlist', async (req, res) => {
     if (jobs.length === 0) return res.status(404).json({ error: 'Job not found.' });
     const job = jobs[0];
 
-    // 2. Check for EXISTING playlist (Same User + City + Date)
-    // We strictly enforce 1 saved playlist per City/Date per User.
+    // 2. Check for EXISTING playlist (Same User + City + Date range)
+    // We strictly enforce 1 saved playlist per City/Date range per User.
+    // A weekend playlist and a Saturday-only one are different playlists.
     const existing = await sql`
       SELECT id FROM saved_playlists 
       WHERE user_id = ${userId} 
       AND city_name = ${job.search_city} 
       AND playlist_date = ${job.search_date}
+      AND playlist_end_date IS NOT DISTINCT FROM ${job.search_end_date}
     `;
 
-    const displayName = `${job.search_city} - ${job.search_date}`;
+    const displayName = `${job.search_city} - ${job.search_date}${job.search_end_date ? ` to ${job.search_end_date}` : ''}`;
 
     if (existing.length > 0) {
       // --- UPDATE EXISTING ---
@@ -1717,13 +2582,28 @@ app.post('/api/save-playlist', async (req, res) => {
         UPDATE saved_playlists SET
           original_job_id = ${job.id},
           spotify_playlist_id = ${job.playlist_id},
+          spotify_account_type = ${job.spotify_account_type},
           name = ${displayName},
           events_snapshot = ${job.events_data},
           min_start_time = ${job.min_start_time},
           max_start_time = ${job.max_start_time},
           excluded_genres = ${job.excluded_genres},
+          included_genres = ${job.included_genres},
+          keep_untagged = ${job.keep_untagged},
+          lineup_mode = ${job.lineup_mode},
+          popularity_preset = ${job.popularity_preset},
+          min_popularity = ${job.min_popularity},
+          max_popularity = ${job.max_popularity},
+          min_followers = ${job.min_followers},
+          max_followers = ${job.max_followers},
+          number_of_songs = ${job.number_of_songs},
+          track_strategy = ${job.track_strategy},
+          order_mode = ${job.order_mode},
           latitude = ${job.latitude},
           longitude = ${job.longitude},
+          playlist_radius_km = ${job.search_radius_km},
+          included_venue_ids = ${job.included_venue_ids},
+          excluded_venue_ids = ${job.excluded_venue_ids},
           created_at = NOW() -- Bump to top of list
         WHERE id = ${savedId}
       `;
@@ -1735,27 +2615,59 @@ app.post('/api/save-playlist', async (req, res) => {
           user_id,
           original_job_id,
           spotify_playlist_id,
+          spotify_account_type,
           name,
           city_name,
           playlist_date,
+          playlist_end_date,
           events_snapshot,
           min_start_time,
           max_start_time,
           excluded_genres,
+          included_genres,
+          keep_untagged,
+          lineup_mode,
+          popularity_preset,
+          min_popularity,
+          max_popularity,
+          min_followers,
+          max_followers,
+          number_of_songs,
+          track_strategy,
+          order_mode,
           latitude,
-          longitude
+          longitude,
+          playlist_radius_km,
+          included_venue_ids,
+          excluded_venue_ids
         ) VALUES (
           ${userId}, ${job.id},
           ${job.playlist_id},
+          ${job.spotify_account_type},
           ${displayName},
           ${job.search_city},
           ${job.search_date},
+          ${job.search_end_date},
           ${job.events_data},
           ${job.min_start_time},
           ${job.max_start_time},
           ${job.excluded_genres},
+          ${job.included_genres},
+          ${job.keep_untagged},
+          ${job.lineup_mode},
+          ${job.popularity_preset},
+          ${job.min_popularity},
+          ${job.max_popularity},
+          ${job.min_followers},
+          ${job.max_followers},
+          ${job.number_of_songs},
+          ${job.track_strategy},
+          ${job.order_mode},
           ${job.latitude},
-          ${job.longitude}
+          ${job.longitude},
+          ${job.search_radius_km},
+          ${job.included_venue_ids},
+          ${job.excluded_venue_ids}
         )
         RETURNING id;
       `;
@@ -1786,13 +2698,34 @@ app.get('/api/my-playlists', async (req, res) => {
         name,
         city_name,
         playlist_date,
+        playlist_end_date,
+        playlist_radius_km,
         spotify_playlist_id,
         created_at,
         events_snapshot,
         -- New columns for "Edit/Update" functionality
         min_start_time,
         max_start_time,
-        excluded_genres
+        excluded_genres,
+        included_genres,
+        keep_untagged,
+        lineup_mode,
+        popularity_preset,
+        min_popularity,
+        max_popularity,
+        min_followers,
+        max_followers,
+        number_of_songs,
+        track_strategy,
+        order_mode,
+        calendar_token,
+        -- Venue filter, with names so the form can show the picked venues again
+        CASE WHEN included_venue_ids IS NOT NULL THEN 'include' ELSE 'exclude' END AS venue_mode,
+        (
+          SELECT COALESCE(json_agg(json_build_object('id', v.id, 'name', v.name, 'city', v.city) ORDER BY v.id), '[]'::json)
+          FROM venues v
+          WHERE v.id = ANY(COALESCE(included_venue_ids, excluded_venue_ids))
+        ) AS venues
       FROM saved_playlists 
       WHERE user_id = ${userId}
       ORDER BY created_at DESC;
@@ -1836,6 +2769,7 @@ app.delete('/api/my-playlists/:id', async (req, res) => {
 /**
  * REFRESH a saved playlist.
  * Re-runs the curation logic and updates the existing row.
+ * The Spotify playlist is updated in place (same ID and link); a new one is only created if it's gone.
  */
 app.post('/api/my-playlists/:id/refresh', async (req, res) => {
   const userId = await getUserIdFromRequest(req);
@@ -1856,17 +2790,29 @@ app.post('/api/my-playlists/:id/refresh', async (req, res) => {
       return res.status(400).json({ error: 'This saved playlist is outdated (missing coordinates). Please delete it and create a new one.' });
     }
 
+    // Reuse the track options the playlist was saved with
+    const numberOfSongs = saved.number_of_songs || 1;
+    const trackStrategy = saved.track_strategy || DEFAULT_TRACK_STRATEGY;
+    const orderMode = saved.order_mode || DEFAULT_ORDER_MODE;
+
     // 3. Create a "Shadow Job" for logging/tracking
+    // It's run right here (status 'building'), so it never waits in the queue and no worker needs waking
     const newJob = await sql`
       INSERT INTO playlist_jobs (
-        search_city, search_date, latitude, longitude, number_of_songs, 
-        min_start_time, max_start_time, excluded_genres, 
+        search_city, search_date, search_end_date, search_radius_km, latitude, longitude, number_of_songs, track_strategy, order_mode,
+        min_start_time, max_start_time, excluded_genres, included_genres, keep_untagged, lineup_mode,
+        popularity_preset, min_popularity, max_popularity, min_followers, max_followers,
+        included_venue_ids, excluded_venue_ids,
         owner_id, status
       ) VALUES (
-        ${saved.city_name}, ${saved.playlist_date}, 
+        ${saved.city_name}, ${saved.playlist_date}, ${saved.playlist_end_date}, ${saved.playlist_radius_km},
         ${saved.latitude}, ${saved.longitude}, -- <--- FIX 1: Use 'saved.latitude'
-        1,
+        ${numberOfSongs}, ${trackStrategy}, ${orderMode},
         ${saved.min_start_time || 0}, ${saved.max_start_time || 24}, ${saved.excluded_genres},
+        ${saved.included_genres}, ${saved.keep_untagged !== false}, ${saved.lineup_mode},
+        ${saved.popularity_preset}, ${saved.min_popularity}, ${saved.max_popularity},
+        ${saved.min_followers}, ${saved.max_followers},
+        ${saved.included_venue_ids}, ${saved.excluded_venue_ids},
         ${userId}, 'building'
       )
       RETURNING id;
@@ -1874,25 +2820,50 @@ app.post('/api/my-playlists/:id/refresh', async (req, res) => {
     const jobId = newJob[0].id;
 
     // 4. Run the Logic
-    const accessToken = await getMasterAccessToken();
-    const { playlistId, events } = await runCurationLogic(
+    const spotifyAccount = spotifyPool.pickAccount();
+    const { playlistId, events, accountType } = await runCurationLogic(
       jobId,
       saved.city_name,
       saved.playlist_date,
-      1,
-      accessToken,
+      numberOfSongs,
+      spotifyAccount,
       saved.latitude,   // <--- FIX 2: Use 'saved.latitude'
       saved.longitude,  // <--- FIX 3: Use 'saved.longitude'
       saved.excluded_genres,
       saved.min_start_time,
       saved.max_start_time,
-      99 
+      99,
+      {
+        trackStrategy,
+        orderMode,
+        includedGenres: saved.included_genres,
+        keepUntagged: saved.keep_untagged !== false,
+        lineupMode: saved.lineup_mode,
+        popularityFilters: popularityFiltersFromRow(saved),
+        endDate: saved.playlist_end_date,
+        radiusKm: saved.playlist_radius_km,
+        includedVenueIds: saved.included_venue_ids,
+        excludedVenueIds: saved.excluded_venue_ids,
+        existingPlaylistId: saved.spotify_playlist_id,
+        existingAccountType: saved.spotify_account_type
+      }
     );
 
+    if (!playlistId) {
+      // Keep the saved playlist as it was
+      await sql`
+        UPDATE playlist_jobs
+        SET status = 'failed', error_message = 'No artists were found for this city and date.'
+        WHERE id = ${jobId}
+      `;
+      return res.status(404).json({ error: 'No artists were found for this city and date.' });
+    }
+
     // 5. Update the Saved Playlist with new results
     await sql`
       UPDATE saved_playlists SET
         spotify_playlist_id = ${playlistId},
+        spotify_account_type = ${accountType ?? null},
         events_snapshot = ${sql.json(events)},
         original_job_id = ${jobId},
         updated_at = NOW() 
@@ -1902,12 +2873,14 @@ app.post('/api/my-playlists/:id/refresh', async (req, res) => {
     // 6. Mark Job Complete
     await sql`UPDATE playlist_jobs SET status = 'complete', playlist_id = ${playlistId} WHERE id = ${jobId}`;
 
-    // 7. Return the new data
+    // 7. Return the new data, plus which artists changed since the last version
     return res.json({ 
       success: true, 
       playlistId, 
+      reusedPlaylist: playlistId === saved.spotify_playlist_id,
       eventCount: events.length,
-      events: events 
+      events: events,
+      changes: diffEventArtists(saved.events_snapshot, events)
     });
 
   } catch (error) {
@@ -1916,6 +2889,105 @@ app.post('/api/my-playlists/:id/refresh', async (req, res) => {
   }
 });
 
+/**
+ * Download a finished playlist: tracks as M3U / XSPF, events as CSV, or both as JSON.
+ * Query: format, plus jobId or savedPlaylistId (saved playlists need the owner's Authorization header).
+ */
+app.get('/api/export', async (req, res) => {
+  const { format, jobId, savedPlaylistId } = req.query;
+
+  if (!isExportFormat(format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+  if (!jobId && !savedPlaylistId) {
+    return res.status(400).json({ error: 'Missing required param: jobId or savedPlaylistId' });
+  }
+
+  try {
+    let playlist;
+    if (savedPlaylistId) {
+      const userId = await getUserIdFromRequest(req);
+      if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+      const [saved] = await sql`
+        SELECT * FROM saved_playlists WHERE id = ${savedPlaylistId} AND user_id = ${userId}
+      `;
+      if (!saved) return res.status(404).json({ error: 'Playlist not found or access denied.' });
+
+      playlist = {
+        title: saved.name,
+        city: saved.city_name,
+        date: saved.playlist_date,
+        endDate: saved.playlist_end_date,
+        spotifyPlaylistId: saved.spotify_playlist_id,
+        accountType: saved.spotify_account_type,
+        events: saved.events_snapshot || []
+      };
+    } else {
+      const [job] = await sql`SELECT * FROM playlist_jobs WHERE id = ${jobId}`;
+      if (!job) return res.status(404).json({ error: 'Job not found.' });
+      if (job.status !== 'complete' || !job.playlist_id) {
+        return res.status(409).json({ error: 'This playlist is not finished yet.' });
+      }
+
+      playlist = {
+        title: `${job.search_city} ${formatDateRangePretty(job.search_date, job.search_end_date)} live music`,
+        city: job.search_city,
+        date: job.search_date,
+        endDate: job.search_end_date,
+        spotifyPlaylistId: job.playlist_id,
+        accountType: job.spotify_account_type,
+        events: job.events_data || []
+      };
+    }
+
+    // Track lists live on Spotify, so only formats that include tracks read the playlist
+    let tracks = [];
+    if (EXPORT_FORMATS[format].needsTracks) {
+      try {
+        const spotifyPlaylist = await readMasterPlaylist(playlist.spotifyPlaylistId, playlist.accountType, '[EXPORT]');
+        playlist.title = spotifyPlaylist.name || playlist.title;
+        tracks = spotifyPlaylist.tracks;
+      } catch (spotifyError) {
+        logger.error(`[EXPORT] Could not read playlist ${playlist.spotifyPlaylistId}: ${spotifyError.message}`);
+        return res.status(502).json({ error: 'Could not read the playlist from Spotify. Please try again.' });
+      }
+    }
+
+    const { body, filename, contentType } = renderExport(format, { ...playlist, tracks });
+    res.attachment(filename);
+    res.type(contentType);
+    return res.send(body);
+  } catch (error) {
+    logger.error('Error in /api/export:', error);
+    return res.status(500).json({ error: 'Failed to export playlist.' });
+  }
+});
+
+/**
+ * Subscribable iCal feed of a saved playlist's shows (always the latest refresh).
+ * The token from 'calendar_token' is the only credential, since calendar apps can't log in.
+ */
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  const { token } = req.params;
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(token)) {
+    return res.status(404).send('Calendar not found.');
+  }
+
+  try {
+    const [saved] = await sql`
+      SELECT name, events_snapshot FROM saved_playlists WHERE calendar_token = ${token}
+    `;
+    if (!saved) return res.status(404).send('Calendar not found.');
+
+    res.type('text/calendar');
+    return res.send(renderCalendar({ title: saved.name, events: saved.events_snapshot || [], isFeed: true }));
+  } catch (error) {
+    logger.error('Error in /api/calendar:', error);
+    return res.status(500).send('Failed to load calendar.');
+  }
+});
+
 /**
  * Send playlist link via email.
  * Supports both immediate sending (if playlist is complete) and deferred sending (if playlist is still building).
@@ -1972,6 +3044,7 @@ app.post('/api/email-playlist', async (req, res) => {
     // Get playlist metadata from job or saved_playlists
     let cityName = 'Unknown City';
     let playlistDate = new Date().toISOString().split('T')[0];
+    let playlistEndDate = null;
     let artistCount = 0;
     let excludedGenres = null;
     let minStartTime = null;
@@ -1980,6 +3053,7 @@ app.post('/api/email-playlist', async (req, res) => {
     if (job) {
       cityName = job.search_city || cityName;
       playlistDate = job.search_date || playlistDate;
+      playlistEndDate = job.search_end_date;
       artistCount = job.events_data?.length || 0;
       excludedGenres = job.excluded_genres;
       minStartTime = job.min_start_time;
@@ -1995,6 +3069,7 @@ app.post('/api/email-playlist', async (req, res) => {
         if (saved.length > 0) {
           cityName = saved[0].city_name || cityName;
           playlistDate = saved[0].playlist_date || playlistDate;
+          playlistEndDate = saved[0].playlist_end_date;
           artistCount = saved[0].events_snapshot?.length || 0;
           excludedGenres = saved[0].excluded_genres;
           minStartTime = saved[0].min_start_time;
@@ -2013,6 +3088,7 @@ app.post('/api/email-playlist', async (req, res) => {
         playlistId,
         cityName,
         playlistDate,
+        playlistEndDate,
         artistCount,
         excludedGenres,
         minStartTime,
@@ -2079,71 +3155,393 @@ app.post('/api/email-playlist', async (req, res) => {
   }
 });
 
+// --- USER SPOTIFY CONNECTION ROUTES ---
+
+/**
+ * Is the logged-in user's Spotify account connected?
+ */
+app.get('/api/spotify/connection', async (req, res) => {
+  const userId = await getUserIdFromRequest(req);
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const rows = await sql`
+      SELECT spotify_user_id, display_name, created_at
+      FROM user_spotify_connections
+      WHERE user_id = ${userId}
+    `;
+    if (rows.length === 0) return res.json({ connected: false });
+
+    return res.json({
+      connected: true,
+      spotifyUserId: rows[0].spotify_user_id,
+      displayName: rows[0].display_name,
+      connectedAt: rows[0].created_at
+    });
+  } catch (error) {
+    logger.error('Error in /api/spotify/connection:', error);
+    return res.status(500).json({ error: 'Failed to load Spotify connection.' });
+  }
+});
+
+/**
+ * Starts the Spotify connect flow (Authorization Code with PKCE).
+ * Returns the URL of Spotify's consent screen. Optional jobId / savedPlaylistId are published
+ * as soon as the connection is made, so the user doesn't have to click twice.
+ */
+app.post('/api/spotify/connect', async (req, res) => {
+  const userId = await getUserIdFromRequest(req);
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  if (!CLIENT_ID) {
+    return res.status(503).json({ error: 'Spotify is not configured on this server.' });
+  }
+
+  const { jobId, savedPlaylistId } = req.body || {};
+
+  try {
+    // Forget abandoned attempts
+    await sql`
+      DELETE FROM spotify_oauth_states
+      WHERE created_at < NOW() - make_interval(mins => ${OAUTH_STATE_TTL_MINUTES})
+    `;
+
+    const state = generateState();
+    const codeVerifier = generateCodeVerifier();
+    await sql`
+      INSERT INTO spotify_oauth_states (state, user_id, code_verifier, job_id, saved_playlist_id)
+      VALUES (${state}, ${userId}, ${codeVerifier}, ${jobId || null}, ${savedPlaylistId || null})
+    `;
+
+    const authorizeUrl = buildAuthorizeUrl({
+      clientId: CLIENT_ID,
+      redirectUri: SPOTIFY_USER_REDIRECT_URI,
+      state,
+      codeChallenge: getCodeChallenge(codeVerifier)
+    });
+    return res.json({ authorizeUrl });
+  } catch (error) {
+    logger.error('Error in /api/spotify/connect:', error);
+    return res.status(500).json({ error: 'Failed to start Spotify connection.' });
+  }
+});
+
+/**
+ * Spotify redirects here after the consent screen.
+ * Stores the user's tokens, publishes any playlist the connect request asked for, then sends
+ * the user back to the frontend with ?spotify=connected|published|error.
+ */
+app.get('/api/spotify/callback', async (req, res) => {
+  const { code, state, error: authError } = req.query;
+  const backToFrontend = (params) => res.redirect(`${FRONTEND_URL}/?${new URLSearchParams(params)}`);
+
+  if (!state) return backToFrontend({ spotify: 'error' });
+
+  try {
+    // One-time use: the state row is removed whatever happens next
+    const [oauthState] = await sql`
+      DELETE FROM spotify_oauth_states
+      WHERE state = ${state}
+        AND created_at > NOW() - make_interval(mins => ${OAUTH_STATE_TTL_MINUTES})
+      RETURNING *
+    `;
+
+    if (!oauthState) {
+      logger.warn('[SPOTIFY-CONNECT] Callback with an unknown or expired state.');
+      return backToFrontend({ spotify: 'error' });
+    }
+    if (authError || !code) {
+      logger.info(`[SPOTIFY-CONNECT] User ${oauthState.user_id} did not connect Spotify: ${authError || 'no code'}`);
+      return backToFrontend({ spotify: 'error' });
+    }
+
+    const tokens = await exchangeCodeForTokens({
+      clientId: CLIENT_ID,
+      code,
+      codeVerifier: oauthState.code_verifier,
+      redirectUri: SPOTIFY_USER_REDIRECT_URI
+    });
+
+    const profileResponse = await userSpotifyClient.get(
+      'https://api.spotify.com/v1/me',
+      { headers: { 'Authorization': `Bearer ${tokens.accessToken}` } },
+      { label: 'User profile' }
+    );
+
+    await sql`
+      INSERT INTO user_spotify_connections (
+        user_id, spotify_user_id, display_name, refresh_token,
+        access_token, access_token_expires_at, scope
+      ) VALUES (
+        ${oauthState.user_id}, ${profileResponse.data.id}, ${profileResponse.data.display_name || null}, ${tokens.refreshToken},
+        ${tokens.accessToken}, ${tokens.expiresAt}, ${tokens.scope}
+      )
+      ON CONFLICT (user_id) DO UPDATE SET
+        spotify_user_id = EXCLUDED.spotify_user_id,
+        display_name = EXCLUDED.display_name,
+        refresh_token = EXCLUDED.refresh_token,
+        access_token = EXCLUDED.access_token,
+        access_token_expires_at = EXCLUDED.access_token_expires_at,
+        scope = EXCLUDED.scope,
+        updated_at = NOW()
+    `;
+    logger.info(`[SPOTIFY-CONNECT] User ${oauthState.user_id} connected Spotify account ${profileResponse.data.id}`);
+
+    // Publish the playlist the user clicked "Add to My Spotify" on, if any
+    let publishRequest = null;
+    if (oauthState.saved_playlist_id) {
+      const [saved] = await sql`
+        SELECT * FROM saved_playlists
+        WHERE id = ${oauthState.saved_playlist_id} AND user_id = ${oauthState.user_id}
+      `;
+      if (saved) publishRequest = await requestSpotifyPublish(oauthState.user_id, { saved });
+    } else if (oauthState.job_id) {
+      const [job] = await sql`SELECT * FROM playlist_jobs WHERE id = ${oauthState.job_id}`;
+      if (job && !['failed', 'cancelled'].includes(job.status)) publishRequest = await requestSpotifyPublish(oauthState.user_id, { job });
+    }
+
+    if (publishRequest?.status === 'published') {
+      return backToFrontend({ spotify: 'published', spotifyPlaylistId: publishRequest.spotify_playlist_id });
+    }
+    return backToFrontend({ spotify: 'connected' });
+  } catch (error) {
+    logger.error(`[SPOTIFY-CONNECT] Callback failed: ${error.response?.data?.error || error.message}`);
+    return backToFrontend({ spotify: 'error' });
+  }
+});
+
+/**
+ * Disconnects the user's Spotify account (deletes the stored tokens).
+ * Playlists already published stay in their library.
+ */
+app.delete('/api/spotify/connection', async (req, res) => {
+  const userId = await getUserIdFromRequest(req);
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    await sql`DELETE FROM user_spotify_connections WHERE user_id = ${userId}`;
+    logger.info(`[SPOTIFY-CONNECT] User ${userId} disconnected Spotify.`);
+    return res.json({ success: true });
+  } catch (error) {
+    logger.error('Error disconnecting Spotify:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Publish a job's playlist or a saved playlist into the user's own Spotify library.
+ * Body: { jobId } or { savedPlaylistId }.
+ * Returns 409 with needsConnection when Spotify isn't connected yet.
+ */
+app.post('/api/spotify/publish', async (req, res) => {
+  const userId = await getUserIdFromRequest(req);
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  const { jobId, savedPlaylistId } = req.body || {};
+  if (!jobId && !savedPlaylistId) {
+    return res.status(400).json({ error: 'Missing required field: jobId or savedPlaylistId' });
+  }
+
+  try {
+    const connections = await sql`SELECT user_id FROM user_spotify_connections WHERE user_id = ${userId}`;
+    if (connections.length === 0) {
+      return res.status(409).json({ error: 'Connect your Spotify account first.', needsConnection: true });
+    }
+
+    let publishRequest;
+    if (savedPlaylistId) {
+      const [saved] = await sql`
+        SELECT * FROM saved_playlists WHERE id = ${savedPlaylistId} AND user_id = ${userId}
+      `;
+      if (!saved) return res.status(404).json({ error: 'Playlist not found or access denied.' });
+      publishRequest = await requestSpotifyPublish(userId, { saved });
+    } else {
+      const [job] = await sql`SELECT * FROM playlist_jobs WHERE id = ${jobId}`;
+      if (!job) return res.status(404).json({ error: 'Job not found.' });
+      if (job.status === 'failed' || job.status === 'cancelled') return res.status(400).json({ error: 'This playlist could not be built.' });
+      publishRequest = await requestSpotifyPublish(userId, { job });
+    }
+
+    if (publishRequest.status === 'failed') {
+      return res.status(502).json(toPublishResponse(publishRequest));
+    }
+    return res.json(toPublishResponse(publishRequest));
+  } catch (error) {
+    logger.error('Error in /api/spotify/publish:', error);
+    return res.status(500).json({ error: 'Failed to publish playlist.' });
+  }
+});
+
+// Admin Routes
+
+/**
+ * Invalidate the scraped-events cache.
+ * Optional filters: date (YYYY-MM-DD), and lat + lon (rounded the same way as the cache key).
+ * With no filters, the whole cache is cleared.
+ */
+app.delete('/api/admin/events-cache', async (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const { date, lat, lon } = req.query;
+
+  if ((lat && !lon) || (!lat && lon)) {
+    return res.status(400).json({ error: 'lat and lon must be provided together.' });
+  }
+  if (lat && (isNaN(parseFloat(lat)) || isNaN(parseFloat(lon)))) {
+    return res.status(400).json({ error: 'Invalid latitude or longitude values.' });
+  }
+
+  try {
+    const result = await sql`
+      DELETE FROM events_cache
+      WHERE TRUE
+      ${date ? sql`AND search_date = ${date}` : sql``}
+      ${lat ? sql`AND latitude_rounded = ${roundCoordinate(lat)} AND longitude_rounded = ${roundCoordinate(lon)}` : sql``}
+    `;
+
+    logger.info(`[EVENTS-CACHE] Admin invalidated ${result.count} cache entr${result.count === 1 ? 'y' : 'ies'} (date: ${date || 'any'}, coords: ${lat ? `${lat},${lon}` : 'any'}).`);
+    return res.json({ success: true, cleared: result.count });
+  } catch (error) {
+    logger.error('Error in /api/admin/events-cache:', error);
+    return res.status(500).json({ error: 'Failed to invalidate events cache.' });
+  }
+});
+
+/**
+ * Spotify client monitoring, per pooled account: queue depth, throughput, retries and rate-limit state.
+ */
+app.get('/api/admin/spotify-stats', (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  return res.json({ accounts: spotifyPool.getStats() });
+});
+
+/**
+ * Reloads the Spotify account pool from env and the 'spotify_accounts' table (no restart needed).
+ */
+app.post('/api/admin/spotify-accounts/reload', async (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const count = await spotifyPool.loadAccounts();
+    return res.json({ success: true, accounts: count });
+  } catch (error) {
+    logger.error('Error in /api/admin/spotify-accounts/reload:', error);
+    return res.status(500).json({ error: 'Failed to reload Spotify accounts.' });
+  }
+});
+
+/**
+ * Run the orphaned playlist collector now.
+ * Query: dryRun=true to only report what would be removed.
+ */
+app.post('/api/admin/playlist-gc/run', async (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  if (playlistCollector.isRunning()) {
+    return res.status(409).json({ error: 'The playlist collector is already running.' });
+  }
+
+  try {
+    const report = await playlistCollector.run({ dryRun: req.query.dryRun === 'true' });
+    return res.json(report);
+  } catch (error) {
+    logger.error('Error in /api/admin/playlist-gc/run:', error);
+    return res.status(500).json({ error: `Playlist collection failed: ${error.message}` });
+  }
+});
+
+/**
+ * Reports of the most recent collector runs (newest first).
+ * Query: limit (default 10, max 100).
+ */
+app.get('/api/admin/playlist-gc/runs', async (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  try {
+    const runs = await sql`
+      SELECT id, dry_run, scanned_count, removed_count, report, error_message, started_at, finished_at
+      FROM playlist_gc_runs
+      ORDER BY started_at DESC
+      LIMIT ${limit}
+    `;
+    return res.json(runs);
+  } catch (error) {
+    logger.error('Error in /api/admin/playlist-gc/runs:', error);
+    return res.status(500).json({ error: 'Failed to load collector runs.' });
+  }
+});
+
 /**
- * The Worker Loop
+ * The Worker Pool
  * Starts the queue processing when the server boots.
+ * Each worker drains the queue (one job after another), then idles until it's woken up:
+ * by a NOTIFY on JOB_QUEUE_CHANNEL when a job is queued, or by the slow safety-net poll.
  */
 function startWorker() {
-  const CONCURRENT_WORKERS = 16;
-  logger.info(`Starting ${CONCURRENT_WORKERS} concurrent worker loops...`);
+  logger.info(`Starting ${WORKER_COUNT} workers...`);
+
+  const workers = [];
+  for (let i = 1; i <= WORKER_COUNT; i++) {
+    const worker = { id: i, isRunning: false };
+    worker.run = async () => {
+      if (worker.isRunning) return;
+      worker.isRunning = true;
+      try {
+        while (await processJobQueue(worker.id)) {
+          // Picked up a job, look for the next one
+        }
+      } catch (err) {
+        logger.error(`[Worker ${worker.id}] Loop crashed:`, err);
+      } finally {
+        worker.isRunning = false;
+      }
+    };
+    workers.push(worker);
+  }
+
+  // Busy workers look for the next job themselves when they finish
+  const wakeIdleWorkers = (count = WORKER_COUNT) => {
+    workers.filter(worker => !worker.isRunning).slice(0, count).forEach(worker => worker.run());
+  };
 
   // If the server just restarted, any job marked 'building' is actually dead.
-  // We mark them failed so the UI doesn't get stuck on them.
+  // We requeue them (or mark them failed) so the UI doesn't get stuck on them (before any worker can claim a job).
   (async () => {
     try {
-      const result = await sql`
-        UPDATE playlist_jobs 
-        SET status = 'failed', error_message = 'Server restarted during build'
-        WHERE status = 'building';
-      `;
-      if (result.count > 0) {
-        logger.warn(`[ZOMBIE HUNTER] Cleaned up ${result.count} zombie job(s) left in 'building' state.`);
-      }
+      await recoverInterruptedJobs({ staleOnly: false, failMessage: 'Server restarted during build', logTag: '[ZOMBIE HUNTER]' });
     } catch (err) {
       logger.error('[ZOMBIE HUNTER] Failed to clean zombie jobs:', err);
     }
-  })();
-  
-  // --- Spawn Workers ---
-  for (let i = 1; i <= CONCURRENT_WORKERS; i++) {
-    const workerId = i;
-    // We offset the start times slightly (2s, 4s, 6s, 8s) to prevent 
-    // all 4 hitting the DB at the exact same millisecond on boot.
-    setTimeout(() => {
-      logger.info(`[Worker ${workerId}] Loop starting...`);
-      
-      let isRunning = false;
-      
-      const runLoop = async () => {
-        if (isRunning) return; 
-        isRunning = true;
-        try {
-          await processJobQueue(workerId); // Pass ID to queue
-        } catch (err) {
-          logger.error(`[Worker ${workerId}] Loop crashed:`, err);
-        } finally {
-          isRunning = false;
-        }
-      };
-
-      // Run immediately, then every 10 seconds
-      runLoop();
-      setInterval(runLoop, 10000);
+  })().then(async () => {
+    try {
+      // onlisten also runs after a reconnect: pick up anything queued while we weren't listening
+      await sql.listen(JOB_QUEUE_CHANNEL, () => wakeIdleWorkers(1), () => {
+        logger.info(`[WORKERS] Listening for new jobs on '${JOB_QUEUE_CHANNEL}'.`);
+        wakeIdleWorkers();
+      });
+    } catch (err) {
+      logger.warn(`[WORKERS] Could not LISTEN for new jobs: ${err.message}. Relying on the ${WORKER_SAFETY_POLL_SECONDS}s safety-net poll.`);
+      wakeIdleWorkers();
+    }
 
-    }, i * 2000); 
-  }
+    setInterval(() => wakeIdleWorkers(), WORKER_SAFETY_POLL_SECONDS * 1000);
+    setInterval(reapZombieJobs, ZOMBIE_REAPER_INTERVAL_MINUTES * 60 * 1000);
+  });
 }
 
-// Load rate limit state from database on startup (BEFORE starting workers)
+// Load the Spotify account pool (and each account's rate limit state) BEFORE starting workers
 // This prevents making requests immediately after restart if we were rate limited
-loadRateLimitFromDatabase().then(() => {
-  logger.info(`Rate limit state loaded from database (if any).`);
+spotifyPool.loadAccounts().then(() => {
+  logger.info(`Spotify accounts and rate limit state loaded.`);
 }).catch(err => {
-  logger.warn(`Could not load rate limit state: ${err.message}`);
+  logger.warn(`Could not load Spotify accounts: ${err.message}`);
+}).finally(() => {
+  startWorker();
+  playlistCollector.start({ intervalHours: PLAYLIST_GC_INTERVAL_HOURS, dryRun: PLAYLIST_GC_DRY_RUN });
 });
 
-startWorker();
-
 app.listen(port, '0.0.0.0', () => {
   logger.info(`Server listening on port ${port}. Access at http://localhost:${port}`);
 });
\ No newline at end of file
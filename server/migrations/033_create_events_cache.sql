@@ -0,0 +1,23 @@
+-- Purpose: Shared cache of scraped events so jobs for the same city and date
+-- (e.g. only differing in excluded genres or time window) don't re-scrape Bandsintown.
+-- Keyed by date + coordinates rounded to ~1km, so nearby searches share an entry.
+
+CREATE TABLE events_cache (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+
+  -- Cache Key
+  search_date DATE NOT NULL,
+  latitude_rounded NUMERIC(8, 4) NOT NULL,
+  longitude_rounded NUMERIC(8, 4) NOT NULL,
+
+  -- The merged, normalized event list returned by the event sources
+  events JSONB DEFAULT '[]' NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  CONSTRAINT events_cache_key_unique UNIQUE (search_date, latitude_rounded, longitude_rounded)
+);
+
+-- Index for sweeping expired entries
+CREATE INDEX idx_events_cache_expires_at ON events_cache(expires_at);
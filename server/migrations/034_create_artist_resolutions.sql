@@ -0,0 +1,25 @@
+-- Purpose: Persistent cache mapping a Bandsintown artist name to its Spotify artist.
+-- Cache hits skip both /v1/search and /top-tracks, which is most of our Spotify traffic.
+-- A row with a NULL spotify_artist_id is a "not found" result (negative cache).
+
+CREATE TABLE artist_resolutions (
+  -- Lowercased, trimmed Bandsintown artist name
+  normalized_name TEXT PRIMARY KEY,
+
+  -- Chosen Spotify match (NULL if no acceptable match was found)
+  spotify_artist_id TEXT,
+  spotify_name TEXT,
+  genres TEXT[] DEFAULT '{}',
+  match_distance INTEGER, -- Levenshtein distance of the match (0 = exact)
+
+  -- Cached /top-tracks summaries ({ uri, popularity, release_date }), in Spotify's order.
+  -- Track selection strategies (migration 035) pick from these.
+  top_tracks JSONB,
+
+  -- TTL bookkeeping (artist match and top tracks expire independently)
+  resolved_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  tracks_fetched_at TIMESTAMPTZ
+);
+
+-- Index for looking up every name that resolved to the same artist
+CREATE INDEX idx_artist_resolutions_spotify_id ON artist_resolutions(spotify_artist_id);
@@ -0,0 +1,10 @@
+-- Purpose: Configurable songs-per-artist and track selection strategy.
+-- 'number_of_songs' already exists on playlist_jobs; saved playlists need it so refresh can reuse it.
+-- Strategies: 'top', 'recent', 'random', 'deep_cuts'.
+
+ALTER TABLE playlist_jobs
+ADD COLUMN track_strategy TEXT NOT NULL DEFAULT 'top';
+
+ALTER TABLE saved_playlists
+ADD COLUMN number_of_songs INTEGER DEFAULT 1,
+ADD COLUMN track_strategy TEXT DEFAULT 'top';
@@ -0,0 +1,13 @@
+-- Purpose: Playlist ordering modes ('default', 'set_time', 'venue',
+-- 'popularity_asc', 'popularity_desc', 'interleaved'), stored so refresh can reuse them.
+
+ALTER TABLE playlist_jobs
+ADD COLUMN order_mode TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE saved_playlists
+ADD COLUMN order_mode TEXT DEFAULT 'default';
+
+-- Popularity ordering needs artist popularity on cache hits too
+ALTER TABLE artist_resolutions
+ADD COLUMN popularity INTEGER,
+ADD COLUMN followers INTEGER;
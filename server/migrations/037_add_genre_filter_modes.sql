@@ -0,0 +1,10 @@
+-- Purpose: "Only include these genres" mode and the choice to drop artists without genre tags.
+-- Included genres live next to the existing excluded_genres; a job uses one or the other.
+
+ALTER TABLE playlist_jobs
+ADD COLUMN included_genres TEXT[] DEFAULT NULL,
+ADD COLUMN keep_untagged BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE saved_playlists
+ADD COLUMN included_genres TEXT[] DEFAULT NULL,
+ADD COLUMN keep_untagged BOOLEAN DEFAULT TRUE;
@@ -0,0 +1,16 @@
+-- Purpose: Popularity / follower filters (and the "hidden gems" preset) per job and saved playlist.
+-- NULL bounds mean "no limit". popularity_preset records which preset filled them in, for naming.
+
+ALTER TABLE playlist_jobs
+ADD COLUMN popularity_preset TEXT DEFAULT NULL,
+ADD COLUMN min_popularity INTEGER DEFAULT NULL,
+ADD COLUMN max_popularity INTEGER DEFAULT NULL,
+ADD COLUMN min_followers INTEGER DEFAULT NULL,
+ADD COLUMN max_followers INTEGER DEFAULT NULL;
+
+ALTER TABLE saved_playlists
+ADD COLUMN popularity_preset TEXT DEFAULT NULL,
+ADD COLUMN min_popularity INTEGER DEFAULT NULL,
+ADD COLUMN max_popularity INTEGER DEFAULT NULL,
+ADD COLUMN min_followers INTEGER DEFAULT NULL,
+ADD COLUMN max_followers INTEGER DEFAULT NULL;
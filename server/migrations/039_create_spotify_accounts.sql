@@ -0,0 +1,18 @@
+-- Purpose: Pool of Spotify master accounts, plus which account owns each playlist.
+-- account_type matches rate_limit_state.account_type (1 = primary, 2 = backup from env).
+-- Rows here override env-configured accounts with the same account_type.
+
+CREATE TABLE IF NOT EXISTS spotify_accounts (
+  account_type INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  spotify_user_id TEXT NOT NULL,
+  refresh_token TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+ALTER TABLE playlist_jobs
+ADD COLUMN spotify_account_type INTEGER DEFAULT NULL;
+
+ALTER TABLE saved_playlists
+ADD COLUMN spotify_account_type INTEGER DEFAULT NULL;
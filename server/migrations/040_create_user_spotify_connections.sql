@@ -0,0 +1,51 @@
+-- Purpose: Let users connect their own Spotify account (Authorization Code with PKCE)
+-- and publish finished playlists into their own library.
+
+-- One Spotify connection per user. Tokens are only ever read by the server.
+CREATE TABLE IF NOT EXISTS user_spotify_connections (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  spotify_user_id TEXT NOT NULL,
+  display_name TEXT,
+  refresh_token TEXT NOT NULL,
+  access_token TEXT,
+  access_token_expires_at TIMESTAMPTZ,
+  scope TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- In-flight connect attempts: 'state' ties the callback to the user and holds the PKCE verifier.
+-- Rows are deleted by the callback, or ignored once older than 10 minutes.
+CREATE TABLE IF NOT EXISTS spotify_oauth_states (
+  state TEXT PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  code_verifier TEXT NOT NULL,
+  -- Optional playlist to publish as soon as the connection is made
+  job_id BIGINT REFERENCES playlist_jobs(id) ON DELETE SET NULL,
+  saved_playlist_id BIGINT REFERENCES saved_playlists(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Copies of our playlists in a user's library.
+-- Works like email_requests: a publish on a job that is still building stays 'pending'
+-- until the worker completes the job.
+CREATE TABLE IF NOT EXISTS spotify_publish_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  job_id BIGINT REFERENCES playlist_jobs(id) ON DELETE SET NULL,
+  saved_playlist_id BIGINT REFERENCES saved_playlists(id) ON DELETE SET NULL,
+  status VARCHAR(50) DEFAULT 'pending' NOT NULL, -- 'pending', 'published', 'failed'
+  -- Our playlist that was copied (NULL while the job is still building)
+  source_playlist_id TEXT,
+  -- The playlist created in the user's own library
+  spotify_playlist_id TEXT,
+  error_message TEXT,
+  published_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_spotify_publish_requests_user_id ON spotify_publish_requests(user_id);
+
+-- For finding pending publishes when a job completes
+CREATE INDEX IF NOT EXISTS idx_spotify_publish_requests_job_id ON spotify_publish_requests(job_id) WHERE status = 'pending';
@@ -0,0 +1,23 @@
+-- Purpose: Bookkeeping for the orphaned-playlist collector (utils/playlistCollector.js).
+
+-- When the collector first saw a master-account playlist that nothing references.
+-- Spotify doesn't tell us when a playlist was created, so this is the age used for the retention check.
+CREATE TABLE IF NOT EXISTS playlist_gc_sightings (
+  playlist_id TEXT PRIMARY KEY,
+  account_type INTEGER,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One row per collector run, with the full report of what was (or would have been) removed
+CREATE TABLE IF NOT EXISTS playlist_gc_runs (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  dry_run BOOLEAN NOT NULL,
+  scanned_count INTEGER DEFAULT 0 NOT NULL,
+  removed_count INTEGER DEFAULT 0 NOT NULL,
+  report JSONB,
+  error_message TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_gc_runs_started_at ON playlist_gc_runs(started_at DESC);
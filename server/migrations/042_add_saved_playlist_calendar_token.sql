@@ -0,0 +1,7 @@
+-- Purpose: Stable, unguessable token for each saved playlist's subscribable iCal feed
+-- (GET /api/calendar/:token.ics). Calendar apps can't send auth headers, so the token is the credential.
+
+ALTER TABLE saved_playlists
+ADD COLUMN calendar_token UUID DEFAULT gen_random_uuid() NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_playlists_calendar_token ON saved_playlists(calendar_token);
@@ -0,0 +1,10 @@
+-- Purpose: Let users cancel queued or building jobs (POST /api/playlists/:id/cancel).
+-- Adds the 'cancelled' status: pending jobs are cancelled right away, building jobs get
+-- 'cancel_requested_at' set and the worker stops before its next artist.
+
+-- Returned only to whoever created the job, so anonymous creators can cancel it too
+ALTER TABLE public.playlist_jobs
+ADD COLUMN cancel_token UUID DEFAULT gen_random_uuid() NOT NULL;
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN cancel_requested_at TIMESTAMPTZ;
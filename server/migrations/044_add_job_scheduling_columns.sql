@@ -0,0 +1,13 @@
+-- Purpose: Fair scheduling for the job queue.
+-- Workers take the highest 'priority' first, then round-robin across 'queue_key' (whose turn it is),
+-- then the oldest job. 'queue_key' is the owner's user ID, or 'ip:<address>' for requests without a session.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN priority INTEGER DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN queue_key TEXT;
+
+-- For counting each owner's pending and building jobs
+CREATE INDEX IF NOT EXISTS idx_playlist_jobs_queue_key_status ON public.playlist_jobs (queue_key, status)
+WHERE status IN ('pending', 'building');
@@ -0,0 +1,14 @@
+-- Purpose: Resumable jobs. Workers checkpoint their progress before each artist, so a job interrupted
+-- by a restart (or reset by the zombie reaper) goes back to 'pending' and resumes where it stopped,
+-- reusing the playlist it already created.
+
+-- NULL: not resumable (refreshes, which run inside their request).
+-- '{}': claimed from the queue, no progress yet. Otherwise the playlist, the next artist index,
+-- matched Spotify artist IDs, track URIs already added, and tracks batched but maybe not added yet.
+ALTER TABLE public.playlist_jobs
+ADD COLUMN checkpoint JSONB;
+
+-- How often the job was requeued. Also fences off a hung worker: its checkpoint writes
+-- only apply while resume_count still matches the value it claimed the job with.
+ALTER TABLE public.playlist_jobs
+ADD COLUMN resume_count INTEGER DEFAULT 0 NOT NULL;
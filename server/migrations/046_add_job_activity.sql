@@ -0,0 +1,11 @@
+-- Purpose: Structured job activity. Replaces the prefixed strings in 'log_history' ("ARTIST:Name",
+-- "SKIPPED:Name (Reason)") with typed JSON entries, so the feed and analytics can read them directly.
+-- Entry types and skip reason codes are documented in server/utils/jobActivity.js.
+
+-- Ordered array of entries, e.g. { "type": "artist_skipped", "at": "...", "artist": "...", "reason": "not_found" }
+ALTER TABLE public.playlist_jobs
+ADD COLUMN activity JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+-- 'log_history' is no longer written. It stays for jobs created before this migration,
+-- which the API converts into activity entries when they're read.
+COMMENT ON COLUMN public.playlist_jobs.log_history IS 'Legacy free-text log, replaced by activity';
@@ -0,0 +1,11 @@
+-- Purpose: Multi-day playlists ("everything in Austin this weekend").
+-- A job or saved playlist covers search_date / playlist_date through the end date, both inclusive.
+-- NULL end date: a single day, which is what every existing row means.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN search_end_date DATE,
+ADD CONSTRAINT playlist_jobs_date_range_check CHECK (search_end_date IS NULL OR search_end_date > search_date);
+
+ALTER TABLE public.saved_playlists
+ADD COLUMN playlist_end_date DATE,
+ADD CONSTRAINT saved_playlists_date_range_check CHECK (playlist_end_date IS NULL OR playlist_end_date > playlist_date);
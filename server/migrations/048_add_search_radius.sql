@@ -0,0 +1,11 @@
+-- Purpose: Let a job choose how far from the city to look ("within 25 km of Austin").
+-- Venues farther than the radius from the city's coordinates are dropped (see utils/searchRadius.js).
+-- NULL radius: keep whatever area the event sources cover, which is what every existing row means.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN search_radius_km INTEGER,
+ADD CONSTRAINT playlist_jobs_search_radius_check CHECK (search_radius_km IS NULL OR search_radius_km > 0);
+
+ALTER TABLE public.saved_playlists
+ADD COLUMN playlist_radius_km INTEGER,
+ADD CONSTRAINT saved_playlists_search_radius_check CHECK (playlist_radius_km IS NULL OR playlist_radius_km > 0);
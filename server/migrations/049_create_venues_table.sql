@@ -0,0 +1,32 @@
+-- Purpose: A directory of venues seen in scraped events, for venue autocomplete and venue filters.
+-- Events only carry the venue as a string, so a venue is identified by its normalized name within
+-- the city it was scraped for ("The Mohawk" and "Mohawk" are one venue, the first spelling is its name,
+-- later spellings become aliases). Filled in by runCurationLogic (see utils/venueDirectory.js).
+
+CREATE TABLE public.venues (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name TEXT NOT NULL,
+  name_normalized TEXT NOT NULL,
+  city TEXT NOT NULL, -- The search city it was listed under, e.g. "Austin, Texas"
+  latitude DECIMAL(9, 6),
+  longitude DECIMAL(9, 6),
+  geography geography(Point, 4326),
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT venues_name_city_key UNIQUE (name_normalized, city)
+);
+
+-- Autocomplete narrows by city or distance first, then ranks names with pg_trgm similarity (migration 007)
+CREATE INDEX idx_venues_city ON public.venues (city);
+CREATE INDEX idx_venues_geography ON public.venues USING GIST (geography);
+
+-- Job-level venue filters: only these venues, or never these venues (ids from the venues table).
+-- Like genres, at most one of the two is set.
+ALTER TABLE public.playlist_jobs
+ADD COLUMN included_venue_ids BIGINT[],
+ADD COLUMN excluded_venue_ids BIGINT[];
+
+ALTER TABLE public.saved_playlists
+ADD COLUMN included_venue_ids BIGINT[],
+ADD COLUMN excluded_venue_ids BIGINT[];
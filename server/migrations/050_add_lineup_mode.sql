@@ -0,0 +1,11 @@
+-- Purpose: Look up every act on the bill, not just the headliner.
+-- 'lineup_mode' picks who goes in the playlist: 'everyone', 'headliners' or 'openers' (see utils/lineups.js).
+-- Existing rows only ever had headliners, so they default to 'headliners'; new jobs send their mode.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN lineup_mode TEXT NOT NULL DEFAULT 'headliners',
+ADD CONSTRAINT playlist_jobs_lineup_mode_check CHECK (lineup_mode IN ('everyone', 'headliners', 'openers'));
+
+ALTER TABLE public.saved_playlists
+ADD COLUMN lineup_mode TEXT NOT NULL DEFAULT 'headliners',
+ADD CONSTRAINT saved_playlists_lineup_mode_check CHECK (lineup_mode IN ('everyone', 'headliners', 'openers'));
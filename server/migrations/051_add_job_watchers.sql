@@ -0,0 +1,7 @@
+-- Purpose: Don't let one user cancel a job other users are waiting on.
+-- Identical searches share one job, so /api/playlists hands a pending or building job to everyone who asks.
+-- 'watcher_keys' holds the queue keys (see 044) of the other requesters it was handed to.
+-- POST /api/playlists/:id/cancel only cancels jobs nobody else is watching.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN watcher_keys TEXT[] NOT NULL DEFAULT '{}';
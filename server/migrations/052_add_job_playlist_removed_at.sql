@@ -0,0 +1,6 @@
+-- Purpose: Remember which completed jobs lost their playlist to the collector (utils/playlistCollector.js).
+-- Identical searches reuse completed jobs, and must not be handed a playlist that no longer exists.
+-- The collector sets this (for every job using the playlist) right before it unfollows the playlist.
+
+ALTER TABLE public.playlist_jobs
+ADD COLUMN playlist_removed_at TIMESTAMPTZ;
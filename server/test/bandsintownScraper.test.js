@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { normalizeEvent } = require('../utils/bandsintownScraper');
+
+// A raw page of fetch-next/upcomingEvents, saved by `npm run capture:bandsintown`
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'bandsintown-upcoming-events.json');
+const fixture = fs.existsSync(FIXTURE_PATH) ? JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8')) : null;
+const NO_FIXTURE = !fixture && 'no captured page yet, run `npm run capture:bandsintown -- <date> <lat> <lon>`';
+
+// Field names in a raw event that hold other performers, whatever the endpoint calls them
+const isPerformerListField = (key, value) => /lineup|support|artists|performers/i.test(key) && Array.isArray(value) && value.length > 1;
+
+test('captured page: normalizeEvent reads the headliner, venue and time', { skip: NO_FIXTURE }, () => {
+  const rawEvents = fixture.response.events;
+  assert.ok(rawEvents.length > 0);
+  for (const rawEvent of rawEvents) {
+    const event = normalizeEvent(rawEvent);
+    assert.ok(event.name, `no headliner in ${JSON.stringify(rawEvent)}`);
+    assert.ok(event.venue, `no venue in ${JSON.stringify(rawEvent)}`);
+    assert.ok(event.date, `no start time in ${JSON.stringify(rawEvent)}`);
+    assert.strictEqual(event.lineup[0].name, event.name);
+  }
+});
+
+test('captured page: every performer list the endpoint sends ends up in the lineup', { skip: NO_FIXTURE }, () => {
+  for (const rawEvent of fixture.response.events) {
+    const listField = Object.keys(rawEvent).find(key => isPerformerListField(key, rawEvent[key]));
+    if (!listField) continue;
+    assert.ok(normalizeEvent(rawEvent).lineup.length > 1, `'${listField}' has support acts that normalizeEvent missed`);
+  }
+});
+
+// Coordinate-looking fields of a raw event, flat or nested one level (e.g. in 'venue')
+const findCoordinateFields = (rawEvent) => {
+  const fields = [];
+  for (const [key, value] of Object.entries(rawEvent)) {
+    if (/lat|lon|lng/i.test(key) && Number.isFinite(parseFloat(value))) fields.push(key);
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        if (/lat|lon|lng/i.test(nestedKey) && Number.isFinite(parseFloat(nestedValue))) fields.push(`${key}.${nestedKey}`);
+      }
+    }
+  }
+  return fields;
+};
+
+test('captured page: venue coordinates the endpoint sends end up on the event', { skip: NO_FIXTURE }, () => {
+  for (const rawEvent of fixture.response.events) {
+    const fields = findCoordinateFields(rawEvent);
+    if (fields.length === 0) continue;
+    const event = normalizeEvent(rawEvent);
+    assert.ok(event.latitude !== null && event.longitude !== null, `${fields.join(', ')} sent, but normalizeEvent found no coordinates`);
+  }
+});
+
+test('documented public API shape: venue coordinates are read from strings', () => {
+  const event = normalizeEvent({
+    artistName: 'Headliner',
+    venueName: 'Mohawk',
+    venue: { name: 'Mohawk', latitude: '30.2699', longitude: '-97.7355' }
+  });
+  assert.strictEqual(event.latitude, 30.2699);
+  assert.strictEqual(event.longitude, -97.7355);
+});
+
+test('events without coordinates get null, not 0', () => {
+  const event = normalizeEvent({ artistName: 'Solo Act', venueName: 'Mohawk', venueLatitude: '' });
+  assert.strictEqual(event.latitude, null);
+  assert.strictEqual(event.longitude, null);
+});
+
+test('documented public API shape: lineup names become openers', () => {
+  const event = normalizeEvent({
+    artistName: 'Headliner',
+    venueName: 'Mohawk',
+    startsAt: '2026-10-24T20:00:00',
+    lineup: ['Headliner', 'First Opener', 'Second Opener']
+  });
+  assert.deepStrictEqual(event.lineup, [
+    { name: 'Headliner', role: 'headliner' },
+    { name: 'First Opener', role: 'opener' },
+    { name: 'Second Opener', role: 'opener' }
+  ]);
+});
+
+test('events without a lineup are headliner-only', () => {
+  const event = normalizeEvent({ artistName: 'Solo Act', venueName: 'Mohawk', startsAt: '2026-10-24T20:00:00' });
+  assert.deepStrictEqual(event.lineup, [{ name: 'Solo Act', role: 'headliner' }]);
+});
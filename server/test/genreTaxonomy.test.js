@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GENRE_SKIP_REASONS, classifyArtistGenres } = require('../utils/genreTaxonomy');
+
+const exclude = (genres, excludedGenres) => classifyArtistGenres(genres, { excludedGenres });
+const include = (genres, includedGenres) => classifyArtistGenres(genres, { includedGenres });
+
+test('short keywords only match whole words', () => {
+  // 'ska' (punk, reggae), 'emo' (punk), 'rap' (hip hop), 'edm' (electronic)
+  assert.strictEqual(exclude(['alaska indie'], ['reggae']).keep, true);
+  assert.strictEqual(exclude(['alaska indie'], ['punk']).keep, true);
+  assert.strictEqual(exclude(['scrap metal'], ['hip hop']).keep, true);
+  assert.strictEqual(exclude(['memphis soul', 'democratic folk'], ['punk']).keep, true);
+  assert.strictEqual(exclude(['nedmusic'], ['electronic']).keep, true);
+});
+
+test('whole-word matches still count', () => {
+  assert.deepStrictEqual(exclude(['third wave ska'], ['reggae']), { keep: false, reason: GENRE_SKIP_REASONS.EXCLUDED, genre: 'third wave ska' });
+  assert.strictEqual(exclude(['midwest emo'], ['punk']).keep, false);
+  assert.strictEqual(exclude(['southern rap'], ['hip hop']).keep, false);
+  assert.strictEqual(exclude(['trap latino'], ['hip hop']).keep, false); // 'trap' is its own keyword
+  assert.strictEqual(exclude(['post-punk revival'], ['punk']).keep, false);
+  assert.strictEqual(exclude(['austin hip-hop'], ['hip hop']).keep, false);
+});
+
+test('include mode: a substring of another word is not a match', () => {
+  assert.deepStrictEqual(include(['alaska indie'], ['reggae']), { keep: false, reason: GENRE_SKIP_REASONS.NOT_INCLUDED, genre: 'alaska indie' });
+  assert.strictEqual(include(['trapeze folk'], ['hip hop']).keep, false);
+  assert.strictEqual(include(['ska punk'], ['reggae']).keep, true);
+});
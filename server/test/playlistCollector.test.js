@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPlaylistCollector } = require('../utils/playlistCollector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Fake postgres.js: answers each query by its text, and logs every step (queries and Spotify calls) in order.
+ * 'state.lastUsedDaysAgo' is the age of the newest job using the playlist,
+ * 'state.claimable' whether it's still unused when the collector claims it.
+ */
+function createFakes(state) {
+  const steps = [];
+  const sql = (strings, ...values) => {
+    if (!strings.raw) return { helper: strings }; // sql(ids)
+    const text = strings.join('?').replace(/\s+/g, ' ');
+    steps.push(text);
+    if (text.includes('INSERT INTO playlist_gc_runs')) return Promise.resolve([{ id: 1 }]);
+    if (text.includes('SELECT playlist_id, MAX(')) {
+      return Promise.resolve([{ playlist_id: 'old-playlist', last_used_at: new Date(Date.now() - state.lastUsedDaysAgo * DAY_MS) }]);
+    }
+    if (text.includes('SET playlist_removed_at = NOW()')) return Promise.resolve(state.claimable ? [{ id: 'job-1' }] : []);
+    return Promise.resolve([]);
+  };
+  sql.json = (value) => value;
+
+  const client = {
+    get: async () => ({ data: { items: [{ id: 'old-playlist', name: 'Austin live music', owner: { id: 'master' } }], next: null } }),
+    delete: async (url) => {
+      steps.push(`UNFOLLOW ${url}`);
+      if (state.unfollowFails) throw new Error('Spotify is down');
+    }
+  };
+  const spotifyPool = {
+    listAccounts: () => [{ name: 'PRIMARY', type: 1, spotifyId: 'master', client }],
+    getAccessToken: async () => 'token'
+  };
+  return { steps, collector: createPlaylistCollector({ sql, logger, spotifyPool, retentionDays: 30 }) };
+}
+
+const stepIndex = (steps, fragment) => steps.findIndex(step => step.includes(fragment));
+
+test('an expired job playlist: its jobs are marked removed, then it is unfollowed', async () => {
+  const { steps, collector } = createFakes({ lastUsedDaysAgo: 40, claimable: true });
+  const report = await collector.run();
+
+  assert.strictEqual(report.removed.length, 1);
+  const claim = stepIndex(steps, 'SET playlist_removed_at = NOW()');
+  const unfollow = stepIndex(steps, 'UNFOLLOW');
+  assert.ok(claim >= 0 && unfollow > claim, 'jobs must be marked before the playlist goes');
+  assert.strictEqual(stepIndex(steps, 'SET playlist_removed_at = NULL'), -1);
+});
+
+test('a job reused after the scan keeps its playlist', async () => {
+  const { steps, collector } = createFakes({ lastUsedDaysAgo: 40, claimable: false });
+  const report = await collector.run();
+
+  assert.strictEqual(report.removed.length, 0);
+  assert.strictEqual(report.kept.recentJob, 1);
+  assert.strictEqual(stepIndex(steps, 'UNFOLLOW'), -1);
+});
+
+test('a recently used job playlist is neither marked nor unfollowed', async () => {
+  const { steps, collector } = createFakes({ lastUsedDaysAgo: 2, claimable: true });
+  const report = await collector.run();
+
+  assert.strictEqual(report.kept.recentJob, 1);
+  assert.strictEqual(stepIndex(steps, 'SET playlist_removed_at'), -1);
+  assert.strictEqual(stepIndex(steps, 'UNFOLLOW'), -1);
+});
+
+test('a failed unfollow makes the jobs reusable again', async () => {
+  const { steps, collector } = createFakes({ lastUsedDaysAgo: 40, claimable: true, unfollowFails: true });
+  const report = await collector.run();
+
+  assert.strictEqual(report.failed.length, 1);
+  assert.ok(stepIndex(steps, 'SET playlist_removed_at = NULL') > stepIndex(steps, 'UNFOLLOW'));
+});
+
+test('dry runs mark nothing', async () => {
+  const { steps, collector } = createFakes({ lastUsedDaysAgo: 40, claimable: true });
+  const report = await collector.run({ dryRun: true });
+
+  assert.strictEqual(report.removed.length, 1);
+  assert.strictEqual(stepIndex(steps, 'SET playlist_removed_at'), -1);
+  assert.strictEqual(stepIndex(steps, 'UNFOLLOW'), -1);
+});
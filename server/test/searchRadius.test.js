@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchRadius, createEventDistances } = require('../utils/searchRadius');
+
+// Fake postgres.js: answers the ST_Distance query with a haversine distance (metres -> km like PostGIS / 1000)
+const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+};
+const sql = async (strings, longitude, latitude, points) => points.json.map(point => ({
+  index: point.index,
+  distance_km: haversineKm(point.latitude, point.longitude, latitude, longitude)
+}));
+sql.json = (value) => ({ json: value });
+
+const AUSTIN = { latitude: 30.2672, longitude: -97.7431 };
+const events = [
+  { name: 'Downtown', latitude: 30.2699, longitude: -97.7355 },    // ~1 km
+  { name: 'San Antonio', latitude: 29.4241, longitude: -98.4936 }, // ~120 km
+  { name: 'Unknown', latitude: null, longitude: null }
+];
+
+test('parseSearchRadius only takes whole kilometres in range', () => {
+  assert.deepStrictEqual(parseSearchRadius(''), { radiusKm: null });
+  assert.deepStrictEqual(parseSearchRadius('25'), { radiusKm: 25 });
+  assert.ok(parseSearchRadius('2.5').error);
+  assert.ok(parseSearchRadius('0').error);
+});
+
+test('a radius drops far venues and keeps events with unknown coordinates', async () => {
+  const { applySearchRadius } = createEventDistances({ sql });
+  const result = await applySearchRadius(events, AUSTIN.latitude, AUSTIN.longitude, 50);
+
+  assert.deepStrictEqual(result.events.map(event => event.name), ['Downtown', 'Unknown']);
+  assert.strictEqual(result.outsideCount, 1);
+  assert.strictEqual(result.unlocatedCount, 1);
+  assert.strictEqual(result.events[1].distanceKm, null);
+});
+
+test('without a radius every event is kept, with its distance', async () => {
+  const { applySearchRadius } = createEventDistances({ sql });
+  const result = await applySearchRadius(events, AUSTIN.latitude, AUSTIN.longitude, null);
+
+  assert.strictEqual(result.events.length, 3);
+  assert.ok(result.events[0].distanceKm < 2);
+  assert.ok(result.events[1].distanceKm > 100);
+});
+
+test('when no event has coordinates, the radius filters nothing and says so through unlocatedCount', async () => {
+  const { applySearchRadius } = createEventDistances({ sql });
+  const unlocated = [{ name: 'A', latitude: null, longitude: null }, { name: 'B', latitude: null, longitude: null }];
+  const result = await applySearchRadius(unlocated, AUSTIN.latitude, AUSTIN.longitude, 10);
+
+  assert.strictEqual(result.events.length, 2);
+  assert.strictEqual(result.outsideCount, 0);
+  assert.strictEqual(result.unlocatedCount, 2);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Fake axios: token refreshes (axios.post) hand out 'token-<refresh token>', requests go to 'respond'
+let respond = () => ({ data: {} });
+const calls = [];
+const fakeAxios = async (config) => {
+  calls.push(config.headers.Authorization);
+  return respond(config);
+};
+fakeAxios.post = async (url, params) => ({ data: { access_token: `token-${params.get('refresh_token')}`, expires_in: 3600 } });
+const axiosPath = require.resolve('axios');
+require.cache[axiosPath] = { id: axiosPath, filename: axiosPath, loaded: true, exports: fakeAxios };
+
+const { createAccountPool } = require('../utils/spotifyAccountPool');
+
+const sql = async () => []; // No spotify_accounts rows, no stored rate limits
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const rateLimited = (retryAfterSeconds) => {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: { 'retry-after': String(retryAfterSeconds) } };
+  return error;
+};
+
+test('a long 429 moves the lookup to the next account', async () => {
+  process.env.MASTER_SPOTIFY_ID = 'primary-id';
+  process.env.MASTER_REFRESH_TOKEN = 'primary';
+  process.env.MASTER_SPOTIFY_ID_BACKUP = 'backup-id';
+  process.env.MASTER_REFRESH_TOKEN_BACKUP = 'backup';
+
+  const pool = createAccountPool({ sql, logger, clientId: 'id', clientSecret: 'secret' });
+  await pool.loadAccounts();
+
+  respond = (config) => {
+    if (config.headers.Authorization === 'Bearer token-primary') throw rateLimited(120);
+    return { data: { artists: [] } };
+  };
+
+  const first = await pool.lookup(null, 'https://api.spotify.com/v1/search?q=a', { label: 'Search' });
+  assert.strictEqual(first.account.name, 'BACKUP');
+  assert.deepStrictEqual(calls, ['Bearer token-primary', 'Bearer token-backup']);
+
+  // The next lookup starts on the healthy account, the throttled one isn't tried again
+  const second = await pool.lookup(first.account, 'https://api.spotify.com/v1/search?q=b', { label: 'Search' });
+  assert.strictEqual(second.account.name, 'BACKUP');
+  assert.deepStrictEqual(calls, ['Bearer token-primary', 'Bearer token-backup', 'Bearer token-backup']);
+  assert.ok(pool.getAccount(1).client.getPauseRemainingMs() > 60 * 1000);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSpotifyClient } = require('../utils/spotifyClient');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+test('a pause clears when it expires, even with nothing queued', async () => {
+  let cleared = 0;
+  const client = createSpotifyClient({ name: 'TEST', logger, onRateLimitCleared: () => { cleared++; } });
+
+  client.pauseUntil(Date.now() + 30);
+  assert.strictEqual(client.getStats().rateLimit.active, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+
+  assert.strictEqual(cleared, 1);
+  assert.strictEqual(client.isPaused(), false);
+  assert.strictEqual(client.getPauseRemainingMs(), 0);
+  assert.deepStrictEqual(client.getStats().rateLimit, { active: false, expiresAt: null });
+  assert.strictEqual(client.getStats().availableTokens, 1);
+  assert.strictEqual(cleared, 1);
+});
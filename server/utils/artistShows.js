@@ -0,0 +1,70 @@
+// --- ARTISTS AND SHOWS ---
+// A playlist is built per artist, but an artist can play more than one show in the search
+// (two venues the same night, or two days of a range). events_data holds one entry per artist
+// with every show they play in 'shows', earliest first. For everything that reads events_data
+// as a list of events, the entry's own fields are its first show's.
+// Entries saved before this have no 'shows' and are their only show.
+
+// Fields that describe the artist rather than a show
+const ARTIST_FIELDS = ['name', 'image', 'shows'];
+
+const showStart = (show) => show.date || show.day || '';
+
+/**
+ * Identifies a show: headliner (an artist's own show before lineups existed), venue and start.
+ */
+const showKey = (show) => `${(show.headliner || show.name || '').toLowerCase().trim()}|${(show.venue || '').toLowerCase().trim()}|${(show.date || '').slice(0, 16)}`;
+
+function toShow(entry) {
+  const show = { ...entry };
+  ARTIST_FIELDS.forEach(field => delete show[field]);
+  return show;
+}
+
+/**
+ * Groups per-act entries (utils/lineups.js) by artist name, keeping every show.
+ * The same show listed twice (e.g. by two days of a range) is kept once.
+ * Returns artist entries in order of first appearance.
+ */
+function groupShowsByArtist(entries) {
+  const artists = new Map();
+  for (const entry of entries) {
+    const key = entry.name.toLowerCase().trim();
+    if (!artists.has(key)) artists.set(key, { name: entry.name, image: null, shows: [], showKeys: new Set() });
+    const artist = artists.get(key);
+
+    if (!artist.image && entry.image) artist.image = entry.image;
+    const show = toShow(entry);
+    const keyOfShow = showKey({ ...show, name: entry.name });
+    if (artist.showKeys.has(keyOfShow)) continue;
+    artist.showKeys.add(keyOfShow);
+    artist.shows.push(show);
+  }
+
+  return Array.from(artists.values()).map(({ name, image, shows }) => {
+    shows.sort((a, b) => showStart(a).localeCompare(showStart(b)));
+    return { ...shows[0], name, image, shows };
+  });
+}
+
+/**
+ * An artist entry's shows, each with the artist's 'name' (older entries are their own only show).
+ */
+function getShows(entry) {
+  if (!Array.isArray(entry.shows) || entry.shows.length === 0) return [entry];
+  return entry.shows.map(show => ({ ...show, name: entry.name }));
+}
+
+/**
+ * Every show of every artist entry, in entry order.
+ */
+function listShows(entries) {
+  return (entries || []).filter(entry => entry && entry.name).flatMap(getShows);
+}
+
+module.exports = {
+  showKey,
+  groupShowsByArtist,
+  getShows,
+  listShows
+};
@@ -1,6 +1,7 @@
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth');
 const { execSync } = require('child_process');
+const { buildLineup } = require('./lineups');
 
 chromium.use(stealth());
 
@@ -31,18 +32,79 @@ function formatDateForBandsintown(dateStr) {
   return formattedDate;
 }
 
+/**
+ * One page of the website's upcoming-events endpoint, the one both scrape methods paginate.
+ */
+function buildUpcomingEventsUrl(dateStr, latitude, longitude, pageNum) {
+  const formattedDate = formatDateForBandsintown(dateStr);
+  return `https://www.bandsintown.com/choose-dates/fetch-next/upcomingEvents?date=${formattedDate}&page=${pageNum}&longitude=${longitude}&latitude=${latitude}&genre_query=all-genres`;
+}
+
+/**
+ * Reads a coordinate that may come as a number or a string, null if missing or not a number.
+ */
+function parseCoordinate(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Names of the other acts on the bill.
+ * Bandsintown's documented public API (EventData, https://app.swaggerhub.com/apis/Bandsintown/PublicAPI/3.0.1)
+ * lists every performer, headliner first, in 'lineup' as an array of names. The website endpoint we scrape
+ * is undocumented, so artist objects ({ name } / { artistName }) are accepted too. test/bandsintownScraper.test.js
+ * checks this against a captured page (npm run capture:bandsintown), logFieldCoverage against live scrapes.
+ */
+function extractSupportingActs(rawEvent) {
+  if (!Array.isArray(rawEvent.lineup)) return [];
+  return rawEvent.lineup
+    .map(act => (typeof act === 'string' ? act : act?.name || act?.artistName))
+    .filter(Boolean);
+}
+
+/**
+ * Warns when none of a scrape's events had the optional fields we rely on, with the field names the
+ * first raw event did have, so a change (or a wrong guess) in the response shape doesn't go unnoticed.
+ * With ENABLE_DEBUG_SCRAPER the first raw event is dumped whole, to capture the real shape.
+ */
+function logFieldCoverage(events, sampleRawEvent, logPrefix) {
+  if (events.length === 0 || !sampleRawEvent) return;
+  const fields = Object.keys(sampleRawEvent).join(', ');
+
+  const withSupport = events.filter(event => event.lineup.length > 1).length;
+  if (withSupport === 0) {
+    console.warn(`${logPrefix} [LINEUP] None of ${events.length} events listed support acts, every show is headliner-only. Event fields: ${fields}`);
+  }
+
+  const located = events.filter(event => event.latitude !== null && event.longitude !== null).length;
+  if (located === 0) {
+    console.warn(`${logPrefix} [COORDINATES] None of ${events.length} events had venue coordinates, the search radius keeps them all. Event fields: ${fields}`);
+  }
+
+  if (ENABLE_DEBUG) console.log(`${logPrefix} [SAMPLE EVENT] ${JSON.stringify(sampleRawEvent)}`);
+}
+
 /**
  * Helper to normalize event data from raw API response.
- * Extracts rich metadata including time, timezone, and ticket links.
+ * Extracts rich metadata including time, timezone, ticket links, the full lineup (see utils/lineups.js)
+ * and venue coordinates (used for the search radius).
+ * Coordinates: the documented public API (EventData, see extractSupportingActs) nests them in 'venue'
+ * as 'latitude'/'longitude' strings. The scraped endpoint flattens venue fields ('venueName'), so its
+ * 'venueLatitude'/'venueLongitude' are read first. test/bandsintownScraper.test.js checks both against a
+ * captured page. Missing coordinates are null: under a search radius those events are kept, not dropped
+ * (see utils/searchRadius.js), and the feed says so when no event had any.
  */
 function normalizeEvent(rawEvent) {
   return {
     name: rawEvent.artistName,
+    lineup: buildLineup(rawEvent.artistName, extractSupportingActs(rawEvent)),
     venue: rawEvent.venueName,
     date: rawEvent.startsAt, 
     timezone: rawEvent.timezone,
     url: rawEvent.callToActionRedirectUrl || rawEvent.eventUrl,
-    image: rawEvent.artistImageSrc
+    image: rawEvent.artistImageSrc,
+    latitude: parseCoordinate(rawEvent.venueLatitude ?? rawEvent.venue?.latitude),
+    longitude: parseCoordinate(rawEvent.venueLongitude ?? rawEvent.venue?.longitude)
   };
 }
 
@@ -141,8 +203,8 @@ async function scrapeWithGot(dateStr, latitude, longitude, sessionId, workerId)
   // Dynamic import because got-scraping is ESM
   const { gotScraping } = await import('got-scraping');
   const logPrefix = `[Worker ${workerId}]`;
-  const formattedDate = formatDateForBandsintown(dateStr);
   const allArtistNames = [];
+  let sampleRawEvent = null; // For logFieldCoverage
   let pageNum = 1;
 
   // Configure Proxy Agent
@@ -167,7 +229,7 @@ async function scrapeWithGot(dateStr, latitude, longitude, sessionId, workerId)
   }
 
   while (true) {
-    const apiUrl = `https://www.bandsintown.com/choose-dates/fetch-next/upcomingEvents?date=${formattedDate}&page=${pageNum}&longitude=${longitude}&latitude=${latitude}&genre_query=all-genres`;
+    const apiUrl = buildUpcomingEventsUrl(dateStr, latitude, longitude, pageNum);
     
     if (ENABLE_DEBUG) {
       const nodeMem = Math.round(process.memoryUsage().rss / 1024 / 1024);
@@ -214,6 +276,7 @@ async function scrapeWithGot(dateStr, latitude, longitude, sessionId, workerId)
 
     if (events.length === 0) break;
 
+    if (!sampleRawEvent) sampleRawEvent = events[0];
     const normalizedEvents = events.map(normalizeEvent);
     allArtistNames.push(...normalizedEvents);
 
@@ -225,6 +288,7 @@ async function scrapeWithGot(dateStr, latitude, longitude, sessionId, workerId)
     await sleep(775); // Be polite
   }
 
+  logFieldCoverage(allArtistNames, sampleRawEvent, logPrefix);
   return allArtistNames;
 }
 
@@ -234,8 +298,8 @@ async function scrapeWithGot(dateStr, latitude, longitude, sessionId, workerId)
  */
 async function scrapeWithPlaywright(dateStr, latitude, longitude, sessionId, workerId) {
   const logPrefix = `[Worker ${workerId}]`;
-  const formattedDate = formatDateForBandsintown(dateStr);
   const allArtistNames = [];
+  let sampleRawEvent = null; // For logFieldCoverage
   let pageNum = 1;
   let browser = null
 
@@ -309,7 +373,7 @@ async function scrapeWithPlaywright(dateStr, latitude, longitude, sessionId, wor
     // --- 3. PAGINATION LOOP ---
     // Using while(true) to handle multiple exit conditions explicitly
     while (true) {
-      const apiUrl = `https://www.bandsintown.com/choose-dates/fetch-next/upcomingEvents?date=${formattedDate}&page=${pageNum}&longitude=${longitude}&latitude=${latitude}&genre_query=all-genres`;
+      const apiUrl = buildUpcomingEventsUrl(dateStr, latitude, longitude, pageNum);
       
       if (ENABLE_DEBUG) console.log(`${logPrefix} [PLAYWRIGHT] Navigating to API page ${pageNum}...`);
 
@@ -372,6 +436,7 @@ async function scrapeWithPlaywright(dateStr, latitude, longitude, sessionId, wor
         break;
       }
 
+      if (!sampleRawEvent) sampleRawEvent = events[0];
       const normalizedEvents = events.map(normalizeEvent);
       allArtistNames.push(...normalizedEvents);
       
@@ -398,6 +463,7 @@ async function scrapeWithPlaywright(dateStr, latitude, longitude, sessionId, wor
     }
   }
 
+  logFieldCoverage(allArtistNames, sampleRawEvent, logPrefix);
   if (ENABLE_DEBUG) console.log(`${logPrefix} [COMPLETE] Total artists found: ${allArtistNames.length}`);
   return allArtistNames;
 }
@@ -421,4 +487,9 @@ function getBrowserMemory() {
   }
 }
 
-module.exports = { scrapeBandsintown };
+module.exports = {
+  scrapeBandsintown,
+  // For utils/captureBandsintownSample.js and the fixture tests
+  buildUpcomingEventsUrl,
+  normalizeEvent
+};
@@ -0,0 +1,44 @@
+// server/utils/captureBandsintownSample.js
+// Saves one raw page of the Bandsintown endpoint the scraper reads, as the fixture
+// test/bandsintownScraper.test.js checks normalizeEvent against (lineups, venue coordinates).
+// Re-run it when the scraper's fields look wrong; the response shape isn't documented anywhere.
+//
+// Usage: npm run capture:bandsintown -- <YYYY-MM-DD> <latitude> <longitude>
+// Uses the scraper's proxy settings (PROXY_URL etc.) when they're set.
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+const { buildUpcomingEventsUrl } = require('./bandsintownScraper');
+
+const FIXTURE_PATH = path.resolve(__dirname, '..', 'test', 'fixtures', 'bandsintown-upcoming-events.json');
+
+async function captureSample() {
+  const [dateStr, latitude, longitude] = process.argv.slice(2);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '') || !latitude || !longitude) {
+    console.error('Usage: npm run capture:bandsintown -- <YYYY-MM-DD> <latitude> <longitude>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { gotScraping } = await import('got-scraping');
+  const { PROXY_URL, PROXY_PORT, PROXY_USER, PROXY_PASS } = process.env;
+  const proxyUrl = PROXY_URL ? `http://${PROXY_USER}:${PROXY_PASS}@${PROXY_URL}:${PROXY_PORT}` : undefined;
+
+  const url = buildUpcomingEventsUrl(dateStr, latitude, longitude, 1);
+  console.log(`Fetching ${url}...`);
+  const response = await gotScraping({ url, responseType: 'json', proxyUrl, retry: { limit: 2 } });
+  const events = response.body?.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('The response has no events (blocked, or an empty day). Try another date or city.');
+  }
+
+  fs.mkdirSync(path.dirname(FIXTURE_PATH), { recursive: true });
+  fs.writeFileSync(FIXTURE_PATH, JSON.stringify({ capturedAt: new Date().toISOString(), url, response: response.body }, null, 2) + '\n');
+  console.log(`Saved ${events.length} events to ${FIXTURE_PATH}`);
+}
+
+captureSample().catch(err => {
+  console.error('Capture failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+// --- DATE RANGES ---
+// A job covers one day ('search_date') or a range up to 'search_end_date' (both inclusive, YYYY-MM-DD).
+// Single-day jobs keep search_end_date NULL, so rows from before ranges existed mean the same thing.
+// Ranges are scraped one day at a time, so each extra day costs another scrape.
+
+const MAX_DATE_RANGE_DAYS = parseInt(process.env.MAX_DATE_RANGE_DAYS || '7', 10);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are calendar days, not instants, so all math is done in UTC to dodge DST shifts
+const toUtcTime = (isoDate) => Date.parse(`${isoDate}T00:00:00Z`);
+const isValidDate = (value) => ISO_DATE.test(value) && !Number.isNaN(toUtcTime(value))
+  && new Date(toUtcTime(value)).toISOString().startsWith(value);
+
+/**
+ * Validates the 'date' / 'endDate' request params.
+ * Returns { range: { startDate, endDate } } (endDate is null for a single day) or { error } for a 400 response.
+ */
+function parseDateRange(date, endDate) {
+  if (!isValidDate(date)) {
+    return { error: 'date must be a valid date (YYYY-MM-DD).' };
+  }
+  if (!endDate || endDate === date) {
+    return { range: { startDate: date, endDate: null } };
+  }
+  if (!isValidDate(endDate)) {
+    return { error: 'endDate must be a valid date (YYYY-MM-DD).' };
+  }
+  if (endDate < date) {
+    return { error: 'endDate cannot be before date.' };
+  }
+  if (countDays(date, endDate) > MAX_DATE_RANGE_DAYS) {
+    return { error: `Date ranges can cover at most ${MAX_DATE_RANGE_DAYS} days.` };
+  }
+  return { range: { startDate: date, endDate } };
+}
+
+/**
+ * Number of days in the range, counting both ends.
+ */
+function countDays(startDate, endDate) {
+  return Math.round((toUtcTime(endDate || startDate) - toUtcTime(startDate)) / DAY_MS) + 1;
+}
+
+/**
+ * Every day in the range, in order: listDays('2025-12-19', '2025-12-21') -> ['2025-12-19', '2025-12-20', '2025-12-21'].
+ */
+function listDays(startDate, endDate) {
+  const days = [];
+  for (let time = toUtcTime(startDate); time <= toUtcTime(endDate || startDate); time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+module.exports = {
+  MAX_DATE_RANGE_DAYS,
+  parseDateRange,
+  countDays,
+  listDays
+};
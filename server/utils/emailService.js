@@ -33,6 +33,13 @@ function formatDatePretty(isoDate) {
   return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' }).format(date);
 }
 
+/**
+ * Format a multi-day range (e.g., "Dec 19, 2025 - Dec 21, 2025"), or a single date when there's no end date
+ */
+function formatDateRangePretty(startDate, endDate) {
+  return endDate ? `${formatDatePretty(startDate)} - ${formatDatePretty(endDate)}` : formatDatePretty(startDate);
+}
+
 /**
  * Build email body text from playlist data
  */
@@ -40,6 +47,7 @@ function buildEmailBody(playlistData) {
   const {
     cityName,
     playlistDate,
+    playlistEndDate = null,
     playlistId,
     artistCount = 0,
     excludedGenres = null,
@@ -48,14 +56,14 @@ function buildEmailBody(playlistData) {
   } = playlistData;
 
   const playlistUrl = `https://open.spotify.com/playlist/${playlistId}`;
-  const formattedDate = formatDatePretty(playlistDate);
+  const formattedDate = formatDateRangePretty(playlistDate, playlistEndDate);
 
   let body = `Hi there!\n\n`;
-  body += `Your playlist for ${cityName} on ${formattedDate} is ready!\n\n`;
+  body += `Your playlist for ${cityName} ${playlistEndDate ? 'from' : 'on'} ${formattedDate} is ready!\n\n`;
   body += `Playlist Link: ${playlistUrl}\n\n`;
   body += `Details:\n`;
   body += `- City: ${cityName}\n`;
-  body += `- Date: ${formattedDate}\n`;
+  body += `- ${playlistEndDate ? 'Dates' : 'Date'}: ${formattedDate}\n`;
   body += `- Artists: ${artistCount} artists\n`;
 
   // Add excluded genres if any
@@ -92,6 +100,7 @@ function buildEmailBody(playlistData) {
  * @param {string} params.playlistId - Spotify playlist ID
  * @param {string} params.cityName - City name
  * @param {string} params.playlistDate - Date in YYYY-MM-DD format
+ * @param {string} params.playlistEndDate - Last day of a multi-day playlist, YYYY-MM-DD (optional)
  * @param {number} params.artistCount - Number of artists in playlist
  * @param {string[]} params.excludedGenres - Array of excluded genres (optional)
  * @param {number} params.minStartTime - Minimum start time filter (optional)
@@ -103,6 +112,7 @@ async function sendPlaylistEmail({
   playlistId,
   cityName,
   playlistDate,
+  playlistEndDate = null,
   artistCount = 0,
   excludedGenres = null,
   minStartTime = null,
@@ -123,10 +133,11 @@ async function sendPlaylistEmail({
   }
 
   try {
-    const subject = `Your Curated Live Music Playlist: ${cityName} - ${formatDatePretty(playlistDate)}`;
+    const subject = `Your Curated Live Music Playlist: ${cityName} - ${formatDateRangePretty(playlistDate, playlistEndDate)}`;
     const body = buildEmailBody({
       cityName,
       playlistDate,
+      playlistEndDate,
       playlistId,
       artistCount,
       excludedGenres,
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { scrapeBandsintown } = require('./bandsintownScraper');
+const { buildLineup, getLineup, mergeLineups } = require('./lineups');
+
+const ENABLE_DEBUG = process.env.ENABLE_DEBUG_SCRAPER === 'true';
+
+// Path to a static JSON or CSV file of events (optional).
+// Useful for venues that Bandsintown misses, or as a manual fallback when we get blocked.
+const EVENT_SOURCE_FILE = process.env.EVENT_SOURCE_FILE;
+
+// Static file events with coordinates are only kept if they are within this distance of the search point.
+// This is the file's own search area, a job's radius (utils/searchRadius.js) is applied after merging.
+const STATIC_SOURCE_RADIUS_KM = parseFloat(process.env.STATIC_SOURCE_RADIUS_KM || '50');
+
+/**
+ * ADAPTER: Bandsintown
+ * Thin wrapper around the existing scraper (got-scraping with Playwright fallback).
+ */
+const bandsintownSource = {
+  id: 'bandsintown',
+  fetchEvents: ({ date, latitude, longitude, workerId }) => scrapeBandsintown(date, latitude, longitude, workerId)
+};
+
+/**
+ * Great-circle distance between two points in kilometers (Haversine).
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Reads the static events file and returns its rows as plain objects.
+ * Supports a JSON array (or { events: [...] }) and CSV with a header row.
+ */
+function readStaticFile(filePath) {
+  const resolvedPath = path.resolve(__dirname, '..', filePath);
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+
+  if (resolvedPath.toLowerCase().endsWith('.csv')) {
+    return parse(content, { columns: true, skip_empty_lines: true, trim: true });
+  }
+
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : (data.events || []);
+}
+
+/**
+ * Maps a row from the static file to the same shape as the scraper's normalizeEvent().
+ */
+function normalizeStaticEvent(row) {
+  // 'lineup': the other acts, a JSON array or "A | B" in CSV (names can contain commas)
+  const supportingActs = Array.isArray(row.lineup)
+    ? row.lineup
+    : String(row.lineup || '').split('|').map(name => name.trim());
+  return {
+    name: row.name || row.artist,
+    lineup: buildLineup(row.name || row.artist, supportingActs),
+    venue: row.venue,
+    date: row.date,
+    timezone: row.timezone || null,
+    url: row.url || null,
+    image: row.image || null,
+    latitude: isNaN(parseFloat(row.latitude)) ? null : parseFloat(row.latitude),
+    longitude: isNaN(parseFloat(row.longitude)) ? null : parseFloat(row.longitude)
+  };
+}
+
+/**
+ * ADAPTER: Static JSON/CSV file
+ * Rows need at least 'name' (or 'artist') and 'date' ("YYYY-MM-DDTHH:mm:ss").
+ * Optional 'latitude'/'longitude' columns restrict rows to the search area.
+ * Optional 'lineup' lists the acts besides the headliner ('name').
+ */
+const staticFileSource = {
+  id: 'file',
+  fetchEvents: async ({ date, latitude, longitude }) => {
+    if (!EVENT_SOURCE_FILE) return [];
+
+    const rows = readStaticFile(EVENT_SOURCE_FILE);
+
+    return rows
+      .filter(row => (row.name || row.artist) && row.date && String(row.date).startsWith(date))
+      .filter(row => {
+        const rowLat = parseFloat(row.latitude);
+        const rowLon = parseFloat(row.longitude);
+        if (isNaN(rowLat) || isNaN(rowLon)) return true; // No coords, trust the file
+        return distanceKm(latitude, longitude, rowLat, rowLon) <= STATIC_SOURCE_RADIUS_KM;
+      })
+      .map(normalizeStaticEvent);
+  }
+};
+
+// All known adapters, keyed by id
+const EVENT_SOURCES = {
+  [bandsintownSource.id]: bandsintownSource,
+  [staticFileSource.id]: staticFileSource
+};
+
+/**
+ * Returns the adapters enabled via EVENT_SOURCES (comma-separated ids).
+ * Defaults to Bandsintown, plus the static file adapter if EVENT_SOURCE_FILE is set.
+ */
+function getEnabledSources() {
+  const defaultIds = EVENT_SOURCE_FILE ? 'bandsintown,file' : 'bandsintown';
+  const ids = (process.env.EVENT_SOURCES || defaultIds)
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return ids
+    .map(id => {
+      if (!EVENT_SOURCES[id]) console.warn(`[EVENT-SOURCES] Unknown event source "${id}". Ignoring.`);
+      return EVENT_SOURCES[id];
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Builds the key used to detect the same show reported by different sources.
+ * Same artist, same venue, same start (to the minute).
+ */
+function getEventKey(event) {
+  const name = (event.name || '').toLowerCase().trim();
+  const venue = (event.venue || '').toLowerCase().replace(/^the\s+/, '').trim();
+  const start = (event.date || '').slice(0, 16);
+  return `${name}|${venue}|${start}`;
+}
+
+/**
+ * Merges event lists from several sources into one de-duplicated list.
+ * The first source to report a show wins, later sources only fill in missing fields
+ * and acts missing from its lineup. Each merged event records which sources contributed it in 'sources'.
+ */
+function mergeEvents(resultsBySource) {
+  const mergedMap = new Map();
+
+  for (const { sourceId, events } of resultsBySource) {
+    for (const event of events) {
+      if (!event || !event.name) continue;
+
+      const key = getEventKey(event);
+      const existing = mergedMap.get(key);
+
+      if (!existing) {
+        mergedMap.set(key, { ...event, sources: [sourceId] });
+        continue;
+      }
+
+      for (const [field, value] of Object.entries(event)) {
+        if ((existing[field] === undefined || existing[field] === null || existing[field] === '') && value) {
+          existing[field] = value;
+        }
+      }
+      existing.lineup = mergeLineups(getLineup(existing), getLineup(event));
+      if (!existing.sources.includes(sourceId)) existing.sources.push(sourceId);
+    }
+  }
+
+  return Array.from(mergedMap.values());
+}
+
+/**
+ * MAIN CONTROLLER
+ * Fetches events from every enabled source in parallel and merges them.
+ * A failing source is logged and skipped, so one blocked provider doesn't sink the job.
+ */
+async function fetchEvents(dateStr, latitude, longitude, workerId = 1) {
+  const logPrefix = `[Worker ${workerId}]`;
+  const sources = getEnabledSources();
+
+  const settled = await Promise.allSettled(
+    sources.map(source => source.fetchEvents({ date: dateStr, latitude, longitude, workerId }))
+  );
+
+  const resultsBySource = [];
+  settled.forEach((result, index) => {
+    const sourceId = sources[index].id;
+    if (result.status === 'fulfilled') {
+      const events = result.value || [];
+      if (ENABLE_DEBUG) console.log(`${logPrefix} [EVENT-SOURCES] "${sourceId}" returned ${events.length} events.`);
+      resultsBySource.push({ sourceId, events });
+    } else {
+      console.warn(`${logPrefix} [EVENT-SOURCES] Source "${sourceId}" failed: ${result.reason?.message}`);
+    }
+  });
+
+  const merged = mergeEvents(resultsBySource);
+  if (ENABLE_DEBUG) console.log(`${logPrefix} [EVENT-SOURCES] Merged ${resultsBySource.length} source(s) into ${merged.length} events.`);
+
+  return merged;
+}
+
+module.exports = { fetchEvents, mergeEvents, getEnabledSources };
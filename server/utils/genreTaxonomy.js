@@ -0,0 +1,188 @@
+// --- GENRE TAXONOMY ---
+// Hierarchical mapping of our top-level genres to the Spotify micro-genres they cover.
+// Spotify tags artists with strings like "austin americana" or "melodic dubstep", so an
+// artist genre matches a node if it contains the node's value or any descendant's value as
+// whole words ("alaska indie" isn't ska, "trap" isn't rap; "post-punk" is punk).
+// Children are either plain keywords or nested nodes with their own children.
+const GENRE_TAXONOMY = [
+  { value: 'country', label: 'Country', children: ['outlaw', 'honky tonk', 'bluegrass', 'red dirt'] },
+  {
+    value: 'rock',
+    label: 'Rock',
+    children: [
+      { value: 'alternative rock', children: ['grunge', 'britpop', 'madchester'] },
+      { value: 'psychedelic rock', children: ['shoegaze', 'neo-psychedelic', 'stoner rock'] },
+      'surf', 'rockabilly', 'jam band'
+    ]
+  },
+  { value: 'pop', label: 'Pop', children: ['dance pop', 'k-pop', 'synthpop', 'hyperpop', 'bubblegum'] },
+  {
+    value: 'hip hop',
+    label: 'Hip Hop / Rap',
+    children: ['rap', 'trap', 'drill', 'grime', 'boom bap', 'phonk']
+  },
+  {
+    value: 'electronic',
+    label: 'Electronic',
+    children: [
+      'edm',
+      { value: 'house', children: ['deep house', 'tech house', 'progressive house'] },
+      { value: 'techno', children: ['minimal techno', 'hard techno'] },
+      { value: 'bass music', children: ['dubstep', 'riddim', 'drum and bass', 'jungle'] },
+      { value: 'trance', children: ['psytrance'] },
+      'downtempo', 'ambient', 'idm', 'electronica', 'synthwave'
+    ]
+  },
+  { value: 'jazz', label: 'Jazz', children: ['bebop', 'swing', 'big band'] },
+  { value: 'r&b', label: 'R&B / Soul', children: ['soul', 'motown', 'quiet storm'] },
+  { value: 'folk', label: 'Folk', children: ['americana', 'singer-songwriter'] },
+  {
+    value: 'latin',
+    label: 'Latin',
+    children: [
+      'reggaeton', 'cumbia', 'banda', 'sertanejo', 'dembow', 'salsa', 'bachata',
+      { value: 'regional mexican', children: ['grupera', 'duranguense', 'norteno', 'corrido'] },
+      'piseiro'
+    ]
+  },
+  { value: 'acoustic', label: 'Acoustic', children: ['unplugged'] },
+  {
+    value: 'metal',
+    label: 'Metal',
+    children: ['metalcore', 'deathcore', 'djent', 'doom', 'sludge', 'thrash', 'grindcore']
+  },
+  {
+    value: 'punk',
+    label: 'Punk',
+    children: [
+      { value: 'hardcore', children: ['post-hardcore', 'screamo'] },
+      'post-punk', 'emo', 'ska'
+    ]
+  },
+  { value: 'classical', label: 'Classical', children: ['orchestral', 'orchestra', 'baroque', 'opera', 'chamber music', 'choral'] },
+  { value: 'reggae', label: 'Reggae', children: ['dancehall', 'ska'] },
+  { value: 'blues', label: 'Blues', children: ['boogie-woogie', 'delta blues'] },
+  { value: 'indie', label: 'Indie', children: ['lo-fi', 'bedroom pop', 'dream pop', 'slowcore'] },
+  { value: 'gospel', label: 'Gospel', children: ['worship', 'ccm', 'christian'] },
+  { value: 'comedy', label: 'Comedy', children: ['stand-up', 'comic'] }
+];
+
+// Genre filter modes
+// - exclude: drop artists matching any selected genre (keep everyone else)
+// - include: keep ONLY artists matching a selected genre
+const GENRE_MODES = ['exclude', 'include'];
+
+// Skip reason codes returned by classifyArtistGenres()
+const GENRE_SKIP_REASONS = {
+  EXCLUDED: 'excluded',
+  NOT_INCLUDED: 'not_included',
+  UNTAGGED: 'untagged'
+};
+
+const nodeValue = (node) => (typeof node === 'string' ? node : node.value);
+
+/**
+ * Finds a node anywhere in the tree by its value.
+ */
+function findNode(value, nodes = GENRE_TAXONOMY) {
+  for (const node of nodes) {
+    if (nodeValue(node) === value) return node;
+    if (typeof node !== 'string' && node.children) {
+      const found = findNode(value, node.children);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the node's value plus every descendant value.
+ */
+function collectValues(node) {
+  if (typeof node === 'string') return [node];
+  return [node.value, ...(node.children || []).flatMap(collectValues)];
+}
+
+/**
+ * Expands selected genres into all the keywords they cover.
+ * Unknown genres are kept as-is, so free-text genres still work.
+ */
+function expandGenres(genres) {
+  const expanded = new Set();
+  for (const genre of genres || []) {
+    const key = genre.toLowerCase().trim();
+    const node = findNode(key);
+    (node ? collectValues(node) : [key]).forEach(value => expanded.add(value));
+  }
+  return Array.from(expanded);
+}
+
+// Words of a genre or keyword, split on spaces and hyphens ("post-punk" -> ['post', 'punk'])
+const toWords = (text) => text.toLowerCase().split(/[\s-]+/).filter(Boolean);
+
+/**
+ * Whether 'genreWords' contains all of 'keywordWords', in order and next to each other.
+ */
+function containsWords(genreWords, keywordWords) {
+  if (keywordWords.length === 0) return false;
+  for (let start = 0; start + keywordWords.length <= genreWords.length; start++) {
+    if (keywordWords.every((word, offset) => genreWords[start + offset] === word)) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns the first artist genre that contains any of the keywords as whole words, or null.
+ */
+function findMatchingGenre(artistGenres, keywords) {
+  const keywordWords = keywords.map(toWords);
+  return artistGenres.find(artistGenre => {
+    const genreWords = toWords(artistGenre);
+    return keywordWords.some(words => containsWords(genreWords, words));
+  }) || null;
+}
+
+/**
+ * Decides whether an artist passes the genre filters.
+ * Returns { keep, reason, genre } where 'reason' is one of GENRE_SKIP_REASONS when skipped.
+ */
+function classifyArtistGenres(artistGenres, { excludedGenres = [], includedGenres = [], keepUntagged = true } = {}) {
+  const genres = artistGenres || [];
+
+  if (genres.length === 0) {
+    // Many artists have no genre tags on Spotify at all. The user chooses what happens to them.
+    if (!keepUntagged) return { keep: false, reason: GENRE_SKIP_REASONS.UNTAGGED, genre: null };
+    return { keep: true, reason: null, genre: null };
+  }
+
+  if (excludedGenres && excludedGenres.length > 0) {
+    const excludedMatch = findMatchingGenre(genres, expandGenres(excludedGenres));
+    if (excludedMatch) return { keep: false, reason: GENRE_SKIP_REASONS.EXCLUDED, genre: excludedMatch };
+  }
+
+  if (includedGenres && includedGenres.length > 0) {
+    const includedMatch = findMatchingGenre(genres, expandGenres(includedGenres));
+    if (!includedMatch) return { keep: false, reason: GENRE_SKIP_REASONS.NOT_INCLUDED, genre: genres[0] };
+  }
+
+  return { keep: true, reason: null, genre: null };
+}
+
+/**
+ * Top-level genres for the frontend checkboxes, with the micro-genres each one covers.
+ */
+function getGenreOptions() {
+  return GENRE_TAXONOMY.map(node => ({
+    value: node.value,
+    label: node.label,
+    covers: collectValues(node).slice(1)
+  }));
+}
+
+module.exports = {
+  GENRE_MODES,
+  GENRE_SKIP_REASONS,
+  expandGenres,
+  classifyArtistGenres,
+  getGenreOptions
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { showKey, listShows } = require('./artistShows');
+
+// --- ICALENDAR (RFC 5545) ---
+// One VEVENT per show: every show of every artist (utils/artistShows.js), acts of the same show grouped together. event.date is the venue's local wall time ("2025-12-23T19:00:00") and
+// event.timezone its IANA zone, so start times are converted to UTC with that zone.
+// Events without a zone stay "floating" (local time wherever the calendar is), and events
+// without a start time become all-day events.
+
+const DEFAULT_EVENT_DURATION = 'PT3H'; // Shows don't have an end time, assume a typical night
+const FEED_REFRESH_INTERVAL = 'PT6H';   // Hint for calendar apps subscribed to a feed
+
+/**
+ * Offset (ms) of 'timeZone' from UTC at the given instant.
+ */
+function getTimeZoneOffsetMs(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant;
+}
+
+/**
+ * The UTC instant of a wall-clock time in 'timeZone'. Throws a RangeError for unknown zones.
+ */
+function zonedTimeToUtc([year, month, day, hour, minute, second], timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Twice, in case the first guess lands on the other side of a DST change
+  const firstGuess = asUtc - getTimeZoneOffsetMs(asUtc, timeZone);
+  return new Date(asUtc - getTimeZoneOffsetMs(firstGuess, timeZone));
+}
+
+const pad = (num) => String(num).padStart(2, '0');
+
+const formatUtc = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * DTSTART line for an event, or null if its date can't be read.
+ */
+function formatStart(event) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(event.date || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (hour === undefined) return { line: `DTSTART;VALUE=DATE:${year}${month}${day}`, allDay: true };
+
+  const wallTime = [year, month, day, hour, minute, second || '00'].map(Number);
+  if (event.timezone) {
+    try {
+      return { line: `DTSTART:${formatUtc(zonedTimeToUtc(wallTime, event.timezone))}`, allDay: false };
+    } catch (error) {
+      // Unknown zone, fall through to floating time
+    }
+  }
+  return { line: `DTSTART:${year}${month}${day}T${hour}${minute}${second || '00'}`, allDay: false };
+}
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuation lines start with a space.
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // Continuation lines lose one octet to the leading space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Stable UID, so re-downloading or a feed refresh updates the same calendar entry.
+ */
+function eventUid(event) {
+  return `${crypto.createHash('sha1').update(showKey(event)).digest('hex')}@livemusiccurator.com`;
+}
+
+/**
+ * Groups per-act entries into shows: [{ event, acts }], in order of each show's first entry.
+ */
+function groupShows(events) {
+  const shows = new Map();
+  for (const event of events) {
+    if (!event || !event.name) continue;
+    const key = showKey(event);
+    if (!shows.has(key)) shows.set(key, { event, acts: [] });
+    shows.get(key).acts.push(event.name);
+  }
+  return Array.from(shows.values());
+}
+
+/**
+ * "Headliner with Opener, Opener", or "Opener (opening for Headliner)" when the headliner isn't in the playlist.
+ */
+function describeBilling(event, acts) {
+  const headliner = event.headliner || event.name;
+  if (!acts.includes(headliner)) return `${acts.join(', ')} (opening for ${headliner})`;
+  const openers = acts.filter(act => act !== headliner);
+  return openers.length > 0 ? `${headliner} with ${openers.join(', ')}` : headliner;
+}
+
+/**
+ * Renders events as an iCalendar document.
+ * 'isFeed' adds refresh hints for subscribed calendars.
+ */
+function renderCalendar({ title, events = [], isFeed = false }) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Live Music Curator//Playlist Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(title)}`
+  ];
+  if (isFeed) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`);
+    lines.push(`X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`);
+  }
+
+  for (const { event, acts } of groupShows(listShows(events))) {
+    const start = formatStart(event);
+    if (!start) continue;
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${eventUid(event)}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(start.line);
+    lines.push(start.allDay ? 'DURATION:P1D' : `DURATION:${DEFAULT_EVENT_DURATION}`);
+    const billing = describeBilling(event, acts);
+    lines.push(`SUMMARY:${escapeText(event.venue ? `${billing} at ${event.venue}` : billing)}`);
+    if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+      lines.push(`DESCRIPTION:${escapeText(`Tickets: ${event.url}`)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { renderCalendar };
@@ -0,0 +1,142 @@
+const { GENRE_SKIP_REASONS } = require('./genreTaxonomy');
+
+// --- JOB ACTIVITY ---
+// What a job did, as typed entries in playlist_jobs.activity (see migration 046), so the feed
+// and analytics don't have to parse log strings. Every entry has 'type' and 'at' (ISO timestamp):
+// - info:           { message }
+// - artist_added:   { artist, spotifyArtistId, trackCount }
+// - artist_skipped: { artist, spotifyArtistId, reason, detail } 'reason' is a SKIP_REASONS code,
+//                   'detail' the human-readable version ("Genre: metal", "Popularity 12 below 30")
+// - batch:          { outcome, trackCount, artists, artistCount, httpStatus } one add-tracks request to Spotify
+// Jobs from before the activity column only have log_history strings, fromLegacyLogLine converts those.
+
+const ACTIVITY_TYPES = {
+  INFO: 'info',
+  ARTIST_ADDED: 'artist_added',
+  ARTIST_SKIPPED: 'artist_skipped',
+  BATCH: 'batch'
+};
+
+const SKIP_REASONS = {
+  NOT_FOUND: 'not_found',
+  GENRE_EXCLUDED: 'genre_excluded',
+  GENRE_NOT_INCLUDED: 'genre_not_included',
+  GENRE_UNTAGGED: 'genre_untagged',
+  POPULARITY: 'popularity',
+  NO_TRACKS: 'no_tracks'
+};
+
+const BATCH_OUTCOMES = {
+  ADDED: 'added',
+  FAILED: 'failed'
+};
+
+const GENRE_SKIP_REASON_CODES = {
+  [GENRE_SKIP_REASONS.EXCLUDED]: SKIP_REASONS.GENRE_EXCLUDED,
+  [GENRE_SKIP_REASONS.NOT_INCLUDED]: SKIP_REASONS.GENRE_NOT_INCLUDED,
+  [GENRE_SKIP_REASONS.UNTAGGED]: SKIP_REASONS.GENRE_UNTAGGED
+};
+
+const now = () => new Date().toISOString();
+
+function infoActivity(message) {
+  return { type: ACTIVITY_TYPES.INFO, at: now(), message };
+}
+
+function artistAddedActivity(artist, spotifyArtistId, trackCount) {
+  return { type: ACTIVITY_TYPES.ARTIST_ADDED, at: now(), artist, spotifyArtistId, trackCount };
+}
+
+function artistSkippedActivity(artist, reason, { spotifyArtistId = null, detail = null } = {}) {
+  return { type: ACTIVITY_TYPES.ARTIST_SKIPPED, at: now(), artist, spotifyArtistId, reason, detail };
+}
+
+function batchActivity(outcome, { trackCount, artists, httpStatus = null }) {
+  return { type: ACTIVITY_TYPES.BATCH, at: now(), outcome, trackCount, artists, artistCount: artists.length, httpStatus };
+}
+
+/**
+ * Skip entry for an artist that failed the genre filter ('genreCheck' is classifyArtistGenres' result).
+ */
+function genreSkipActivity(artist, spotifyArtistId, genreCheck) {
+  const detail = genreCheck.reason === GENRE_SKIP_REASONS.UNTAGGED
+    ? 'No genre tags'
+    : genreCheck.reason === GENRE_SKIP_REASONS.NOT_INCLUDED
+      ? `Genre: ${genreCheck.genre} not included`
+      : `Genre: ${genreCheck.genre}`;
+  return artistSkippedActivity(artist, GENRE_SKIP_REASON_CODES[genreCheck.reason], { spotifyArtistId, detail });
+}
+
+/**
+ * Reads an old skip reason ("Not found", "Genre: rock", "No tracks", a popularity message) back into a code.
+ */
+function legacySkipReason(detail) {
+  if (detail === 'Not found') return SKIP_REASONS.NOT_FOUND;
+  if (detail === 'No tracks') return SKIP_REASONS.NO_TRACKS;
+  if (detail === 'No genre tags') return SKIP_REASONS.GENRE_UNTAGGED;
+  if (detail.startsWith('Genre:')) {
+    return detail.endsWith(' not included') ? SKIP_REASONS.GENRE_NOT_INCLUDED : SKIP_REASONS.GENRE_EXCLUDED;
+  }
+  return SKIP_REASONS.POPULARITY;
+}
+
+/**
+ * Converts one log_history line ("ARTIST:Name", "SKIPPED:Name (Reason)", "WARNING: ...", free text)
+ * into an activity entry. Old lines have no timestamp, so 'at' is null.
+ */
+function fromLegacyLogLine(line) {
+  if (line.startsWith('ARTIST:')) {
+    return { type: ACTIVITY_TYPES.ARTIST_ADDED, at: null, artist: line.slice('ARTIST:'.length).trim(), spotifyArtistId: null, trackCount: null };
+  }
+
+  if (line.startsWith('SKIPPED:')) {
+    const body = line.slice('SKIPPED:'.length).trim();
+    const reasonMatch = body.match(/^(.*?)\s*\(([^()]*)\)$/);
+    const detail = reasonMatch ? reasonMatch[2].trim() : 'Not found';
+    return {
+      type: ACTIVITY_TYPES.ARTIST_SKIPPED,
+      at: null,
+      artist: reasonMatch ? reasonMatch[1].trim() : body,
+      spotifyArtistId: null,
+      reason: legacySkipReason(detail),
+      detail
+    };
+  }
+
+  if (line.startsWith('WARNING:')) {
+    // "WARNING: Failed to add tracks for N artists (A, B and 3 more). ..." was the only warning
+    const countMatch = line.match(/for (\d+) artists \((.*?)(?: and \d+ more)?\)/);
+    return {
+      type: ACTIVITY_TYPES.BATCH,
+      at: null,
+      outcome: BATCH_OUTCOMES.FAILED,
+      trackCount: null,
+      artists: countMatch ? countMatch[2].split(', ') : [], // Only the first five were logged
+      artistCount: countMatch ? parseInt(countMatch[1], 10) : null,
+      httpStatus: null
+    };
+  }
+
+  return { type: ACTIVITY_TYPES.INFO, at: null, message: line };
+}
+
+/**
+ * A job's activity: the structured entries, or its converted log_history for jobs that predate them.
+ */
+function getJobActivity(job) {
+  if (job.activity && job.activity.length > 0) return job.activity;
+  return (job.log_history || []).map(fromLegacyLogLine);
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  SKIP_REASONS,
+  BATCH_OUTCOMES,
+  infoActivity,
+  artistAddedActivity,
+  artistSkippedActivity,
+  batchActivity,
+  genreSkipActivity,
+  fromLegacyLogLine,
+  getJobActivity
+};
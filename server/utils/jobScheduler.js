@@ -0,0 +1,114 @@
+// --- JOB SCHEDULER ---
+// Decides which pending job a worker takes next, so one person queueing twenty searches
+// can't starve everyone else:
+// 1. Highest priority first (see JOB_PRIORITIES)
+// 2. Round-robin across owners: each owner's 1st waiting job goes before anyone's 2nd, and so on.
+//    Jobs an owner already has building count as turns taken.
+// 3. Oldest first
+// Owners already running MAX_JOBS_PER_OWNER jobs are skipped until one finishes.
+// An owner is a 'queue_key': the user ID, or 'ip:<address>' without a session.
+
+const MAX_JOBS_PER_OWNER = parseInt(process.env.MAX_JOBS_PER_OWNER || '2', 10);
+
+const JOB_PRIORITIES = {
+  interactive: 10 // Someone is watching the feed
+};
+
+// Any constant works, it just has to be the same for every claim
+const CLAIM_LOCK_KEY = 'playlist_jobs_claim';
+
+/**
+ * The owner a job is scheduled under.
+ */
+function getQueueKey(ownerId, ip) {
+  if (ownerId) return ownerId;
+  return ip ? `ip:${ip}` : null;
+}
+
+/**
+ * Creates the scheduler. 'sql' is the postgres.js instance.
+ */
+function createJobScheduler({ sql, maxJobsPerOwner = MAX_JOBS_PER_OWNER }) {
+  /**
+   * Every pending job with its place in the rotation. Jobs without a queue_key (older rows) are their own owner.
+   */
+  const pendingQueue = (tx) => tx`
+    SELECT
+      p.id,
+      p.priority,
+      p.created_at,
+      COALESCE(r.running_count, 0) AS running_count,
+      ROW_NUMBER() OVER (PARTITION BY COALESCE(p.queue_key, 'job:' || p.id) ORDER BY p.created_at, p.id)
+        + COALESCE(r.running_count, 0) AS turn
+    FROM playlist_jobs p
+    LEFT JOIN (
+      SELECT queue_key, COUNT(*) AS running_count
+      FROM playlist_jobs
+      WHERE status = 'building' AND queue_key IS NOT NULL
+      GROUP BY queue_key
+    ) r ON r.queue_key = p.queue_key
+    WHERE p.status = 'pending'
+  `;
+
+  /**
+   * Claims the next job (marks it 'building') and returns the row, or null if nothing can run now.
+   * Claims are serialized with an advisory lock, so two workers can't both take an owner's last free slot.
+   */
+  const claimNextJob = () => sql.begin(async tx => {
+    await tx`SELECT pg_advisory_xact_lock(hashtext(${CLAIM_LOCK_KEY}))`;
+
+    const [next] = await tx`
+      SELECT id FROM (${pendingQueue(tx)}) queue
+      WHERE running_count < ${maxJobsPerOwner}
+      ORDER BY priority DESC, turn ASC, created_at ASC, id ASC
+      LIMIT 1
+    `;
+    if (!next) return null;
+
+    // An empty checkpoint marks the job as resumable (see migration 045)
+    const [job] = await tx`
+      UPDATE playlist_jobs
+      SET status = 'building', checkpoint = COALESCE(checkpoint, '{}'::jsonb)
+      WHERE id = ${next.id} AND status = 'pending'
+      RETURNING *
+    `;
+    return job || null;
+  });
+
+  /**
+   * How many pending jobs will be taken before this one (0 = next in line), in the same order claimNextJob uses.
+   * claimNextJob skips owners at the per-owner cap, so while this job's owner is capped every job of an
+   * owner who isn't runs first; while another owner is capped, their jobs don't go before this one.
+   * A snapshot: running jobs finishing can change it.
+   */
+  const getQueuePosition = async (jobId) => {
+    const [row] = await sql`
+      WITH queue AS (${pendingQueue(sql)})
+      SELECT COUNT(*) AS count
+      FROM (
+        SELECT
+          queue.running_count < ${maxJobsPerOwner} AS runnable,
+          me.running_count < ${maxJobsPerOwner} AS me_runnable,
+          queue.priority > me.priority
+            OR (queue.priority = me.priority AND (queue.turn, queue.created_at, queue.id) < (me.turn, me.created_at, me.id)) AS in_order_ahead
+        FROM queue, (SELECT * FROM queue WHERE id = ${jobId}) me
+        WHERE queue.id <> me.id
+      ) others
+      WHERE (runnable AND (in_order_ahead OR NOT me_runnable))
+      OR (NOT runnable AND NOT me_runnable AND in_order_ahead)
+    `;
+    return Number(row?.count) || 0;
+  };
+
+  return {
+    claimNextJob,
+    getQueuePosition
+  };
+}
+
+module.exports = {
+  MAX_JOBS_PER_OWNER,
+  JOB_PRIORITIES,
+  getQueueKey,
+  createJobScheduler
+};
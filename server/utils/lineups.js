@@ -0,0 +1,99 @@
+// --- LINEUPS ---
+// A scraped event is one show: 'name' is its headliner and 'lineup' every performer, headliner first,
+// as [{ name, role }] with role 'headliner' or 'opener'. Sources that only know the headliner
+// (and events cached before lineups existed) get a one-performer lineup.
+// runCurationLogic turns shows into one entry per performer to look up, picked by the job's
+// lineup mode; each entry keeps the show's 'lineup' and its 'headliner'.
+
+const PERFORMER_ROLES = {
+  HEADLINER: 'headliner',
+  OPENER: 'opener'
+};
+
+const LINEUP_MODES = ['everyone', 'headliners', 'openers'];
+const DEFAULT_LINEUP_MODE = 'everyone';
+
+const performerKey = (name) => String(name || '').toLowerCase().trim();
+
+/**
+ * Builds a lineup from the headliner and the other acts (names), dropping blanks and repeats.
+ */
+function buildLineup(headliner, supportingActs = []) {
+  const lineup = [];
+  const seen = new Set();
+  const add = (name, role) => {
+    const key = performerKey(name);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    lineup.push({ name: String(name).trim(), role });
+  };
+
+  add(headliner, PERFORMER_ROLES.HEADLINER);
+  supportingActs.forEach(name => add(name, PERFORMER_ROLES.OPENER));
+  return lineup;
+}
+
+/**
+ * The event's lineup, or just its headliner for events without one.
+ */
+function getLineup(event) {
+  if (Array.isArray(event.lineup) && event.lineup.length > 0) return event.lineup;
+  return event.name ? [{ name: event.name, role: PERFORMER_ROLES.HEADLINER }] : [];
+}
+
+/**
+ * Combines the lineups two sources gave for the same show. The first one's order and roles win,
+ * acts only the second one knows are added at the end.
+ */
+function mergeLineups(first, second) {
+  const merged = [...first];
+  const seen = new Set(first.map(performer => performerKey(performer.name)));
+  for (const performer of second) {
+    if (seen.has(performerKey(performer.name))) continue;
+    seen.add(performerKey(performer.name));
+    merged.push(performer);
+  }
+  return merged;
+}
+
+/**
+ * One entry per performer the lineup mode picks, in show order:
+ * { ...event, name: performer, role, headliner }. Openers get no image.
+ */
+function expandLineups(events, lineupMode = DEFAULT_LINEUP_MODE) {
+  const entries = [];
+  for (const event of events) {
+    for (const performer of getLineup(event)) {
+      if (lineupMode === 'headliners' && performer.role !== PERFORMER_ROLES.HEADLINER) continue;
+      if (lineupMode === 'openers' && performer.role !== PERFORMER_ROLES.OPENER) continue;
+      entries.push({
+        ...event,
+        name: performer.name,
+        role: performer.role,
+        headliner: event.name,
+        image: performer.role === PERFORMER_ROLES.HEADLINER ? event.image : null // The show's image is the headliner's photo
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Short label for playlist names, null for 'everyone' (the default needs no mention).
+ */
+function describeLineupMode(lineupMode) {
+  if (lineupMode === 'headliners') return 'Headliners Only';
+  if (lineupMode === 'openers') return 'Openers Only';
+  return null;
+}
+
+module.exports = {
+  PERFORMER_ROLES,
+  LINEUP_MODES,
+  DEFAULT_LINEUP_MODE,
+  buildLineup,
+  getLineup,
+  mergeLineups,
+  expandLineups,
+  describeLineupMode
+};
@@ -0,0 +1,260 @@
+// --- ORPHANED PLAYLIST COLLECTOR ---
+// Every job creates a playlist on a master account, and most are never cleaned up: failed batches,
+// playlists replaced by a refresh, jobs nobody saved. The collector lists each account's own playlists
+// and unfollows (Spotify's "delete") the ones nothing needs anymore:
+// - referenced by saved_playlists.spotify_playlist_id -> always kept
+// - referenced by playlist_jobs.playlist_id            -> removed once the newest such job is older than the retention age
+// - not referenced at all                              -> removed once first seen longer ago than the retention age
+//   (Spotify doesn't expose creation dates, and jobs only store playlist_id when they complete,
+//   so a playlist that is still being built is never old enough to be removed)
+// Jobs whose playlist is removed get 'playlist_removed_at', so identical searches stop reusing them.
+// Handing out a job counts as using it (updated_at), and the collector re-checks that as it marks the jobs.
+
+const RETENTION_DAYS = parseInt(process.env.PLAYLIST_GC_RETENTION_DAYS || '30', 10);
+const MAX_DELETIONS_PER_RUN = parseInt(process.env.PLAYLIST_GC_MAX_DELETIONS || '500', 10);
+const PAGE_SIZE = 50; // Spotify's max for /me/playlists
+const QUERY_CHUNK_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Creates the collector for a Spotify account pool (see spotifyAccountPool.js).
+ * run() does one pass; start() schedules a pass every 'intervalHours'.
+ * 'logger' is the server's logger, so these messages respect LOG_LEVEL.
+ */
+function createPlaylistCollector({ sql, logger, spotifyPool, retentionDays = RETENTION_DAYS, maxDeletions = MAX_DELETIONS_PER_RUN }) {
+  let running = false;
+  let timer = null;
+
+  const authConfig = async (account) => ({
+    headers: { 'Authorization': `Bearer ${await spotifyPool.getAccessToken(account)}` }
+  });
+
+  /**
+   * Every playlist the account owns (followed playlists owned by someone else are skipped).
+   */
+  const listOwnedPlaylists = async (account) => {
+    const playlists = [];
+    let nextUrl = `https://api.spotify.com/v1/me/playlists?limit=${PAGE_SIZE}`;
+    while (nextUrl) {
+      const response = await account.client.get(nextUrl, await authConfig(account), { label: 'List playlists', logPrefix: '[PLAYLIST-GC]' });
+      for (const playlist of response.data.items || []) {
+        if (playlist && playlist.owner?.id === account.spotifyId) {
+          playlists.push({ id: playlist.id, name: playlist.name });
+        }
+      }
+      nextUrl = response.data.next;
+    }
+    return playlists;
+  };
+
+  /**
+   * For a list of playlist IDs: which are saved, the newest job using each, and when each was first seen.
+   */
+  const loadReferences = async (playlistIds, accountType) => {
+    const saved = new Set();
+    const lastJobAt = new Map();
+    const firstSeenAt = new Map();
+
+    for (const ids of chunk(playlistIds, QUERY_CHUNK_SIZE)) {
+      const savedRows = await sql`
+        SELECT DISTINCT spotify_playlist_id FROM saved_playlists
+        WHERE spotify_playlist_id IN ${sql(ids)}
+      `;
+      savedRows.forEach(row => saved.add(row.spotify_playlist_id));
+
+      const jobRows = await sql`
+        SELECT playlist_id, MAX(COALESCE(updated_at, created_at)) AS last_used_at
+        FROM playlist_jobs
+        WHERE playlist_id IN ${sql(ids)}
+        GROUP BY playlist_id
+      `;
+      jobRows.forEach(row => lastJobAt.set(row.playlist_id, new Date(row.last_used_at)));
+
+      // Start the clock on playlists nothing references (even in dry runs, seeing isn't deleting)
+      const unreferenced = ids.filter(id => !saved.has(id) && !lastJobAt.has(id));
+      if (unreferenced.length > 0) {
+        await sql`
+          INSERT INTO playlist_gc_sightings ${sql(unreferenced.map(id => ({ playlist_id: id, account_type: accountType })))}
+          ON CONFLICT (playlist_id) DO NOTHING
+        `;
+        const sightingRows = await sql`
+          SELECT playlist_id, first_seen_at FROM playlist_gc_sightings
+          WHERE playlist_id IN ${sql(unreferenced)}
+        `;
+        sightingRows.forEach(row => firstSeenAt.set(row.playlist_id, new Date(row.first_seen_at)));
+      }
+    }
+
+    return { saved, lastJobAt, firstSeenAt };
+  };
+
+  /**
+   * One collection pass over every account in the pool.
+   * With 'dryRun', nothing is unfollowed and the report lists what would have been removed.
+   * Returns the report (also stored in 'playlist_gc_runs').
+   */
+  const run = async ({ dryRun = false } = {}) => {
+    if (running) throw new Error('The playlist collector is already running.');
+    running = true;
+
+    const startedAt = new Date();
+    const cutoff = startedAt.getTime() - retentionDays * DAY_MS;
+    const report = {
+      dryRun,
+      retentionDays,
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      accounts: [],
+      scanned: 0,
+      kept: { saved: 0, recentJob: 0, recentlySeen: 0 },
+      removed: [],
+      failed: [],
+      skippedOverLimit: 0
+    };
+
+    let runId = null;
+    try {
+      const [runRow] = await sql`INSERT INTO playlist_gc_runs (dry_run) VALUES (${dryRun}) RETURNING id`;
+      runId = runRow.id;
+
+      for (const account of spotifyPool.listAccounts()) {
+        const playlists = await listOwnedPlaylists(account);
+        report.accounts.push({ name: account.name, scanned: playlists.length });
+        report.scanned += playlists.length;
+        if (playlists.length === 0) continue;
+
+        const { saved, lastJobAt, firstSeenAt } = await loadReferences(playlists.map(p => p.id), account.type);
+
+        for (const playlist of playlists) {
+          let since;
+          let reason;
+          if (saved.has(playlist.id)) {
+            report.kept.saved++;
+            continue;
+          } else if (lastJobAt.has(playlist.id)) {
+            since = lastJobAt.get(playlist.id);
+            if (since.getTime() > cutoff) {
+              report.kept.recentJob++;
+              continue;
+            }
+            reason = 'unsaved job';
+          } else {
+            since = firstSeenAt.get(playlist.id) || startedAt;
+            if (since.getTime() > cutoff) {
+              report.kept.recentlySeen++;
+              continue;
+            }
+            reason = 'unreferenced';
+          }
+
+          if (report.removed.length >= maxDeletions) {
+            report.skippedOverLimit++;
+            continue;
+          }
+
+          const entry = {
+            playlistId: playlist.id,
+            name: playlist.name,
+            account: account.name,
+            reason,
+            ageDays: Math.floor((startedAt.getTime() - since.getTime()) / DAY_MS)
+          };
+
+          if (!dryRun) {
+            // Claim the jobs first, so a search can't be handed this playlist while it's being removed.
+            // No row means one was just reused (or refreshed), keep the playlist.
+            if (reason === 'unsaved job') {
+              const claimed = await sql`
+                UPDATE playlist_jobs
+                SET playlist_removed_at = NOW()
+                WHERE playlist_id = ${playlist.id}
+                AND NOT EXISTS (
+                  SELECT 1 FROM playlist_jobs recent
+                  WHERE recent.playlist_id = ${playlist.id}
+                  AND COALESCE(recent.updated_at, recent.created_at) > ${new Date(cutoff)}
+                )
+                RETURNING id
+              `;
+              if (claimed.length === 0) {
+                report.kept.recentJob++;
+                continue;
+              }
+            }
+            try {
+              await account.client.delete(
+                `https://api.spotify.com/v1/playlists/${playlist.id}/followers`,
+                await authConfig(account),
+                { label: 'Unfollow orphaned playlist', logPrefix: '[PLAYLIST-GC]' }
+              );
+              await sql`DELETE FROM playlist_gc_sightings WHERE playlist_id = ${playlist.id}`;
+            } catch (error) {
+              // Still there, its jobs can be reused again
+              await sql`UPDATE playlist_jobs SET playlist_removed_at = NULL WHERE playlist_id = ${playlist.id}`;
+              report.failed.push({ ...entry, error: error.response?.status || error.message });
+              continue;
+            }
+          }
+          report.removed.push(entry);
+        }
+      }
+
+      report.finishedAt = new Date().toISOString();
+      logger.info(`[PLAYLIST-GC] ${dryRun ? '[DRY RUN] Would remove' : 'Removed'} ${report.removed.length} of ${report.scanned} playlists (${report.failed.length} failed, ${report.skippedOverLimit} left for the next run).`);
+
+      await sql`
+        UPDATE playlist_gc_runs
+        SET
+          scanned_count = ${report.scanned},
+          removed_count = ${report.removed.length},
+          report = ${sql.json(report)},
+          finished_at = NOW()
+        WHERE id = ${runId}
+      `;
+      return report;
+    } catch (error) {
+      logger.error(`[PLAYLIST-GC] Run failed: ${error.message}`);
+      if (runId) {
+        await sql`
+          UPDATE playlist_gc_runs
+          SET report = ${sql.json(report)}, error_message = ${error.message}, finished_at = NOW()
+          WHERE id = ${runId}
+        `.catch(() => {});
+      }
+      throw error;
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Runs the collector every 'intervalHours'. Scheduled run failures are only logged.
+   */
+  const start = ({ intervalHours, dryRun = false }) => {
+    if (timer || !(intervalHours > 0)) return;
+    timer = setInterval(() => {
+      run({ dryRun }).catch(() => {}); // Already logged by run()
+    }, intervalHours * 60 * 60 * 1000);
+    logger.info(`[PLAYLIST-GC] Scheduled every ${intervalHours}h (retention ${retentionDays} days${dryRun ? ', dry run' : ''}).`);
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    run,
+    start,
+    stop,
+    isRunning: () => running
+  };
+}
+
+module.exports = { createPlaylistCollector };
@@ -0,0 +1,162 @@
+const { renderCalendar } = require('./icalendar');
+const { listShows } = require('./artistShows');
+
+// --- PLAYLIST EXPORT ---
+// Renders a finished playlist for people who don't use Spotify (or want the list elsewhere):
+// - m3u / xspf: the matched tracks, with Spotify URIs and "Artist - Title"
+// - csv / json: the events, one row per show (artist, venue, start time, ticket URL); json includes the tracks too
+// - ics: the events as calendar entries (see icalendar.js)
+
+const EXPORT_FORMATS = {
+  m3u: { extension: 'm3u', contentType: 'audio/x-mpegurl', needsTracks: true },
+  xspf: { extension: 'xspf', contentType: 'application/xspf+xml', needsTracks: true },
+  csv: { extension: 'csv', contentType: 'text/csv', needsTracks: false },
+  json: { extension: 'json', contentType: 'application/json', needsTracks: true },
+  ics: { extension: 'ics', contentType: 'text/calendar', needsTracks: false }
+};
+
+/**
+ * Whether 'format' is one of EXPORT_FORMATS (its own keys only, so 'constructor' or 'toString' aren't formats).
+ */
+function isExportFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+/**
+ * Tracks as stored for export, from a Spotify playlist-tracks item.
+ */
+function toExportTrack(item) {
+  const track = item?.track;
+  if (!track || !track.uri) return null;
+  return {
+    uri: track.uri,
+    title: track.name,
+    artists: (track.artists || []).map(artist => artist.name),
+    album: track.album?.name || null,
+    durationMs: track.duration_ms ?? null
+  };
+}
+
+/**
+ * One event as an export row. event.date is venue-local time ("2025-12-23T19:00:00").
+ * 'day' is the day of a multi-day playlist the show was listed under (its date for older events).
+ * 'distanceKm' is the venue's distance from the city, null when unknown (and for older events).
+ * 'role' is 'headliner' or 'opener'; 'headliner' names the act topping the bill (see utils/lineups.js).
+ */
+function toExportEvent(event) {
+  const [date, time] = (event.date || '').split('T');
+  return {
+    day: event.day || date || null,
+    artist: event.name,
+    role: event.role || 'headliner',
+    headliner: event.headliner || event.name,
+    venue: event.venue || null,
+    date: date || null,
+    startTime: time ? time.slice(0, 5) : null,
+    timezone: event.timezone || null,
+    ticketUrl: event.url || null,
+    distanceKm: event.distanceKm ?? null
+  };
+}
+
+const trackLabel = (track) => `${track.artists.join(', ')} - ${track.title}`;
+
+function renderM3u({ title, tracks }) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+  for (const track of tracks) {
+    const seconds = track.durationMs != null ? Math.round(track.durationMs / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${trackLabel(track)}`);
+    lines.push(track.uri);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+function renderXspf({ title, tracks }) {
+  const trackXml = tracks.map(track => {
+    const trackId = track.uri.split(':').pop();
+    return [
+      '    <track>',
+      `      <location>https://open.spotify.com/track/${escapeXml(trackId)}</location>`,
+      `      <identifier>${escapeXml(track.uri)}</identifier>`,
+      `      <title>${escapeXml(track.title)}</title>`,
+      `      <creator>${escapeXml(track.artists.join(', '))}</creator>`,
+      track.album ? `      <album>${escapeXml(track.album)}</album>` : null,
+      track.durationMs != null ? `      <duration>${track.durationMs}</duration>` : null,
+      '    </track>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <creator>Live Music Curator</creator>',
+    '  <trackList>',
+    ...trackXml,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function renderCsv({ events }) {
+  const columns = ['artist', 'venue', 'date', 'startTime', 'timezone', 'ticketUrl'];
+  const rows = listShows(events).map(toExportEvent).map(row => columns.map(column => escapeCsv(row[column])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+function renderJson({ title, city, date, endDate, spotifyPlaylistId, events, tracks }) {
+  return JSON.stringify({
+    title,
+    city,
+    date,
+    endDate: endDate || null,
+    spotifyPlaylistId,
+    events: listShows(events).map(toExportEvent),
+    tracks
+  }, null, 2);
+}
+
+function renderIcs({ title, events }) {
+  return renderCalendar({ title, events });
+}
+
+const RENDERERS = { m3u: renderM3u, xspf: renderXspf, csv: renderCsv, json: renderJson, ics: renderIcs };
+
+/**
+ * Renders the export. 'playlist' is { title, city, date, endDate, spotifyPlaylistId, events, tracks }.
+ * Returns { body, filename, contentType }.
+ */
+function renderExport(format, playlist) {
+  if (!isExportFormat(format)) throw new Error(`Unknown export format: ${format}`);
+  const config = EXPORT_FORMATS[format];
+  const slug = `${playlist.city || 'playlist'} ${playlist.date || ''} ${playlist.endDate ? `to ${playlist.endDate}` : ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return {
+    body: RENDERERS[format]({ ...playlist, events: playlist.events || [], tracks: playlist.tracks || [] }),
+    filename: `live-music-${slug}.${config.extension}`,
+    contentType: config.contentType
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  toExportTrack,
+  renderExport
+};
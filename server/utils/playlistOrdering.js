@@ -0,0 +1,123 @@
+// Playlist ordering modes
+// - default:         Order the event sources returned the shows in
+// - set_time:        Chronological by set time (event.date)
+// - venue:           Grouped by venue, chronological within each venue
+// - day:             Multi-day playlists: one section per day, grouped by venue within each day
+// - popularity_asc:  Least popular artists first
+// - popularity_desc: Most popular artists first
+// - interleaved:     No two consecutive tracks from the same venue (when possible)
+const ORDER_MODES = ['default', 'set_time', 'venue', 'day', 'popularity_asc', 'popularity_desc', 'interleaved'];
+const DEFAULT_ORDER_MODE = 'default';
+
+// Modes that can only be applied once every artist has been looked up on Spotify.
+// For these, tracks are collected during the run and added to the playlist at the end.
+const DEFERRED_ORDER_MODES = ['popularity_asc', 'popularity_desc', 'interleaved'];
+
+// Short labels used in the playlist description
+const ORDER_MODE_LABELS = {
+  set_time: 'set time',
+  venue: 'venue',
+  day: 'day, then venue',
+  popularity_asc: 'artist popularity (rising acts first)',
+  popularity_desc: 'artist popularity (biggest acts first)',
+  interleaved: 'alternating venues'
+};
+
+// Compares two optional strings, with missing values sorting last
+const compareStrings = (a, b) => {
+  if (!a) return b ? 1 : 0;
+  if (!b) return -1;
+  return a.localeCompare(b);
+};
+
+// The day a show was listed under (multi-day jobs tag it), falling back to its start date
+const eventDay = (event) => event.day || (event.date ? event.date.split('T')[0] : null);
+
+const compareVenueThenTime = (a, b) =>
+  compareStrings(a.venue?.toLowerCase(), b.venue?.toLowerCase()) || compareStrings(a.date, b.date);
+
+/**
+ * Orders the de-duplicated event list before the artist loop.
+ * Only 'set_time', 'venue' and 'day' can be decided up front; other modes keep the original order.
+ */
+function orderEventsForPlaylist(events, orderMode) {
+  switch (orderMode) {
+    case 'set_time':
+      return [...events].sort((a, b) => compareStrings(a.date, b.date));
+    case 'venue':
+      return [...events].sort(compareVenueThenTime);
+    case 'day':
+      return [...events].sort((a, b) => compareStrings(eventDay(a), eventDay(b)) || compareVenueThenTime(a, b));
+    default:
+      return events;
+  }
+}
+
+/**
+ * Greedy interleave: always take the next track from the venue with the most tracks left,
+ * skipping the venue we just used. Falls back to repeating a venue when nothing else is left.
+ */
+function interleaveByVenue(tracks) {
+  const queues = new Map();
+  for (const track of tracks) {
+    const key = (track.venue || '').toLowerCase();
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(track);
+  }
+
+  const result = [];
+  let lastVenue = null;
+  while (result.length < tracks.length) {
+    let pickKey = null;
+    for (const [key, queue] of queues) {
+      if (queue.length === 0 || key === lastVenue) continue;
+      if (pickKey === null || queue.length > queues.get(pickKey).length) pickKey = key;
+    }
+    if (pickKey === null) pickKey = lastVenue; // Only the last venue has tracks left
+
+    result.push(queues.get(pickKey).shift());
+    lastVenue = pickKey;
+  }
+  return result;
+}
+
+/**
+ * Orders the collected playlist entries for the deferred modes and flattens them to track URIs.
+ * Each entry is { artistName, venue, popularity, uris }.
+ */
+function orderPlaylistEntries(entries, orderMode) {
+  if (orderMode === 'interleaved') {
+    const tracks = entries.flatMap(entry => entry.uris.map(uri => ({ uri, venue: entry.venue, artistName: entry.artistName })));
+    return interleaveByVenue(tracks);
+  }
+
+  let ordered = entries;
+  if (orderMode === 'popularity_asc' || orderMode === 'popularity_desc') {
+    const direction = orderMode === 'popularity_asc' ? 1 : -1;
+    ordered = [...entries].sort((a, b) => {
+      // Unknown popularity always sorts last
+      if (a.popularity == null) return b.popularity == null ? 0 : 1;
+      if (b.popularity == null) return -1;
+      return (a.popularity - b.popularity) * direction;
+    });
+  }
+
+  return ordered.flatMap(entry => entry.uris.map(uri => ({ uri, venue: entry.venue, artistName: entry.artistName })));
+}
+
+/**
+ * Text for the playlist description, e.g. " Ordered by set time." (empty for the default order).
+ */
+function describeOrderMode(orderMode) {
+  const label = ORDER_MODE_LABELS[orderMode];
+  return label ? ` Ordered by ${label}.` : '';
+}
+
+module.exports = {
+  ORDER_MODES,
+  DEFAULT_ORDER_MODE,
+  DEFERRED_ORDER_MODES,
+  orderEventsForPlaylist,
+  orderPlaylistEntries,
+  describeOrderMode
+};
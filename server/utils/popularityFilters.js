@@ -0,0 +1,149 @@
+// Spotify artist popularity is 0-100. Follower bounds are capped to fit an INTEGER column.
+const MIN_POPULARITY = 0;
+const MAX_POPULARITY = 100;
+const MAX_FOLLOWERS = 2147483647; // Postgres INTEGER
+
+// Presets expand to fixed min/max values
+// - hidden_gems: only low-popularity artists (the local openers, not the touring headliners)
+const POPULARITY_PRESETS = {
+  hidden_gems: { minPopularity: null, maxPopularity: 30, minFollowers: null, maxFollowers: null }
+};
+
+// Labels used in the playlist name
+const POPULARITY_PRESET_LABELS = {
+  hidden_gems: 'Hidden Gems'
+};
+
+/**
+ * Parses one optional whole-number query param.
+ * Returns undefined for "not set", null for invalid input.
+ */
+function parseBound(value, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) return null;
+  return parsed;
+}
+
+/**
+ * Builds the popularity/follower filters from request params.
+ * A preset fills in its bounds, explicit params are ignored when a preset is chosen.
+ * Returns { filters, error } where 'error' is a message for a 400 response.
+ */
+function parsePopularityFilters({ popularityPreset, minPopularity, maxPopularity, minFollowers, maxFollowers }) {
+  if (popularityPreset) {
+    if (!POPULARITY_PRESETS[popularityPreset]) {
+      return { error: `popularityPreset must be one of: ${Object.keys(POPULARITY_PRESETS).join(', ')}.` };
+    }
+    return { filters: { preset: popularityPreset, ...POPULARITY_PRESETS[popularityPreset] } };
+  }
+
+  const bounds = {
+    minPopularity: parseBound(minPopularity, MIN_POPULARITY, MAX_POPULARITY),
+    maxPopularity: parseBound(maxPopularity, MIN_POPULARITY, MAX_POPULARITY),
+    minFollowers: parseBound(minFollowers, 0, MAX_FOLLOWERS),
+    maxFollowers: parseBound(maxFollowers, 0, MAX_FOLLOWERS)
+  };
+
+  if (bounds.minPopularity === null || bounds.maxPopularity === null) {
+    return { error: `minPopularity and maxPopularity must be whole numbers between ${MIN_POPULARITY} and ${MAX_POPULARITY}.` };
+  }
+  if (bounds.minFollowers === null || bounds.maxFollowers === null) {
+    return { error: 'minFollowers and maxFollowers must be whole numbers of 0 or more.' };
+  }
+  if (bounds.minPopularity !== undefined && bounds.maxPopularity !== undefined && bounds.minPopularity > bounds.maxPopularity) {
+    return { error: 'minPopularity cannot be greater than maxPopularity.' };
+  }
+  if (bounds.minFollowers !== undefined && bounds.maxFollowers !== undefined && bounds.minFollowers > bounds.maxFollowers) {
+    return { error: 'minFollowers cannot be greater than maxFollowers.' };
+  }
+
+  return {
+    filters: {
+      preset: null,
+      minPopularity: bounds.minPopularity ?? null,
+      maxPopularity: bounds.maxPopularity ?? null,
+      minFollowers: bounds.minFollowers ?? null,
+      maxFollowers: bounds.maxFollowers ?? null
+    }
+  };
+}
+
+/**
+ * Reads the filters back from a playlist_jobs or saved_playlists row.
+ */
+function popularityFiltersFromRow(row) {
+  return {
+    preset: row.popularity_preset || null,
+    minPopularity: row.min_popularity ?? null,
+    maxPopularity: row.max_popularity ?? null,
+    minFollowers: row.min_followers ?? null,
+    maxFollowers: row.max_followers ?? null
+  };
+}
+
+/**
+ * True if any popularity/follower bound is set.
+ */
+function hasPopularityFilters(filters) {
+  return !!filters && [filters.minPopularity, filters.maxPopularity, filters.minFollowers, filters.maxFollowers]
+    .some(bound => bound !== null && bound !== undefined);
+}
+
+/**
+ * Checks an artist (a Spotify search result, or the cached equivalent) against the filters.
+ * Returns null if the artist passes, or a short reason for the SKIPPED log entry.
+ * Unknown values (e.g. old cache rows without popularity) always pass, since we can't judge them.
+ */
+function checkArtistPopularity(artist, filters) {
+  if (!hasPopularityFilters(filters)) return null;
+
+  const popularity = artist?.popularity;
+  const followers = artist?.followers?.total;
+
+  if (popularity !== null && popularity !== undefined) {
+    if (filters.minPopularity != null && popularity < filters.minPopularity) {
+      return `Popularity ${popularity} below ${filters.minPopularity}`;
+    }
+    if (filters.maxPopularity != null && popularity > filters.maxPopularity) {
+      return `Popularity ${popularity} above ${filters.maxPopularity}`;
+    }
+  }
+
+  if (followers !== null && followers !== undefined) {
+    if (filters.minFollowers != null && followers < filters.minFollowers) {
+      return `${followers.toLocaleString('en-US')} followers, below ${filters.minFollowers.toLocaleString('en-US')}`;
+    }
+    if (filters.maxFollowers != null && followers > filters.maxFollowers) {
+      return `${followers.toLocaleString('en-US')} followers, above ${filters.maxFollowers.toLocaleString('en-US')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Text for the playlist name suffix, e.g. "Hidden Gems" or "Popularity 20-60". Null when unfiltered.
+ */
+function describePopularityFilters(filters) {
+  if (!hasPopularityFilters(filters)) return null;
+  if (filters.preset && POPULARITY_PRESET_LABELS[filters.preset]) return POPULARITY_PRESET_LABELS[filters.preset];
+
+  const parts = [];
+  if (filters.minPopularity != null || filters.maxPopularity != null) {
+    parts.push(`Popularity ${filters.minPopularity ?? MIN_POPULARITY}-${filters.maxPopularity ?? MAX_POPULARITY}`);
+  }
+  if (filters.minFollowers != null || filters.maxFollowers != null) {
+    parts.push(`Followers ${(filters.minFollowers ?? 0).toLocaleString('en-US')}-${filters.maxFollowers != null ? filters.maxFollowers.toLocaleString('en-US') : 'any'}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  POPULARITY_PRESETS,
+  parsePopularityFilters,
+  popularityFiltersFromRow,
+  hasPopularityFilters,
+  checkArtistPopularity,
+  describePopularityFilters
+};
@@ -0,0 +1,81 @@
+// --- SEARCH RADIUS ---
+// Bandsintown decides how far around the city it looks, and that area varies from city to city.
+// A job can set 'search_radius_km' to keep only venues within that distance of the chosen city,
+// measured with PostGIS (the same geography math as the nearest-city lookup).
+// The radius only narrows what the sources returned: it can't pull in venues they didn't list.
+// Every event gets 'distanceKm' (null when its source gave no venue coordinates), radius or not.
+// Under a radius, events with unknown coordinates are always kept: dropping them would empty the
+// playlist whenever a source has no coordinates at all. runCurationLogic tells the user when that happened.
+
+const MIN_SEARCH_RADIUS_KM = 1;
+const MAX_SEARCH_RADIUS_KM = parseInt(process.env.MAX_SEARCH_RADIUS_KM || '150', 10);
+
+/**
+ * Validates the 'radius' request param (whole kilometres).
+ * Returns { radiusKm } (null when not set, i.e. whatever area the sources cover) or { error } for a 400 response.
+ */
+function parseSearchRadius(value) {
+  if (value === undefined || value === null || value === '') return { radiusKm: null };
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < MIN_SEARCH_RADIUS_KM || parsed > MAX_SEARCH_RADIUS_KM) {
+    return { error: `radius must be a whole number of kilometres between ${MIN_SEARCH_RADIUS_KM} and ${MAX_SEARCH_RADIUS_KM}.` };
+  }
+  return { radiusKm: parsed };
+}
+
+const hasCoordinates = (event) => Number.isFinite(event.latitude) && Number.isFinite(event.longitude);
+
+function createEventDistances({ sql }) {
+  /**
+   * Distance in km from (latitude, longitude) to each event's venue, in event order (null without coordinates).
+   * One query for the whole list.
+   */
+  async function measureDistances(events, latitude, longitude) {
+    const points = events
+      .map((event, index) => ({ index, latitude: event.latitude, longitude: event.longitude }))
+      .filter(hasCoordinates);
+    const distances = events.map(() => null);
+    if (points.length === 0) return distances;
+
+    const rows = await sql`
+      SELECT
+        point.index,
+        ST_Distance(
+          ST_SetSRID(ST_MakePoint(point.longitude, point.latitude), 4326)::geography,
+          ST_SetSRID(ST_MakePoint(${Number(longitude)}, ${Number(latitude)}), 4326)::geography
+        ) / 1000 AS distance_km
+      FROM jsonb_to_recordset(${sql.json(points)}) AS point(index INT, latitude DOUBLE PRECISION, longitude DOUBLE PRECISION)
+    `;
+    for (const row of rows) {
+      distances[row.index] = Math.round(row.distance_km * 10) / 10; // 0.1 km is plenty for a venue
+    }
+    return distances;
+  }
+
+  /**
+   * Records 'distanceKm' on every event and, when radiusKm is set, drops venues farther away than that.
+   * Events without coordinates are kept, we can't tell where they are.
+   * Returns { events, outsideCount, unlocatedCount }.
+   */
+  async function applySearchRadius(events, latitude, longitude, radiusKm) {
+    const distances = await measureDistances(events, latitude, longitude);
+    const measured = events.map((event, index) => ({ ...event, distanceKm: distances[index] }));
+    const kept = radiusKm
+      ? measured.filter(event => event.distanceKm === null || event.distanceKm <= radiusKm)
+      : measured;
+
+    return {
+      events: kept,
+      outsideCount: measured.length - kept.length,
+      unlocatedCount: measured.filter(event => event.distanceKm === null).length
+    };
+  }
+
+  return { applySearchRadius };
+}
+
+module.exports = {
+  MAX_SEARCH_RADIUS_KM,
+  parseSearchRadius,
+  createEventDistances
+};
@@ -0,0 +1,329 @@
+const axios = require('axios');
+const { SpotifyRateLimitError, createSpotifyClient } = require('./spotifyClient');
+
+// --- SPOTIFY ACCOUNT POOL ---
+// A pool of master Spotify accounts. Each account has its own Spotify client (token bucket +
+// rate-limit pause), its own access token cache, and its own row in 'rate_limit_state'.
+// Jobs pick a healthy account, and move their lookups to another one when theirs is
+// rate-limited for longer than SPOTIFY_FAILOVER_THRESHOLD_SECONDS.
+
+const FAILOVER_THRESHOLD_MS = parseInt(process.env.SPOTIFY_FAILOVER_THRESHOLD_SECONDS || '30', 10) * 1000;
+const TOKEN_REFRESH_BUFFER_MS = 5 * 60 * 1000; // Refresh 5 minutes before expiration
+const MAX_TOKEN_REFRESH_RETRIES = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads the master accounts configured through env vars.
+ * - MASTER_REFRESH_TOKEN / MASTER_SPOTIFY_ID                -> account 1 ("PRIMARY")
+ * - MASTER_REFRESH_TOKEN_BACKUP / MASTER_SPOTIFY_ID_BACKUP  -> account 2 ("BACKUP")
+ * - SPOTIFY_ACCOUNTS: JSON array of { type, name, spotifyId, refreshToken } for any others
+ */
+function readAccountsFromEnv(logger) {
+  const configs = [
+    { type: 1, name: 'PRIMARY', spotifyId: process.env.MASTER_SPOTIFY_ID, refreshToken: process.env.MASTER_REFRESH_TOKEN },
+    { type: 2, name: 'BACKUP', spotifyId: process.env.MASTER_SPOTIFY_ID_BACKUP, refreshToken: process.env.MASTER_REFRESH_TOKEN_BACKUP }
+  ];
+
+  if (process.env.SPOTIFY_ACCOUNTS) {
+    try {
+      configs.push(...JSON.parse(process.env.SPOTIFY_ACCOUNTS));
+    } catch (error) {
+      logger.warn(`[ACCOUNT] Could not parse SPOTIFY_ACCOUNTS: ${error.message}`);
+    }
+  }
+
+  return configs.filter(config => config.spotifyId && config.refreshToken);
+}
+
+/**
+ * Creates the account pool. Call loadAccounts() before using it.
+ * 'preferredAccountType' is tried first when picking an account (USE_BACKUP_ACCOUNT sets it to 2).
+ * 'logger' is the server's logger, so these messages respect LOG_LEVEL.
+ */
+function createAccountPool({ sql, logger, clientId, clientSecret, preferredAccountType = 1 }) {
+  const accounts = new Map(); // account type -> account
+
+  const saveRateLimit = async (account, expiresAt) => {
+    try {
+      await sql`
+        INSERT INTO rate_limit_state (account_type, rate_limit_expires_at, updated_at)
+        VALUES (${account.type}, ${new Date(expiresAt).toISOString()}, NOW())
+        ON CONFLICT (account_type)
+        DO UPDATE SET
+          rate_limit_expires_at = ${new Date(expiresAt).toISOString()},
+          updated_at = NOW()
+      `;
+    } catch (error) {
+      // Table might not exist, log but don't fail
+      logger.warn(`[RATE-LIMIT] [${account.name}] Could not save rate limit to database: ${error.message}`);
+    }
+  };
+
+  const clearRateLimit = async (account) => {
+    try {
+      await sql`DELETE FROM rate_limit_state WHERE account_type = ${account.type}`;
+    } catch (error) {
+      // Ignore errors
+    }
+  };
+
+  const buildAccount = (config) => {
+    const account = {
+      type: Number(config.type),
+      name: config.name || `ACCOUNT ${config.type}`,
+      spotifyId: config.spotifyId,
+      refreshToken: config.refreshToken,
+      tokenCache: { token: null, expiresAt: null },
+      tokenRefresh: null // In-flight refresh promise, shared by concurrent callers
+    };
+    account.client = createSpotifyClient({
+      name: account.name,
+      logger,
+      onRateLimited: (expiresAt) => saveRateLimit(account, expiresAt),
+      onRateLimitCleared: () => clearRateLimit(account)
+    });
+    return account;
+  };
+
+  /**
+   * Loads rate limit state for every account, so we don't hammer Spotify right after a restart.
+   */
+  const loadRateLimits = async () => {
+    try {
+      const rows = await sql`SELECT account_type, rate_limit_expires_at FROM rate_limit_state`;
+      for (const row of rows) {
+        const account = accounts.get(row.account_type);
+        if (!account || !row.rate_limit_expires_at) continue;
+
+        const expiresAt = new Date(row.rate_limit_expires_at).getTime();
+        if (expiresAt > Date.now()) {
+          account.client.pauseUntil(expiresAt);
+          logger.warn(`[RATE-LIMIT] [${account.name}] Loaded active rate limit from database. Expires in ${Math.ceil((expiresAt - Date.now()) / 1000)}s (at ${new Date(expiresAt).toISOString()})`);
+        } else {
+          await clearRateLimit(account);
+          logger.info(`[RATE-LIMIT] [${account.name}] Found expired rate limit in database. Cleared.`);
+        }
+      }
+    } catch (error) {
+      // Table might not exist yet, that's okay
+      logger.debug(`[RATE-LIMIT] Could not load rate limit state from database: ${error.message}`);
+    }
+  };
+
+  /**
+   * (Re)loads accounts from env and the 'spotify_accounts' table (database rows win on conflict).
+   * Existing accounts keep their client, so queued requests and rate-limit pauses survive a reload.
+   */
+  const loadAccounts = async () => {
+    const configs = new Map(readAccountsFromEnv(logger).map(config => [Number(config.type), config]));
+
+    try {
+      const rows = await sql`
+        SELECT account_type, name, spotify_user_id, refresh_token
+        FROM spotify_accounts
+        WHERE enabled = TRUE
+      `;
+      for (const row of rows) {
+        configs.set(row.account_type, {
+          type: row.account_type,
+          name: row.name,
+          spotifyId: row.spotify_user_id,
+          refreshToken: row.refresh_token
+        });
+      }
+    } catch (error) {
+      logger.warn(`[ACCOUNT] Could not load accounts from database: ${error.message}`);
+    }
+
+    for (const [type, config] of configs) {
+      const existing = accounts.get(type);
+      if (existing) {
+        if (existing.refreshToken !== config.refreshToken) existing.tokenCache = { token: null, expiresAt: null };
+        existing.spotifyId = config.spotifyId;
+        existing.refreshToken = config.refreshToken;
+      } else {
+        accounts.set(type, buildAccount(config));
+      }
+    }
+    for (const type of Array.from(accounts.keys())) {
+      if (!configs.has(type)) accounts.delete(type);
+    }
+
+    await loadRateLimits();
+
+    const names = listAccounts().map(account => `${account.name} (${account.spotifyId})`);
+    if (names.length === 0) {
+      logger.warn('⚠️  [ACCOUNT] No Spotify master accounts configured! Set MASTER_REFRESH_TOKEN and MASTER_SPOTIFY_ID.');
+    } else {
+      logger.info(`[ACCOUNT] Loaded ${names.length} Spotify account(s): ${names.join(', ')}`);
+    }
+    return names.length;
+  };
+
+  /**
+   * Accounts in the order we try them: the preferred account first, then by account type.
+   */
+  const listAccounts = () => Array.from(accounts.values()).sort((a, b) => {
+    if (a.type === preferredAccountType) return -1;
+    if (b.type === preferredAccountType) return 1;
+    return a.type - b.type;
+  });
+
+  const getAccount = (accountType) => accounts.get(Number(accountType)) || null;
+
+  /**
+   * The first account that isn't rate-limited past the failover threshold.
+   * If they all are, the one whose pause ends soonest.
+   */
+  const pickAccount = () => {
+    const ordered = listAccounts();
+    if (ordered.length === 0) throw new Error('No Spotify master accounts configured.');
+
+    const healthy = ordered.find(account => account.client.getPauseRemainingMs() <= FAILOVER_THRESHOLD_MS);
+    if (healthy) return healthy;
+
+    return ordered.reduce((best, account) =>
+      account.client.getPauseRemainingMs() < best.client.getPauseRemainingMs() ? account : best
+    );
+  };
+
+  /**
+   * Keeps 'current' unless it's rate-limited past the threshold and a better account exists.
+   */
+  const resolveAccount = (current, logPrefix = '') => {
+    if (!current || !accounts.has(current.type)) return pickAccount();
+
+    const remainingMs = current.client.getPauseRemainingMs();
+    if (remainingMs <= FAILOVER_THRESHOLD_MS) return current;
+
+    const candidate = pickAccount();
+    if (candidate !== current && candidate.client.getPauseRemainingMs() < remainingMs) {
+      logger.warn(`${logPrefix} [ACCOUNT] ${current.name} is rate-limited for ${Math.ceil(remainingMs / 1000)}s. Failing over to ${candidate.name}.`);
+      return candidate;
+    }
+    return current;
+  };
+
+  /**
+   * Exchanges the account's refresh token for an access token (no caching, retries with backoff).
+   */
+  const refreshAccessToken = async (account) => {
+    const authHeader = 'Basic ' + (Buffer.from(clientId + ':' + clientSecret).toString('base64'));
+    const params = new URLSearchParams();
+    params.append('grant_type', 'refresh_token');
+    params.append('refresh_token', account.refreshToken);
+
+    let lastError;
+    for (let retryCount = 0; retryCount <= MAX_TOKEN_REFRESH_RETRIES; retryCount++) {
+      try {
+        if (retryCount > 0) {
+          const backoffMs = Math.min(1000 * Math.pow(2, retryCount - 1), 10000); // 1s, 2s, 4s, max 10s
+          logger.warn(`[TOKEN-REFRESH] [${account.name}] Retry ${retryCount}/${MAX_TOKEN_REFRESH_RETRIES} after ${backoffMs}ms...`);
+          await sleep(backoffMs);
+        }
+
+        const requestedAt = Date.now();
+        const response = await axios.post('https://accounts.spotify.com/api/token', params, {
+          headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            'Authorization': authHeader
+          }
+        });
+
+        const expiresIn = response.data.expires_in || 3600; // Default to 1 hour if not provided
+        account.tokenCache = {
+          token: response.data.access_token,
+          expiresAt: requestedAt + (expiresIn * 1000) - TOKEN_REFRESH_BUFFER_MS
+        };
+        logger.info(`[TOKEN-REFRESH] [${account.name}] Successfully refreshed master access token. Expires in ${expiresIn}s (cached until ${new Date(account.tokenCache.expiresAt).toISOString()})`);
+        return account.tokenCache.token;
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+        const retryAfter = error.response?.headers?.['retry-after'];
+
+        if (status === 429 && retryAfter) {
+          // Rate limited - wait for the specified time
+          const waitSeconds = parseInt(retryAfter, 10);
+          logger.warn(`[TOKEN-REFRESH] [${account.name}] Rate limited. Waiting ${waitSeconds}s before retry...`);
+          await sleep(waitSeconds * 1000);
+          continue; // Retry after waiting
+        }
+
+        logger.error(`[TOKEN-REFRESH] [${account.name}] Attempt ${retryCount + 1}/${MAX_TOKEN_REFRESH_RETRIES + 1} failed:`, {
+          status,
+          statusText: error.response?.statusText,
+          errorData: error.response?.data,
+          message: error.message
+        });
+      }
+    }
+
+    throw new Error(`Failed to get access token for ${account.name} after ${MAX_TOKEN_REFRESH_RETRIES + 1} attempts: ${lastError?.response?.status || lastError?.message}`);
+  };
+
+  /**
+   * Returns a valid access token for the account, refreshing it at most once at a time.
+   */
+  const getAccessToken = async (account) => {
+    if (account.tokenCache.token && account.tokenCache.expiresAt > Date.now()) {
+      return account.tokenCache.token;
+    }
+    if (!account.tokenRefresh) {
+      account.tokenRefresh = refreshAccessToken(account).finally(() => {
+        account.tokenRefresh = null;
+      });
+    }
+    return account.tokenRefresh;
+  };
+
+  /**
+   * GET for lookups any account can do (search, top tracks), starting on resolveAccount(current).
+   * A 429 that pauses the account past the failover threshold doesn't block the lookup: it moves to
+   * the next healthy account and retries there. When no account is healthier, it waits on the current one.
+   * Returns { response, account }; callers keep 'account' for their next lookup.
+   */
+  const lookup = async (current, url, meta = {}) => {
+    let account = resolveAccount(current, meta.logPrefix);
+    for (;;) {
+      const config = { headers: { 'Authorization': `Bearer ${await getAccessToken(account)}` } };
+      try {
+        // Fail fast only while there's another account to go to
+        const maxPauseMs = listAccounts().length > 1 ? FAILOVER_THRESHOLD_MS : undefined;
+        return { response: await account.client.get(url, config, { ...meta, maxPauseMs }), account };
+      } catch (error) {
+        if (!(error instanceof SpotifyRateLimitError)) throw error;
+        const nextAccount = resolveAccount(account, meta.logPrefix);
+        if (nextAccount === account) {
+          // Every other account is paused at least as long, wait this one out
+          return { response: await account.client.get(url, config, meta), account };
+        }
+        account = nextAccount;
+      }
+    }
+  };
+
+  /**
+   * Per-account monitoring numbers (see spotifyClient.getStats()).
+   */
+  const getStats = () => listAccounts().map(account => ({
+    accountType: account.type,
+    spotifyId: account.spotifyId,
+    tokenCached: !!(account.tokenCache.token && account.tokenCache.expiresAt > Date.now()),
+    ...account.client.getStats()
+  }));
+
+  return {
+    loadAccounts,
+    listAccounts,
+    getAccount,
+    pickAccount,
+    resolveAccount,
+    lookup,
+    getAccessToken,
+    getStats
+  };
+}
+
+module.exports = { createAccountPool };
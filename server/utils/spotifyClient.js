@@ -0,0 +1,267 @@
+const axios = require('axios');
+
+// --- SPOTIFY CLIENT ---
+// Every Spotify Web API call from every worker goes through one client, so they all share
+// a single request budget. The client owns:
+// - a token-bucket scheduler (SPOTIFY_REQUESTS_PER_SECOND, bursts up to SPOTIFY_BURST_SIZE)
+// - retries: 429s pause the whole client for Retry-After seconds, 5xx/network errors back off exponentially
+// - monitoring numbers (queue depth, throughput, rate-limit hits), see getStats()
+
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.SPOTIFY_REQUESTS_PER_SECOND || '10');
+const DEFAULT_BURST_SIZE = parseInt(process.env.SPOTIFY_BURST_SIZE || '5', 10);
+const DEFAULT_MAX_RETRIES = parseInt(process.env.SPOTIFY_MAX_RETRIES || '3', 10);
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+const BACKOFF_BASE_MS = 3000; // 3s, 6s, 12s...
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Thrown instead of waiting when a request's client is paused for longer than the caller allows
+ * ('meta.maxPauseMs'), so the caller can move to another account. 'retryAfterMs' is how long the pause has left.
+ */
+class SpotifyRateLimitError extends Error {
+  constructor(clientName, retryAfterMs) {
+    super(`Spotify client ${clientName} is rate-limited for ${Math.ceil(retryAfterMs / 1000)}s.`);
+    this.name = 'SpotifyRateLimitError';
+    this.clientName = clientName;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Reads the Retry-After header (seconds) from a 429 response.
+ */
+function getRetryAfterSeconds(error) {
+  const headers = error.response?.headers || {};
+  const value = Number(headers['retry-after'] ?? headers['Retry-After']);
+  return value > 0 ? value : DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+/**
+ * Creates a Spotify client with its own token bucket and rate-limit state.
+ *
+ * Options:
+ * - name: shown in log lines, e.g. "PRIMARY"
+ * - logger: the server's logger (respects LOG_LEVEL), console if not given
+ * - requestsPerSecond / burstSize / maxRetries: override the env defaults
+ * - onRateLimited(expiresAt): called when a 429 pauses the client (e.g. to persist it)
+ * - onRateLimitCleared(): called when the pause is over
+ */
+function createSpotifyClient(options = {}) {
+  const name = options.name || 'SPOTIFY';
+  const logger = options.logger || console;
+  const requestsPerSecond = options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND;
+  const burstSize = Math.max(options.burstSize || DEFAULT_BURST_SIZE, 1);
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const onRateLimited = options.onRateLimited || (() => {});
+  const onRateLimitCleared = options.onRateLimitCleared || (() => {});
+
+  // Token bucket
+  let tokens = burstSize;
+  let lastRefill = Date.now();
+  const waiters = []; // FIFO queue of resolve() callbacks waiting for a token
+  let drainTimer = null;
+
+  // Global pause set by a 429 (epoch ms), shared by every caller of this client
+  let pausedUntil = null;
+  const isPaused = () => pausedUntil !== null && Date.now() < pausedUntil;
+  const getPauseRemainingMs = () => (isPaused() ? pausedUntil - Date.now() : 0);
+  let pauseTimer = null;
+
+  // Ends the pause once it has expired. Runs on its own timer, so the pause clears
+  // (and onRateLimitCleared fires) even when nothing is queued.
+  const clearExpiredPause = () => {
+    if (pausedUntil === null) return;
+    if (isPaused()) {
+      schedulePauseExpiry(); // Timer fired a little early
+      return;
+    }
+    clearTimeout(pauseTimer);
+    pauseTimer = null;
+    pausedUntil = null;
+    // Resume slowly: one request now, the rest at the normal rate (no burst)
+    tokens = 1;
+    lastRefill = Date.now();
+    logger.info(`[SPOTIFY-CLIENT] [${name}] Rate limit expired. Resuming requests.`);
+    onRateLimitCleared();
+  };
+
+  const schedulePauseExpiry = () => {
+    clearTimeout(pauseTimer);
+    pauseTimer = setTimeout(clearExpiredPause, Math.max(pausedUntil - Date.now(), 1));
+    pauseTimer.unref(); // An open pause shouldn't keep the process alive
+  };
+
+  // Monitoring
+  let inFlight = 0;
+  const completedAt = []; // Timestamps of finished requests inside THROUGHPUT_WINDOW_MS
+  const totals = { requests: 0, retries: 0, rateLimitHits: 0, failures: 0 };
+
+  const refill = () => {
+    if (pausedUntil !== null) return; // No tokens build up while paused (clearExpiredPause() resets them)
+    const now = Date.now();
+    tokens = Math.min(burstSize, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = now;
+  };
+
+  // Hands out tokens to queued callers, and re-arms itself until the queue is empty
+  const drain = () => {
+    drainTimer = null;
+    clearExpiredPause();
+
+    if (!isPaused()) {
+      refill();
+      while (waiters.length > 0 && tokens >= 1) {
+        tokens -= 1;
+        waiters.shift()();
+      }
+    }
+
+    if (waiters.length > 0) {
+      const waitMs = isPaused()
+        ? pausedUntil - Date.now()
+        : Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+      drainTimer = setTimeout(drain, Math.max(waitMs, 1));
+    }
+  };
+
+  /**
+   * Resolves once the caller may send one request.
+   */
+  const acquire = () => new Promise((resolve) => {
+    waiters.push(resolve);
+    if (!drainTimer) drain();
+  });
+
+  /**
+   * Pauses every request on this client until 'expiresAt' (never shortens an active pause).
+   */
+  const pauseUntil = (expiresAt) => {
+    if (pausedUntil !== null && expiresAt <= pausedUntil) return false;
+    pausedUntil = expiresAt;
+    tokens = 0;
+    schedulePauseExpiry();
+    if (drainTimer) {
+      clearTimeout(drainTimer);
+      drainTimer = null;
+    }
+    if (waiters.length > 0) drain();
+    return true;
+  };
+
+  const recordCompletion = () => {
+    const now = Date.now();
+    completedAt.push(now);
+    while (completedAt.length > 0 && completedAt[0] < now - THROUGHPUT_WINDOW_MS) {
+      completedAt.shift();
+    }
+  };
+
+  /**
+   * Sends an axios request through the scheduler, retrying 429/5xx/network errors.
+   * 'meta.label' and 'meta.logPrefix' only affect log lines.
+   * With 'meta.maxPauseMs', a pause longer than that (already active, or from this request's 429)
+   * throws a SpotifyRateLimitError instead of being waited out.
+   * Throws the last error once retries run out (or straight away for other errors, e.g. 404).
+   */
+  const request = async (config, meta = {}) => {
+    const label = meta.label || `${(config.method || 'get').toUpperCase()} ${config.url}`;
+    const logPrefix = meta.logPrefix ? `${meta.logPrefix} ` : '';
+
+    const maxPauseMs = meta.maxPauseMs ?? Infinity;
+
+    for (let attempt = 0; ; attempt++) {
+      if (getPauseRemainingMs() > maxPauseMs) throw new SpotifyRateLimitError(name, getPauseRemainingMs());
+      await acquire();
+      inFlight++;
+      totals.requests++;
+
+      let response;
+      try {
+        response = await axios(config);
+      } catch (error) {
+        inFlight--;
+        recordCompletion();
+
+        const status = error.response?.status ?? null;
+        // No response at all (timeout, reset connection) is treated like a 5xx
+        const isRetryable = status === null ? !!error.request : RETRYABLE_STATUS_CODES.includes(status);
+
+        if (!isRetryable || attempt >= maxRetries) {
+          totals.failures++;
+          if (isRetryable) {
+            logger.error(`${logPrefix}[SPOTIFY-CLIENT] [${name}] ${label} failed with ${status ?? error.code}. Giving up after ${attempt + 1} attempts.`);
+          }
+          throw error;
+        }
+
+        totals.retries++;
+        if (status === 429) {
+          totals.rateLimitHits++;
+          const retryAfterSeconds = getRetryAfterSeconds(error);
+          const expiresAt = Date.now() + retryAfterSeconds * 1000;
+          logger.warn(`${logPrefix}[SPOTIFY-CLIENT] [${name}] ${label} got 429. Retry-After: ${retryAfterSeconds}s. Retry ${attempt + 1}/${maxRetries}.`);
+          if (pauseUntil(expiresAt)) {
+            logger.warn(`[SPOTIFY-CLIENT] [${name}] Rate limit set. All workers pause until ${new Date(expiresAt).toISOString()}.`);
+            onRateLimited(expiresAt);
+          }
+          // acquire() on the next attempt waits out the pause, unless the check above finds it too long
+        } else {
+          const waitMs = BACKOFF_BASE_MS * Math.pow(2, attempt);
+          logger.warn(`${logPrefix}[SPOTIFY-CLIENT] [${name}] ${label} failed with ${status ?? error.code}. Retry ${attempt + 1}/${maxRetries} in ${waitMs / 1000}s...`);
+          await sleep(waitMs);
+        }
+        continue;
+      }
+
+      inFlight--;
+      recordCompletion();
+      return response;
+    }
+  };
+
+  /**
+   * Monitoring snapshot: queue depth, throughput and rate-limit state.
+   */
+  const getStats = () => {
+    clearExpiredPause();
+    refill();
+    const now = Date.now();
+    const recent = completedAt.filter(timestamp => timestamp >= now - THROUGHPUT_WINDOW_MS).length;
+    return {
+      name,
+      requestsPerSecond,
+      burstSize,
+      queueDepth: waiters.length,
+      inFlight,
+      availableTokens: Math.floor(tokens),
+      throughput: {
+        lastMinute: recent,
+        perSecond: Math.round((recent / (THROUGHPUT_WINDOW_MS / 1000)) * 100) / 100
+      },
+      rateLimit: {
+        active: isPaused(),
+        expiresAt: isPaused() ? new Date(pausedUntil).toISOString() : null
+      },
+      totals: { ...totals }
+    };
+  };
+
+  return {
+    name,
+    request,
+    get: (url, config = {}, meta) => request({ ...config, method: 'get', url }, meta),
+    post: (url, data, config = {}, meta) => request({ ...config, method: 'post', url, data }, meta),
+    put: (url, data, config = {}, meta) => request({ ...config, method: 'put', url, data }, meta),
+    delete: (url, config = {}, meta) => request({ ...config, method: 'delete', url }, meta),
+    pauseUntil,
+    isPaused,
+    getPauseRemainingMs,
+    getStats
+  };
+}
+
+module.exports = { SpotifyRateLimitError, createSpotifyClient };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// --- USER SPOTIFY OAUTH (Authorization Code with PKCE) ---
+// Lets a user connect their own Spotify account so playlists can be published into their library.
+// The code verifier never leaves the server: it's stored with the 'state' value until the callback.
+
+const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Scopes needed to create playlists in the user's library and read their profile id
+const USER_SCOPES = ['playlist-modify-public', 'playlist-modify-private', 'user-read-private'];
+
+// How long a connect attempt (state + verifier) stays valid
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Random PKCE code verifier (43-128 chars from the unreserved set).
+ */
+function generateCodeVerifier() {
+  return base64Url(crypto.randomBytes(64));
+}
+
+/**
+ * S256 code challenge for a verifier.
+ */
+function getCodeChallenge(verifier) {
+  return base64Url(crypto.createHash('sha256').update(verifier).digest());
+}
+
+/**
+ * Random, unguessable 'state' value tying the callback to the connect request.
+ */
+function generateState() {
+  return base64Url(crypto.randomBytes(24));
+}
+
+/**
+ * URL to send the user to on Spotify's consent screen.
+ */
+function buildAuthorizeUrl({ clientId, redirectUri, state, codeChallenge }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    state,
+    scope: USER_SCOPES.join(' '),
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge
+  });
+  return `${SPOTIFY_AUTHORIZE_URL}?${params}`;
+}
+
+/**
+ * Turns a token endpoint response into the fields we store.
+ */
+function toTokenSet(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null, // Spotify may or may not rotate it on refresh
+    scope: data.scope || null,
+    expiresAt: new Date(Date.now() + (data.expires_in || 3600) * 1000)
+  };
+}
+
+/**
+ * Exchanges the authorization code (plus the PKCE verifier) for tokens.
+ */
+async function exchangeCodeForTokens({ clientId, code, codeVerifier, redirectUri }) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+  const response = await axios.post(SPOTIFY_TOKEN_URL, params, {
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }
+  });
+  return toTokenSet(response.data);
+}
+
+/**
+ * Gets a new access token from a user's refresh token (PKCE clients don't send a secret).
+ */
+async function refreshUserAccessToken({ clientId, refreshToken }) {
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: clientId
+  });
+  const response = await axios.post(SPOTIFY_TOKEN_URL, params, {
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }
+  });
+  return toTokenSet(response.data);
+}
+
+module.exports = {
+  OAUTH_STATE_TTL_MINUTES,
+  generateCodeVerifier,
+  getCodeChallenge,
+  generateState,
+  buildAuthorizeUrl,
+  exchangeCodeForTokens,
+  refreshUserAccessToken
+};
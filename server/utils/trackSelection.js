@@ -0,0 +1,89 @@
+// Allowed range for "songs per artist" (keeps playlists from being dominated by one act)
+const MIN_SONGS_PER_ARTIST = 1;
+const MAX_SONGS_PER_ARTIST = 5;
+
+// Track selection strategies
+// - top:       Spotify's top tracks, in order
+// - recent:    Most recently released of the top tracks
+// - random:    Random pick from the top tracks
+// - deep_cuts: Skip the single most popular track, then take the next ones
+const TRACK_STRATEGIES = ['top', 'recent', 'random', 'deep_cuts'];
+const DEFAULT_TRACK_STRATEGY = 'top';
+
+/**
+ * Reduces a /top-tracks track object to the fields we cache and select on.
+ */
+function toTrackSummary(track) {
+  return {
+    uri: track.uri,
+    popularity: track.popularity || 0,
+    release_date: track.album?.release_date || null
+  };
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array).
+ */
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Picks 'count' track URIs from an artist's top tracks using the given strategy.
+ * 'tracks' are track summaries (see toTrackSummary), in Spotify's top-tracks order.
+ */
+function selectTracks(tracks, count, strategy = DEFAULT_TRACK_STRATEGY) {
+  if (!tracks || tracks.length === 0) return [];
+
+  let ordered;
+  switch (strategy) {
+    case 'recent':
+      // release_date can be "2021", "2021-05" or "2021-05-14", which all sort correctly as strings
+      ordered = [...tracks].sort((a, b) => (b.release_date || '').localeCompare(a.release_date || ''));
+      break;
+    case 'random':
+      ordered = shuffle(tracks);
+      break;
+    case 'deep_cuts': {
+      // Artists with a single track keep it, rather than getting nothing
+      if (tracks.length === 1) {
+        ordered = tracks;
+        break;
+      }
+      const byPopularity = [...tracks].sort((a, b) => b.popularity - a.popularity);
+      ordered = byPopularity.slice(1);
+      break;
+    }
+    case 'top':
+    default:
+      ordered = tracks;
+  }
+
+  return ordered.slice(0, count).map(track => track.uri);
+}
+
+/**
+ * Validates the songs-per-artist value from a request.
+ * Returns the parsed number, or null if it isn't a whole number in range ("2.5" and "3abc" are rejected, not rounded).
+ */
+function parseSongsPerArtist(value) {
+  if (value === undefined || value === null || value === '') return MIN_SONGS_PER_ARTIST;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < MIN_SONGS_PER_ARTIST || parsed > MAX_SONGS_PER_ARTIST) return null;
+  return parsed;
+}
+
+module.exports = {
+  MIN_SONGS_PER_ARTIST,
+  MAX_SONGS_PER_ARTIST,
+  TRACK_STRATEGIES,
+  DEFAULT_TRACK_STRATEGY,
+  toTrackSummary,
+  selectTracks,
+  parseSongsPerArtist
+};
@@ -0,0 +1,183 @@
+// --- VENUE DIRECTORY ---
+// Every venue we've scraped, in the 'venues' table (migration 049), so users can pick venues
+// for "only these venues" / "never these venues" filters instead of typing exact names.
+// Events only have the venue as a string: a venue is its normalized name within a search city.
+// The first spelling seen is its name, other spellings ("Mohawk" vs "The Mohawk") are kept as aliases,
+// and a filter on a venue matches its name and all of its aliases.
+
+const VENUE_MODES = ['exclude', 'include'];
+const MAX_VENUE_FILTERS = 20;
+// Autocomplete with lat/lon only suggests venues within this distance (venues without coordinates match on city)
+const VENUE_SEARCH_RADIUS_KM = parseFloat(process.env.VENUE_SEARCH_RADIUS_KM || '50');
+
+/**
+ * Comparable form of a venue name: "The Mohawk & Co." -> "mohawk and co".
+ */
+function normalizeVenueName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the\s+/, '');
+}
+
+/**
+ * Validates the 'venues' (comma-separated venue ids) and 'venueMode' request params.
+ * Returns { filter: { mode, venueIds } } (venueIds sorted, null when no venues) or { error } for a 400 response.
+ */
+function parseVenueFilter({ venues, venueMode }) {
+  const mode = venueMode || 'exclude';
+  if (!VENUE_MODES.includes(mode)) {
+    return { error: `venueMode must be one of: ${VENUE_MODES.join(', ')}.` };
+  }
+  if (!venues) return { filter: { mode, venueIds: null } };
+
+  const ids = String(venues).split(',').map(id => Number(id.trim()));
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return { error: 'venues must be a comma-separated list of venue ids (from /api/search-venues).' };
+  }
+  const venueIds = Array.from(new Set(ids)).sort((a, b) => a - b);
+  if (venueIds.length > MAX_VENUE_FILTERS) {
+    return { error: `You can pick at most ${MAX_VENUE_FILTERS} venues.` };
+  }
+  return { filter: { mode, venueIds } };
+}
+
+/**
+ * Applies a venue filter to scraped events. 'venues' are the picked venues ({ name, aliases }).
+ * 'include' keeps only shows at those venues (shows without a venue are dropped), 'exclude' drops them.
+ * Returns { events, skippedCount }.
+ */
+function applyVenueFilter(events, venues, mode) {
+  if (!venues || venues.length === 0) return { events, skippedCount: 0 };
+
+  const names = new Set();
+  for (const venue of venues) {
+    [venue.name, ...(venue.aliases || [])].forEach(name => names.add(normalizeVenueName(name)));
+  }
+  const atPickedVenue = (event) => !!event.venue && names.has(normalizeVenueName(event.venue));
+  const kept = events.filter(event => (mode === 'include' ? atPickedVenue(event) : !atPickedVenue(event)));
+  return { events: kept, skippedCount: events.length - kept.length };
+}
+
+function createVenueDirectory({ sql }) {
+  /**
+   * Adds the venues of freshly scraped events to the directory (or refreshes them).
+   * Known venues get missing coordinates filled in and new spellings added as aliases.
+   */
+  async function recordVenues(events, city) {
+    const byName = new Map();
+    for (const event of events) {
+      const nameNormalized = normalizeVenueName(event.venue);
+      if (!nameNormalized) continue;
+
+      const venue = byName.get(nameNormalized);
+      if (!venue) {
+        byName.set(nameNormalized, {
+          name: event.venue.trim(),
+          name_normalized: nameNormalized,
+          latitude: Number.isFinite(event.latitude) ? event.latitude : null,
+          longitude: Number.isFinite(event.longitude) ? event.longitude : null,
+          aliases: []
+        });
+        continue;
+      }
+      const spelling = event.venue.trim();
+      if (spelling !== venue.name && !venue.aliases.includes(spelling)) venue.aliases.push(spelling);
+      if (venue.latitude === null && Number.isFinite(event.latitude) && Number.isFinite(event.longitude)) {
+        venue.latitude = event.latitude;
+        venue.longitude = event.longitude;
+      }
+    }
+    if (byName.size === 0) return 0;
+
+    // One row per normalized name, ON CONFLICT can't touch the same row twice in one statement
+    await sql`
+      INSERT INTO venues (name, name_normalized, city, latitude, longitude, geography, aliases)
+      SELECT
+        v.name,
+        v.name_normalized,
+        ${city},
+        v.latitude,
+        v.longitude,
+        CASE WHEN v.latitude IS NULL OR v.longitude IS NULL THEN NULL
+          ELSE ST_SetSRID(ST_MakePoint(v.longitude, v.latitude), 4326)::geography END,
+        ARRAY(SELECT jsonb_array_elements_text(v.aliases))
+      FROM jsonb_to_recordset(${sql.json(Array.from(byName.values()))})
+        AS v(name TEXT, name_normalized TEXT, latitude DOUBLE PRECISION, longitude DOUBLE PRECISION, aliases JSONB)
+      ON CONFLICT (name_normalized, city) DO UPDATE SET
+        latitude = COALESCE(venues.latitude, EXCLUDED.latitude),
+        longitude = COALESCE(venues.longitude, EXCLUDED.longitude),
+        geography = COALESCE(venues.geography, EXCLUDED.geography),
+        aliases = ARRAY(
+          SELECT DISTINCT alias
+          FROM unnest(venues.aliases || EXCLUDED.aliases || EXCLUDED.name) AS alias
+          WHERE alias <> venues.name
+          ORDER BY alias
+        ),
+        last_seen_at = NOW()
+    `;
+    return byName.size;
+  }
+
+  /**
+   * Autocomplete: up to 10 venues whose name or an alias is like 'query' (trigram similarity, as for cities).
+   * 'city' limits it to venues listed under that search city. With 'latitude'/'longitude' it also
+   * takes venues within VENUE_SEARCH_RADIUS_KM (a venue can be listed under a neighbouring city).
+   */
+  async function searchVenues(query, { city = null, latitude = null, longitude = null } = {}) {
+    const nearby = latitude !== null && longitude !== null
+      ? sql`ST_DWithin(geography, ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography, ${VENUE_SEARCH_RADIUS_KM * 1000})`
+      : null;
+    const area = city && nearby
+      ? sql`AND (city = ${city} OR ${nearby})`
+      : city ? sql`AND city = ${city}` : nearby ? sql`AND ${nearby}` : sql``;
+
+    return sql`
+      SELECT id, name, city, latitude, longitude, aliases
+      FROM (
+        SELECT
+          *,
+          GREATEST(
+            similarity(name, ${query}),
+            COALESCE((SELECT MAX(similarity(alias, ${query})) FROM unnest(aliases) AS alias), 0)
+          ) AS sml
+        FROM venues
+        WHERE TRUE ${area}
+      ) matches
+      WHERE sml > 0.1
+      ORDER BY
+        (name ILIKE ${query + '%'}) DESC,
+        sml DESC,
+        last_seen_at DESC
+      LIMIT 10
+    `;
+  }
+
+  /**
+   * The venues with these ids ({ id, name, aliases }), in id order. Unknown ids are left out.
+   */
+  async function getVenues(venueIds) {
+    if (!venueIds || venueIds.length === 0) return [];
+    return sql`
+      SELECT id, name, aliases
+      FROM venues
+      WHERE id = ANY(${venueIds})
+      ORDER BY id
+    `;
+  }
+
+  return { recordVenues, searchVenues, getVenues };
+}
+
+module.exports = {
+  VENUE_MODES,
+  MAX_VENUE_FILTERS,
+  normalizeVenueName,
+  parseVenueFilter,
+  applyVenueFilter,
+  createVenueDirectory
+};